@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+
+// Subscribe a page to the shop's server-sent events (lib/events.js). `handlers` maps event names
+// to functions called with each event's data; the latest handlers run, so they can use current
+// state. EventSource can't send the session token, so the stream opens with a short-lived token
+// fetched through the authenticated API, and once the server refuses it (the token has expired)
+// a new one is fetched.
+export default function useStoreEvents(handlers) {
+  const latestHandlers = useRef(handlers);
+  latestHandlers.current = handlers;
+
+  useEffect(() => {
+    let events;
+    let closed = false;
+    let reconnect;
+    const connect = async () => {
+      try {
+        const response = await fetch('/api/events/token');
+        const { token } = await response.json();
+        if (closed) return;
+        events = new EventSource(`/api/events?token=${encodeURIComponent(token)}`);
+        Object.keys(latestHandlers.current).forEach(name => {
+          events.addEventListener(name, (event) => latestHandlers.current[name]?.(JSON.parse(event.data)));
+        });
+        events.onerror = () => {
+          if (events.readyState === EventSource.CLOSED) reconnect = setTimeout(connect, 5000);
+        };
+      } catch (error) {
+        console.error('Failed to open event stream:', error);
+        if (!closed) reconnect = setTimeout(connect, 5000);
+      }
+    };
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(reconnect);
+      events?.close();
+    };
+  }, []);
+}
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const prisma = require('../prisma');
+const { signToken, verifyToken } = require('../signedTokens');
+
+// Persistence and OAuth plumbing shared by every marketing connector. The grant for each
+// shop/platform is kept on AdConnection; its token is copied onto every AdAccount picked from it.
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Refresh a little early so a token never expires mid-request
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+function getRedirectUri(platform) {
+  return `${process.env.HOST}/api/ad-accounts/${platform}/callback`;
+}
+
+// The state parameter carries the shop through the provider's redirect, signed so it can't be forged
+function createState(shop, platform) {
+  return signToken('oauth_state', { shop, platform, nonce: crypto.randomBytes(8).toString('hex') }, STATE_TTL_MS);
+}
+
+function verifyState(state, platform) {
+  const data = verifyToken('oauth_state', state);
+  return data?.platform === platform ? data : null;
+}
+
+// connector.oauth: { authorizeUrl, clientIdParam?, clientId(), scope, extraParams? }
+function buildAuthorizeUrl(shop, connector) {
+  const { oauth } = connector;
+  const params = new URLSearchParams({
+    [oauth.clientIdParam || 'client_id']: oauth.clientId(),
+    redirect_uri: getRedirectUri(connector.id),
+    state: createState(shop, connector.id),
+    ...(oauth.scope ? { scope: oauth.scope } : {}),
+    ...oauth.extraParams
+  });
+  return `${oauth.authorizeUrl}?${params}`;
+}
+
+function expiresAt(expiresIn) {
+  return expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+}
+
+// Store fresh tokens on the connection and every ad account that uses it
+async function saveConnectionTokens(shop, platform, tokens) {
+  const data = {
+    accessToken: tokens.accessToken,
+    tokenExpiresAt: tokens.tokenExpiresAt,
+    status: 'active',
+    lastError: null,
+    lastCheckedAt: new Date()
+  };
+  // Providers often only return a refresh token on first consent; keep the one we have otherwise
+  if (tokens.refreshToken) data.refreshToken = tokens.refreshToken;
+
+  const connection = await prisma.adConnection.upsert({
+    where: { shop_platform: { shop, platform } },
+    update: data,
+    create: { shop, platform, ...data }
+  });
+
+  await prisma.adAccount.updateMany({
+    where: { shop, platform },
+    data: {
+      accessToken: connection.accessToken,
+      refreshToken: connection.refreshToken,
+      tokenExpiresAt: connection.tokenExpiresAt
+    }
+  });
+
+  return connection;
+}
+
+// Flag a broken connection so the dashboard can say so instead of showing zero spend
+async function markConnectionError(shop, platform, status, message) {
+  await prisma.adConnection.updateMany({
+    where: { shop, platform },
+    data: { status, lastError: message, lastCheckedAt: new Date() }
+  });
+}
+
+// Swap a connection's tokens using the connector's refreshTokens, marking it broken on failure
+async function refreshConnectionTokens(connection, refreshTokens) {
+  try {
+    const tokens = await refreshTokens(connection);
+    return await saveConnectionTokens(connection.shop, connection.platform, tokens);
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.response?.data?.error ||
+      error.response?.data?.message || error.message;
+    await markConnectionError(connection.shop, connection.platform, 'expired', String(message));
+    throw error;
+  }
+}
+
+// Refresh the token behind an ad account and return the new access token
+async function refreshAccountToken(account, refreshTokens) {
+  const connection = await prisma.adConnection.findUnique({
+    where: { shop_platform: { shop: account.shop, platform: account.platform } }
+  });
+  const refreshed = await refreshConnectionTokens(connection || account, refreshTokens);
+
+  account.accessToken = refreshed.accessToken;
+  account.refreshToken = refreshed.refreshToken;
+  account.tokenExpiresAt = refreshed.tokenExpiresAt;
+  return refreshed.accessToken;
+}
+
+// A usable access token for an account, refreshed first if it is about to expire
+async function getAccessToken(account, refreshTokens) {
+  const stillValid = account.tokenExpiresAt &&
+    account.tokenExpiresAt.getTime() - TOKEN_EXPIRY_MARGIN_MS > Date.now();
+
+  if (stillValid || !account.refreshToken) {
+    return account.accessToken;
+  }
+  return refreshAccountToken(account, refreshTokens);
+}
+
+module.exports = {
+  getRedirectUri,
+  verifyState,
+  buildAuthorizeUrl,
+  expiresAt,
+  saveConnectionTokens,
+  markConnectionError,
+  refreshConnectionTokens,
+  refreshAccountToken,
+  getAccessToken
+};
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const { getRedirectUri, expiresAt, getAccessToken, refreshAccountToken } = require('./connections');
+const { withRateLimitRetries } = require('../rateLimits');
+
+// Overridable so the connector can run against a local mock server
+const GOOGLE_ADS_API_URL = process.env.GOOGLE_ADS_API_URL || 'https://googleads.googleapis.com/v15';
+const GOOGLE_OAUTH_TOKEN_URL = process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+
+// Google Ads customer ids are shown as 123-456-7890 but the API wants bare digits
+function normalizeCustomerId(customerId) {
+  return String(customerId).replace(/-/g, '');
+}
+
+async function requestToken(params) {
+  const response = await axios.post(GOOGLE_OAUTH_TOKEN_URL, new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    client_secret: process.env.GOOGLE_CLIENT_SECRET,
+    ...params
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return {
+    accessToken: response.data.access_token,
+    refreshToken: response.data.refresh_token,
+    tokenExpiresAt: expiresAt(response.data.expires_in)
+  };
+}
+
+async function exchangeCode(code) {
+  return requestToken({ code, redirect_uri: getRedirectUri('google'), grant_type: 'authorization_code' });
+}
+
+async function refreshTokens(connection) {
+  return requestToken({ refresh_token: connection.refreshToken, grant_type: 'refresh_token' });
+}
+
+function buildHeaders(accessToken, managerAccountId) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'developer-token': process.env.GOOGLE_ADS_DEVELOPER_TOKEN
+  };
+  // Client accounts reached through a manager (MCC) must name it on every request
+  if (managerAccountId) {
+    headers['login-customer-id'] = normalizeCustomerId(managerAccountId);
+  }
+  return headers;
+}
+
+async function searchStream(account, accessToken, query, retries) {
+  const headers = buildHeaders(accessToken, account.managerAccountId);
+  const customerId = normalizeCustomerId(account.accountId);
+  const response = await withRateLimitRetries(() => axios.post(
+    `${GOOGLE_ADS_API_URL}/customers/${customerId}/googleAds:searchStream`,
+    { query },
+    { headers }
+  ), { retries });
+  return response.data;
+}
+
+// Daily spend and performance for a Google Ads customer. Conversions are whatever the
+// account counts as primary conversions, valued at their reported conversion value.
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const query = `
+    SELECT segments.date, metrics.cost_micros, metrics.clicks, metrics.impressions,
+      metrics.conversions, metrics.conversions_value
+    FROM customer
+    WHERE segments.date BETWEEN '${startDate}' AND '${endDate}'
+    ORDER BY segments.date`;
+
+  let accessToken = await getAccessToken(account, refreshTokens);
+  let batches;
+  try {
+    batches = await searchStream(account, accessToken, query, retries);
+  } catch (error) {
+    // The token may have been revoked or expired early; retry once with a fresh one
+    if (error.response?.status !== 401 || !account.refreshToken) throw error;
+    accessToken = await refreshAccountToken(account, refreshTokens);
+    batches = await searchStream(account, accessToken, query, retries);
+  }
+
+  const byDate = new Map();
+  batches.forEach(batch => {
+    (batch.results || []).forEach(({ segments, metrics }) => {
+      const day = byDate.get(segments.date) ||
+        { date: segments.date, spend: 0, clicks: 0, impressions: 0, conversions: 0, conversionValue: 0 };
+      day.spend += Number(metrics.costMicros || 0) / 1e6;
+      day.clicks += Number(metrics.clicks || 0);
+      day.impressions += Number(metrics.impressions || 0);
+      day.conversions += Number(metrics.conversions || 0);
+      day.conversionValue += Number(metrics.conversionsValue || 0);
+      byDate.set(segments.date, day);
+    });
+  });
+
+  return [...byDate.values()];
+}
+
+// Every non-manager customer the grant can reach, including clients under a manager account
+async function listAccounts(connection) {
+  const accessToken = await getAccessToken(connection, refreshTokens);
+
+  const response = await axios.get(`${GOOGLE_ADS_API_URL}/customers:listAccessibleCustomers`, {
+    headers: buildHeaders(accessToken)
+  });
+
+  const accounts = new Map();
+  for (const resourceName of response.data.resourceNames || []) {
+    const rootId = resourceName.split('/')[1];
+    const batches = (await axios.post(
+      `${GOOGLE_ADS_API_URL}/customers/${rootId}/googleAds:searchStream`,
+      {
+        query: `
+          SELECT customer_client.id, customer_client.descriptive_name, customer_client.manager,
+            customer_client.currency_code
+          FROM customer_client
+          WHERE customer_client.level <= 1`
+      },
+      { headers: buildHeaders(accessToken, rootId) }
+    )).data;
+
+    batches.forEach(batch => {
+      (batch.results || []).forEach(({ customerClient }) => {
+        if (customerClient.manager) return;
+        const accountId = String(customerClient.id);
+        if (accounts.has(accountId)) return;
+        accounts.set(accountId, {
+          accountId,
+          accountName: customerClient.descriptiveName || accountId,
+          currency: customerClient.currencyCode,
+          // Reached through another customer, so that customer is the login-customer-id
+          managerAccountId: accountId === rootId ? null : rootId
+        });
+      });
+    });
+  }
+
+  return [...accounts.values()];
+}
+
+function isAuthError(error) {
+  return error.response?.status === 401 || error.response?.status === 403;
+}
+
+module.exports = {
+  id: 'google',
+  name: 'Google',
+  auth: 'oauth',
+  oauth: {
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    clientId: () => process.env.GOOGLE_CLIENT_ID,
+    scope: 'https://www.googleapis.com/auth/adwords',
+    // Offline access with forced consent so Google always hands back a refresh token
+    extraParams: { access_type: 'offline', prompt: 'consent', response_type: 'code' }
+  },
+  // Access tokens last an hour
+  refreshWindowMs: 5 * 60 * 1000,
+  exchangeCode,
+  refreshTokens,
+  listAccounts,
+  fetchDailyMetrics,
+  isAuthError
+};
@@ -0,0 +1,271 @@
+const { format } = require('date-fns');
+const prisma = require('../prisma');
+const { markConnectionError, refreshConnectionTokens } = require('./connections');
+const { loadConverter } = require('../currency');
+const { addDaysToDay, dayToDate, dateToDay } = require('../dates');
+const { defineJob, enqueueJob } = require('../jobs');
+const { publish } = require('../events');
+const { BACKGROUND_RATE_LIMIT_RETRIES, getRetryAfterMs } = require('../rateLimits');
+
+// Every marketing platform is a connector module exporting:
+//   id, name             platform key stored on AdConnection/AdAccount, and its display name
+//   auth                 'oauth' (provider consent screen) or 'apiKey' (pasted private key)
+//   oauth                authorize URL settings used by buildAuthorizeUrl (oauth only)
+//   exchangeCode(code)   tokens for the callback's authorization code (oauth only)
+//   refreshTokens(conn)  fresh tokens for a connection, if the platform's tokens expire
+//   refreshWindowMs      how long before expiry the scheduler refreshes them
+//   listAccounts(conn)   [{ accountId, accountName, currency, managerAccountId? }] (oauth only)
+//   verifyApiKey(key)    { accountId, accountName, currency? } for a valid key (apiKey only)
+//   fetchDailyMetrics(account, startDate, endDate, { retries })
+//                        [{ date, spend, clicks, impressions, conversions, conversionValue }] with
+//                        amounts in major units of the account's currency; `retries` is how many
+//                        rate limits to wait out (none by default, see lib/rateLimits.js)
+//   isAuthError(error)   whether a failure means the merchant has to reconnect
+// Connectors throw on failure; syncAdSpend records failures per account.
+// Adding a platform means adding its module here.
+//
+// Spend is only fetched from the platforms by 'ad_spend' jobs, which store each account's days in
+// AdSpend; everything else reads the stored days through fetchMarketingSpend.
+const CONNECTORS = [
+  require('./meta'),
+  require('./google'),
+  require('./tiktok'),
+  require('./pinterest'),
+  require('./snapchat'),
+  require('./klaviyo'),
+  require('./postscript')
+];
+
+const TOKEN_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+// How far back the first spend sync for an account reaches
+const INITIAL_SPEND_DAYS = 90;
+// Platforms keep restating recent days as late conversions come in, so every sync fetches these again
+const SPEND_RESTATEMENT_DAYS = 30;
+// Reads of spend synced longer ago than this queue a sync
+const SPEND_STALE_AFTER_MS = 15 * 60 * 1000;
+
+function getConnector(platform) {
+  return CONNECTORS.find(connector => connector.id === platform) || null;
+}
+
+function listConnectors() {
+  return CONNECTORS.map(({ id, name, auth }) => ({ id, name, auth }));
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  return String(data?.error?.message || data?.error_description || data?.message || data?.error || error.message);
+}
+
+function isSpendCovered(account, startDate) {
+  return Boolean(account.spendSyncedFrom) && dateToDay(account.spendSyncedFrom) <= startDate;
+}
+
+function isSpendStale(account) {
+  return !account.spendSyncedAt || Date.now() - account.spendSyncedAt.getTime() > SPEND_STALE_AFTER_MS;
+}
+
+// Day ranges a sync fetches for an account: the days since its last sync (at least the ones
+// platforms may still restate), and any earlier days a reader asked for
+function getSpendSyncRanges(account, today, fromDay) {
+  if (!account.spendSyncedFrom) {
+    const initialDay = addDaysToDay(today, -(INITIAL_SPEND_DAYS - 1));
+    return [{ startDay: fromDay && fromDay < initialDay ? fromDay : initialDay, endDay: today }];
+  }
+
+  const syncedFrom = dateToDay(account.spendSyncedFrom);
+  const lastSyncedDay = dateToDay(account.spendSyncedAt);
+  const restatedDay = addDaysToDay(today, -(SPEND_RESTATEMENT_DAYS - 1));
+  const recent = { startDay: lastSyncedDay < restatedDay ? lastSyncedDay : restatedDay, endDay: today };
+  if (!fromDay || fromDay >= syncedFrom) return [recent];
+  return [{ startDay: fromDay, endDay: addDaysToDay(syncedFrom, -1) }, recent];
+}
+
+// Replace an account's stored days in a range with what the platform reports now. Concurrent
+// syncs of the same days both delete and insert, so the second insert skips what the first wrote.
+async function storeAccountSpend(connector, account, { startDay, endDay }) {
+  const daily = await connector.fetchDailyMetrics(account, startDay, endDay, { retries: BACKGROUND_RATE_LIMIT_RETRIES });
+  const { shop, platform, accountId } = account;
+  await prisma.$transaction([
+    prisma.adSpend.deleteMany({
+      where: { shop, platform, accountId, date: { gte: dayToDate(startDay), lte: dayToDate(endDay) } }
+    }),
+    prisma.adSpend.createMany({
+      data: daily.map(day => ({
+        shop,
+        platform,
+        accountId,
+        date: dayToDate(day.date),
+        spend: day.spend,
+        clicks: day.clicks,
+        impressions: day.impressions,
+        conversions: day.conversions,
+        conversionValue: day.conversionValue
+      })),
+      skipDuplicates: true
+    })
+  ]);
+}
+
+// Fetch and store the spend of a shop's active ad accounts that is stale or doesn't reach back to
+// fromDay yet. One failing platform doesn't stop the others: its error is kept on the account for
+// readers to report. Rate limits are waited out, and rethrown once the rest are done if they last
+// too long, so the job tries again later.
+async function syncAdSpend(shop, { fromDay } = {}) {
+  const accounts = await prisma.adAccount.findMany({ where: { shop, isActive: true } });
+  const today = format(new Date(), 'yyyy-MM-dd');
+  let rateLimitError = null;
+
+  for (const account of accounts) {
+    const connector = getConnector(account.platform);
+    if (!connector) continue;
+    if (!isSpendStale(account) && (!fromDay || isSpendCovered(account, fromDay))) continue;
+
+    const syncedAt = new Date();
+    try {
+      const ranges = getSpendSyncRanges(account, today, fromDay);
+      for (const range of ranges) {
+        await storeAccountSpend(connector, account, range);
+      }
+      const syncedFrom = account.spendSyncedFrom && dateToDay(account.spendSyncedFrom) < ranges[0].startDay
+        ? account.spendSyncedFrom
+        : dayToDate(ranges[0].startDay);
+      await prisma.adAccount.update({
+        where: { id: account.id },
+        data: { spendSyncedFrom: syncedFrom, spendSyncedAt: syncedAt, spendSyncError: null }
+      });
+    } catch (error) {
+      console.error(`${connector.name} API error:`, error.response?.data || error);
+      if (getRetryAfterMs(error) != null) {
+        rateLimitError = error;
+        continue;
+      }
+      const message = describeError(error);
+      if (connector.isAuthError(error)) {
+        await markConnectionError(shop, connector.id, 'expired', `${connector.name} rejected the stored credentials: ${message}`);
+      }
+      await prisma.adAccount.update({ where: { id: account.id }, data: { spendSyncError: message } });
+    }
+  }
+
+  publish(shop, 'adSpend', { syncedAt: new Date() });
+  if (rateLimitError) throw rateLimitError;
+}
+
+// An account's stored days, converted into the reporting currency at each day's rate. Accounts
+// without a known currency are taken to spend in the shop's.
+function summarizeAccountSpend(connector, account, days, storeSettings) {
+  const fromCurrency = account.currency || storeSettings?.shopCurrency;
+  const daily = days.map(day => ({
+    date: dateToDay(day.date),
+    spend: storeSettings.converter.convert(day.spend, fromCurrency, dateToDay(day.date)),
+    clicks: day.clicks,
+    impressions: day.impressions,
+    conversions: day.conversions,
+    conversionValue: storeSettings.converter.convert(day.conversionValue, fromCurrency, dateToDay(day.date))
+  }));
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+  const total = sum('spend');
+  const attributedRevenue = sum('conversionValue');
+
+  return {
+    platform: connector.name,
+    platformId: connector.id,
+    accountId: account.accountId,
+    accountName: account.accountName,
+    accountCurrency: account.currency,
+    currency: storeSettings.converter.reportingCurrency,
+    total,
+    clicks: sum('clicks'),
+    impressions: sum('impressions'),
+    conversions: sum('conversions'),
+    attributedRevenue,
+    // Platform-reported: each platform counts the conversions its own ads claim
+    roas: total > 0 ? attributedRevenue / total : null,
+    daily
+  };
+}
+
+// Stored spend and performance for every active ad account of a shop. Accounts whose last sync
+// failed, or whose stored days don't cover the range yet, are reported under `errors` instead of
+// counting as zero spend. Stale or missing days are synced by a queued job meanwhile; background
+// work that needs them now passes { wait: true } to sync inline instead.
+async function fetchMarketingSpend(shop, startDate, endDate, { wait = false } = {}) {
+  let accounts = await prisma.adAccount.findMany({ where: { shop, isActive: true } });
+  const covered = accounts.every(account => isSpendCovered(account, startDate));
+  if (!covered || accounts.some(isSpendStale)) {
+    if (wait) {
+      await syncAdSpend(shop, covered ? {} : { fromDay: startDate });
+      accounts = await prisma.adAccount.findMany({ where: { shop, isActive: true } });
+    } else {
+      await enqueueJob(shop, 'ad_spend', covered ? {} : { fromDay: startDate });
+    }
+  }
+
+  const [settings, storedDays] = await Promise.all([
+    prisma.storeSettings.findUnique({ where: { shop } }),
+    prisma.adSpend.findMany({
+      where: { shop, date: { gte: dayToDate(startDate), lte: dayToDate(endDate) } },
+      orderBy: { date: 'asc' }
+    })
+  ]);
+  const storeSettings = { ...settings, converter: await loadConverter(shop, settings) };
+
+  const results = accounts.map(account => {
+    const connector = getConnector(account.platform);
+    if (!connector) return null;
+
+    const describe = (message) => ({
+      error: { platform: connector.name, platformId: connector.id, accountId: account.accountId, error: message }
+    });
+    if (account.spendSyncError) return describe(account.spendSyncError);
+    if (!isSpendCovered(account, startDate)) return describe('Spend for this range is still being synced');
+
+    const days = storedDays.filter(day => day.platform === account.platform && day.accountId === account.accountId);
+    try {
+      return { result: summarizeAccountSpend(connector, account, days, storeSettings) };
+    } catch (error) {
+      // No exchange rate for the account's currency
+      return describe(error.message);
+    }
+  });
+
+  const breakdown = results.filter(entry => entry?.result).map(entry => entry.result);
+  const errors = results.filter(entry => entry?.error).map(entry => entry.error);
+  const totalAdSpend = breakdown.reduce((sum, account) => sum + account.total, 0);
+
+  return { totalAdSpend, breakdown, errors };
+}
+
+defineJob('ad_spend', { handler: (session, options) => syncAdSpend(session.shop, options) });
+
+async function refreshExpiringConnections() {
+  const connections = await prisma.adConnection.findMany({
+    where: { status: 'active', tokenExpiresAt: { not: null } }
+  });
+
+  for (const connection of connections) {
+    const connector = getConnector(connection.platform);
+    if (!connector?.refreshTokens) continue;
+    if (connection.tokenExpiresAt.getTime() - (connector.refreshWindowMs || 0) > Date.now()) continue;
+
+    try {
+      await refreshConnectionTokens(connection, connector.refreshTokens);
+    } catch (error) {
+      console.error(`Token refresh failed for ${connection.shop} ${connection.platform}:`, error.message);
+    }
+  }
+}
+
+function startTokenRefreshScheduler() {
+  setInterval(() => {
+    refreshExpiringConnections().catch(error => console.error('Token refresh error:', error));
+  }, TOKEN_REFRESH_INTERVAL_MS);
+}
+
+module.exports = {
+  getConnector,
+  listConnectors,
+  fetchMarketingSpend,
+  startTokenRefreshScheduler
+};
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { addDays, eachDayOfInterval, format, getDaysInMonth, parseISO } = require('date-fns');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const KLAVIYO_API_URL = process.env.KLAVIYO_API_URL || 'https://a.klaviyo.com/api';
+const KLAVIYO_REVISION = '2023-10-15';
+
+function klaviyoHeaders(apiKey) {
+  return {
+    Authorization: `Klaviyo-API-Key ${apiKey}`,
+    revision: KLAVIYO_REVISION,
+    accept: 'application/json',
+    'content-type': 'application/json'
+  };
+}
+
+// Look up metric ids by name ('Sent SMS', 'Placed Order', ...)
+async function fetchMetricIds(apiKey, retries) {
+  const ids = {};
+  let url = `${KLAVIYO_API_URL}/metrics/`;
+
+  while (url) {
+    const response = await withRateLimitRetries(() => axios.get(url, { headers: klaviyoHeaders(apiKey) }), { retries });
+    response.data.data.forEach(metric => {
+      ids[metric.attributes.name] = ids[metric.attributes.name] || metric.id;
+    });
+    url = response.data.links?.next;
+  }
+
+  return ids;
+}
+
+// Daily totals of one measurement for a metric, optionally only for attributed events
+async function fetchMetricAggregate(apiKey, metricId, measurement, startDate, endDate, attributedOnly, retries) {
+  const response = await withRateLimitRetries(() => axios.post(`${KLAVIYO_API_URL}/metric-aggregates/`, {
+    data: {
+      type: 'metric-aggregate',
+      attributes: {
+        metric_id: metricId,
+        measurements: [measurement],
+        interval: 'day',
+        by: attributedOnly ? ['$attributed_message'] : undefined,
+        filter: [
+          `greater-or-equal(datetime,${startDate}T00:00:00)`,
+          `less-than(datetime,${format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd')}T00:00:00)`
+        ]
+      }
+    }
+  }, { headers: klaviyoHeaders(apiKey) }), { retries });
+
+  const { dates, data } = response.data.data.attributes;
+  const totals = new Map();
+  data.forEach(group => {
+    // Unattributed events come back grouped under an empty dimension
+    if (attributedOnly && !group.dimensions?.[0]) return;
+    group.measurements[measurement].forEach((value, index) => {
+      const day = dates[index].slice(0, 10);
+      totals.set(day, (totals.get(day) || 0) + (value || 0));
+    });
+  });
+  return totals;
+}
+
+// Klaviyo doesn't expose billing, so spend is the configured plan fee prorated per day plus
+// SMS sends priced at the configured per-message rate. account.settings holds
+// { monthlyFee, costPerSms }. Conversion value is Klaviyo-attributed Placed Order value.
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const { monthlyFee = 0, costPerSms = 0 } = account.settings || {};
+  const metricIds = await fetchMetricIds(account.accessToken, retries);
+
+  const smsSent = metricIds['Sent SMS'] && costPerSms
+    ? await fetchMetricAggregate(account.accessToken, metricIds['Sent SMS'], 'count', startDate, endDate, false, retries)
+    : new Map();
+  const attributedOrders = metricIds['Placed Order']
+    ? await fetchMetricAggregate(account.accessToken, metricIds['Placed Order'], 'count', startDate, endDate, true, retries)
+    : new Map();
+  const attributedRevenue = metricIds['Placed Order']
+    ? await fetchMetricAggregate(account.accessToken, metricIds['Placed Order'], 'sum_value', startDate, endDate, true, retries)
+    : new Map();
+
+  return eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) }).map(date => {
+    const day = format(date, 'yyyy-MM-dd');
+    return {
+      date: day,
+      spend: monthlyFee / getDaysInMonth(date) + (smsSent.get(day) || 0) * costPerSms,
+      clicks: 0,
+      impressions: 0,
+      conversions: attributedOrders.get(day) || 0,
+      conversionValue: attributedRevenue.get(day) || 0
+    };
+  });
+}
+
+// Check a private API key before saving it
+async function verifyApiKey(apiKey) {
+  const response = await axios.get(`${KLAVIYO_API_URL}/accounts/`, { headers: klaviyoHeaders(apiKey) });
+  const account = response.data.data[0];
+  return {
+    accountId: account.id,
+    accountName: account.attributes.contact_information?.organization_name || 'Klaviyo'
+  };
+}
+
+function isAuthError(error) {
+  return error.response?.status === 401 || error.response?.status === 403;
+}
+
+module.exports = {
+  id: 'klaviyo',
+  name: 'Klaviyo',
+  auth: 'apiKey',
+  verifyApiKey,
+  fetchDailyMetrics,
+  isAuthError
+};
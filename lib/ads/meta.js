@@ -0,0 +1,105 @@
+const axios = require('axios');
+const { getRedirectUri, expiresAt } = require('./connections');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const META_GRAPH_URL = process.env.META_GRAPH_URL || 'https://graph.facebook.com/v18.0';
+// Purchases across web, app and offline, as Ads Manager reports them
+const PURCHASE_ACTION = 'omni_purchase';
+
+async function exchangeToken(params) {
+  const response = await axios.get(`${META_GRAPH_URL}/oauth/access_token`, {
+    params: {
+      client_id: process.env.META_APP_ID,
+      client_secret: process.env.META_APP_SECRET,
+      ...params
+    }
+  });
+  return {
+    accessToken: response.data.access_token,
+    tokenExpiresAt: expiresAt(response.data.expires_in)
+  };
+}
+
+async function exchangeCode(code) {
+  const shortLived = await exchangeToken({ redirect_uri: getRedirectUri('meta'), code });
+  // Short-lived user tokens last about an hour; swap straight away for a ~60 day one
+  return exchangeToken({ grant_type: 'fb_exchange_token', fb_exchange_token: shortLived.accessToken });
+}
+
+// Meta has no refresh tokens; a still-valid long-lived token can be exchanged for a new one
+async function refreshTokens(connection) {
+  return exchangeToken({ grant_type: 'fb_exchange_token', fb_exchange_token: connection.accessToken });
+}
+
+// Follow Graph API `paging.next` links, which already carry every query param
+async function fetchAllPages(url, params, onPage, { retries = 0 } = {}) {
+  while (url) {
+    const response = await withRateLimitRetries(() => axios.get(url, { params }), { retries });
+    onPage(response.data.data);
+    url = response.data.paging?.next;
+    params = undefined;
+  }
+}
+
+async function listAccounts(connection) {
+  const accounts = [];
+  await fetchAllPages(`${META_GRAPH_URL}/me/adaccounts`, {
+    access_token: connection.accessToken,
+    fields: 'account_id,name,currency,account_status',
+    limit: 100
+  }, page => {
+    page.forEach(account => {
+      accounts.push({ accountId: account.id, accountName: account.name, currency: account.currency });
+    });
+  });
+  return accounts;
+}
+
+function findAction(actions, type) {
+  return parseFloat(actions?.find(action => action.action_type === type)?.value) || 0;
+}
+
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const daily = [];
+  await fetchAllPages(`${META_GRAPH_URL}/${account.accountId}/insights`, {
+    access_token: account.accessToken,
+    fields: 'spend,impressions,clicks,actions,action_values',
+    time_increment: 1,
+    time_range: JSON.stringify({ since: startDate, until: endDate })
+  }, page => {
+    page.forEach(day => {
+      daily.push({
+        date: day.date_start,
+        spend: parseFloat(day.spend) || 0,
+        clicks: parseInt(day.clicks) || 0,
+        impressions: parseInt(day.impressions) || 0,
+        conversions: findAction(day.actions, PURCHASE_ACTION),
+        conversionValue: findAction(day.action_values, PURCHASE_ACTION)
+      });
+    });
+  }, { retries });
+  return daily;
+}
+
+// Graph API error 190 means the token has expired or been revoked
+function isAuthError(error) {
+  return error.response?.data?.error?.code === 190;
+}
+
+module.exports = {
+  id: 'meta',
+  name: 'Meta',
+  auth: 'oauth',
+  oauth: {
+    authorizeUrl: 'https://www.facebook.com/v18.0/dialog/oauth',
+    clientId: () => process.env.META_APP_ID,
+    scope: 'ads_read'
+  },
+  // Long-lived tokens get a week of warning before they lapse
+  refreshWindowMs: 7 * 24 * 60 * 60 * 1000,
+  exchangeCode,
+  refreshTokens,
+  listAccounts,
+  fetchDailyMetrics,
+  isAuthError
+};
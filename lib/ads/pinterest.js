@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { getRedirectUri, expiresAt, getAccessToken } = require('./connections');
+const { splitDayRange } = require('../dates');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const PINTEREST_API_URL = process.env.PINTEREST_API_URL || 'https://api.pinterest.com/v5';
+// Analytics requests may span at most 90 days
+const MAX_REPORT_DAYS = 90;
+
+async function requestToken(params) {
+  const credentials = Buffer.from(`${process.env.PINTEREST_APP_ID}:${process.env.PINTEREST_APP_SECRET}`).toString('base64');
+  const response = await axios.post(`${PINTEREST_API_URL}/oauth/token`, new URLSearchParams(params).toString(), {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+  return {
+    accessToken: response.data.access_token,
+    refreshToken: response.data.refresh_token,
+    tokenExpiresAt: expiresAt(response.data.expires_in)
+  };
+}
+
+async function exchangeCode(code) {
+  return requestToken({ grant_type: 'authorization_code', code, redirect_uri: getRedirectUri('pinterest') });
+}
+
+async function refreshTokens(connection) {
+  return requestToken({ grant_type: 'refresh_token', refresh_token: connection.refreshToken });
+}
+
+async function listAccounts(connection) {
+  const accessToken = await getAccessToken(connection, refreshTokens);
+  const accounts = [];
+  let bookmark;
+
+  do {
+    const response = await axios.get(`${PINTEREST_API_URL}/ad_accounts`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: { page_size: 100, bookmark }
+    });
+    response.data.items.forEach(account => {
+      accounts.push({ accountId: account.id, accountName: account.name, currency: account.currency });
+    });
+    bookmark = response.data.bookmark;
+  } while (bookmark);
+
+  return accounts;
+}
+
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const accessToken = await getAccessToken(account, refreshTokens);
+  const daily = [];
+
+  for (const chunk of splitDayRange(startDate, endDate, MAX_REPORT_DAYS)) {
+    const response = await withRateLimitRetries(() => axios.get(`${PINTEREST_API_URL}/ad_accounts/${account.accountId}/analytics`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: {
+        start_date: chunk.startDay,
+        end_date: chunk.endDay,
+        granularity: 'DAY',
+        columns: [
+          'SPEND_IN_MICRO_DOLLAR',
+          'TOTAL_IMPRESSION',
+          'TOTAL_CLICKTHROUGH',
+          'TOTAL_CONVERSIONS',
+          'TOTAL_CHECKOUT_VALUE_IN_MICRO_DOLLAR'
+        ].join(',')
+      }
+    }), { retries });
+
+    response.data.forEach(row => {
+      daily.push({
+        date: row.DATE,
+        // "Micro dollar" columns are micro units of the ad account's currency
+        spend: (row.SPEND_IN_MICRO_DOLLAR || 0) / 1e6,
+        clicks: row.TOTAL_CLICKTHROUGH || 0,
+        impressions: row.TOTAL_IMPRESSION || 0,
+        conversions: row.TOTAL_CONVERSIONS || 0,
+        conversionValue: (row.TOTAL_CHECKOUT_VALUE_IN_MICRO_DOLLAR || 0) / 1e6
+      });
+    });
+  }
+
+  return daily;
+}
+
+function isAuthError(error) {
+  return error.response?.status === 401;
+}
+
+module.exports = {
+  id: 'pinterest',
+  name: 'Pinterest',
+  auth: 'oauth',
+  oauth: {
+    authorizeUrl: 'https://www.pinterest.com/oauth/',
+    clientId: () => process.env.PINTEREST_APP_ID,
+    scope: 'ads:read',
+    extraParams: { response_type: 'code' }
+  },
+  // Access tokens last 30 days; refresh tokens a year
+  refreshWindowMs: 2 * 24 * 60 * 60 * 1000,
+  exchangeCode,
+  refreshTokens,
+  listAccounts,
+  fetchDailyMetrics,
+  isAuthError
+};
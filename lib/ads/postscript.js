@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { eachDayOfInterval, format, getDaysInMonth, parseISO } = require('date-fns');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const POSTSCRIPT_API_URL = process.env.POSTSCRIPT_API_URL || 'https://api.postscript.io/api/v2';
+
+function postscriptHeaders(apiKey) {
+  return {
+    Authorization: `Bearer ${apiKey}`,
+    accept: 'application/json'
+  };
+}
+
+const EMPTY_DAY = { billedMessages: 0, clicks: 0, attributedOrders: 0, attributedRevenue: 0 };
+
+// Per-day messages sent, link clicks and Postscript-attributed orders, keyed by YYYY-MM-DD
+async function fetchDailyMessageStats(apiKey, startDate, endDate, retries) {
+  const stats = new Map();
+  let url = `${POSTSCRIPT_API_URL}/analytics/messages`;
+  let params = { start_date: startDate, end_date: endDate, group_by: 'day' };
+
+  while (url) {
+    const response = await withRateLimitRetries(() => axios.get(url, { headers: postscriptHeaders(apiKey), params }), { retries });
+    (response.data.data || []).forEach(row => {
+      stats.set(row.date.slice(0, 10), {
+        // Message segments are what Postscript bills for; fall back to messages when absent
+        billedMessages: Number(row.segments_sent ?? row.messages_sent ?? 0),
+        clicks: Number(row.clicks || 0),
+        attributedOrders: Number(row.attributed_orders || 0),
+        attributedRevenue: Number(row.attributed_revenue || 0)
+      });
+    });
+    url = response.data.links?.next;
+    params = undefined;
+  }
+
+  return stats;
+}
+
+// Spend is the configured plan fee prorated per day plus billed messages at the configured
+// rate. account.settings holds { monthlyFee, costPerSms }.
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const { monthlyFee = 0, costPerSms = 0 } = account.settings || {};
+  const stats = await fetchDailyMessageStats(account.accessToken, startDate, endDate, retries);
+
+  return eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) }).map(date => {
+    const day = format(date, 'yyyy-MM-dd');
+    const dayStats = stats.get(day) || EMPTY_DAY;
+    return {
+      date: day,
+      spend: monthlyFee / getDaysInMonth(date) + dayStats.billedMessages * costPerSms,
+      clicks: dayStats.clicks,
+      impressions: 0,
+      conversions: dayStats.attributedOrders,
+      conversionValue: dayStats.attributedRevenue
+    };
+  });
+}
+
+// Check a private API key before saving it
+async function verifyApiKey(apiKey) {
+  const response = await axios.get(`${POSTSCRIPT_API_URL}/shops/me`, { headers: postscriptHeaders(apiKey) });
+  const shop = response.data.data || response.data;
+  return {
+    accountId: String(shop.id),
+    accountName: shop.name || 'Postscript',
+    currency: shop.currency
+  };
+}
+
+function isAuthError(error) {
+  return error.response?.status === 401 || error.response?.status === 403;
+}
+
+module.exports = {
+  id: 'postscript',
+  name: 'Postscript',
+  auth: 'apiKey',
+  verifyApiKey,
+  fetchDailyMetrics,
+  isAuthError
+};
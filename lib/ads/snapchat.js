@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { getRedirectUri, expiresAt, getAccessToken, refreshAccountToken } = require('./connections');
+const { addDaysToDay, splitDayRange } = require('../dates');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const SNAPCHAT_API_URL = process.env.SNAPCHAT_API_URL || 'https://adsapi.snapchat.com/v1';
+const SNAPCHAT_TOKEN_URL = process.env.SNAPCHAT_TOKEN_URL || 'https://accounts.snapchat.com/login/oauth2/access_token';
+// Day-granularity stats cover at most 32 days per request
+const MAX_STATS_DAYS = 31;
+
+async function requestToken(params) {
+  const response = await axios.post(SNAPCHAT_TOKEN_URL, new URLSearchParams({
+    client_id: process.env.SNAPCHAT_CLIENT_ID,
+    client_secret: process.env.SNAPCHAT_CLIENT_SECRET,
+    ...params
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return {
+    accessToken: response.data.access_token,
+    refreshToken: response.data.refresh_token,
+    tokenExpiresAt: expiresAt(response.data.expires_in)
+  };
+}
+
+async function exchangeCode(code) {
+  return requestToken({ grant_type: 'authorization_code', code, redirect_uri: getRedirectUri('snapchat') });
+}
+
+async function refreshTokens(connection) {
+  return requestToken({ grant_type: 'refresh_token', refresh_token: connection.refreshToken });
+}
+
+async function listAccounts(connection) {
+  const accessToken = await getAccessToken(connection, refreshTokens);
+  const response = await axios.get(`${SNAPCHAT_API_URL}/me/organizations`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    params: { with_ad_accounts: true }
+  });
+
+  const accounts = [];
+  response.data.organizations.forEach(({ organization }) => {
+    (organization.ad_accounts || []).forEach(account => {
+      accounts.push({ accountId: account.id, accountName: account.name, currency: account.currency });
+    });
+  });
+  return accounts;
+}
+
+async function fetchStats(account, accessToken, startDate, endDate, retries) {
+  const response = await withRateLimitRetries(() => axios.get(`${SNAPCHAT_API_URL}/adaccounts/${account.accountId}/stats`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    params: {
+      granularity: 'DAY',
+      fields: 'spend,impressions,swipes,conversion_purchases,conversion_purchases_value',
+      // Day-granularity stats need midnight boundaries; end_time is exclusive
+      start_time: `${startDate}T00:00:00`,
+      end_time: `${addDaysToDay(endDate, 1)}T00:00:00`
+    }
+  }), { retries });
+  return response.data.timeseries_stats[0].timeseries_stat.timeseries;
+}
+
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  let accessToken = await getAccessToken(account, refreshTokens);
+  const timeseries = [];
+  for (const chunk of splitDayRange(startDate, endDate, MAX_STATS_DAYS)) {
+    try {
+      timeseries.push(...await fetchStats(account, accessToken, chunk.startDay, chunk.endDay, retries));
+    } catch (error) {
+      // Tokens last only half an hour, so one may lapse between the check and the request
+      if (error.response?.status !== 401 || !account.refreshToken) throw error;
+      accessToken = await refreshAccountToken(account, refreshTokens);
+      timeseries.push(...await fetchStats(account, accessToken, chunk.startDay, chunk.endDay, retries));
+    }
+  }
+
+  return timeseries.map(({ start_time: startTime, stats }) => ({
+    date: startTime.slice(0, 10),
+    // Currency amounts are in micro units of the ad account's currency
+    spend: (stats.spend || 0) / 1e6,
+    clicks: stats.swipes || 0,
+    impressions: stats.impressions || 0,
+    conversions: stats.conversion_purchases || 0,
+    conversionValue: (stats.conversion_purchases_value || 0) / 1e6
+  }));
+}
+
+function isAuthError(error) {
+  return error.response?.status === 401;
+}
+
+module.exports = {
+  id: 'snapchat',
+  name: 'Snapchat',
+  auth: 'oauth',
+  oauth: {
+    authorizeUrl: 'https://accounts.snapchat.com/login/oauth2/authorize',
+    clientId: () => process.env.SNAPCHAT_CLIENT_ID,
+    scope: 'snapchat-marketing-api',
+    extraParams: { response_type: 'code' }
+  },
+  refreshWindowMs: 5 * 60 * 1000,
+  exchangeCode,
+  refreshTokens,
+  listAccounts,
+  fetchDailyMetrics,
+  isAuthError
+};
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const { splitDayRange } = require('../dates');
+const { withRateLimitRetries } = require('../rateLimits');
+
+const TIKTOK_API_URL = process.env.TIKTOK_API_URL || 'https://business-api.tiktok.com/open_api/v1.3';
+// Daily breakdowns are limited to 30 days per report request
+const MAX_REPORT_DAYS = 30;
+// Access token missing, expired, or revoked
+const AUTH_ERROR_CODES = [40102, 40104, 40105];
+
+// The Marketing API answers HTTP 200 with a non-zero `code` on failure, so surface those as errors
+async function tiktokRequest(method, path, { accessToken, params, data, retries = 0 } = {}) {
+  return withRateLimitRetries(async () => {
+    const response = await axios({
+      method,
+      url: `${TIKTOK_API_URL}${path}`,
+      headers: accessToken ? { 'Access-Token': accessToken } : {},
+      params,
+      data
+    });
+    if (response.data.code !== 0) {
+      const error = new Error(`TikTok API error ${response.data.code}: ${response.data.message}`);
+      error.tiktokCode = response.data.code;
+      throw error;
+    }
+    return response.data.data;
+  }, { retries });
+}
+
+// TikTok advertiser tokens don't expire until the advertiser revokes them, so there's no refresh
+async function exchangeCode(code) {
+  const data = await tiktokRequest('post', '/oauth2/access_token/', {
+    data: {
+      app_id: process.env.TIKTOK_APP_ID,
+      secret: process.env.TIKTOK_APP_SECRET,
+      auth_code: code
+    }
+  });
+  return { accessToken: data.access_token, tokenExpiresAt: null };
+}
+
+async function listAccounts(connection) {
+  const { list = [] } = await tiktokRequest('get', '/oauth2/advertiser/get/', {
+    accessToken: connection.accessToken,
+    params: { app_id: process.env.TIKTOK_APP_ID, secret: process.env.TIKTOK_APP_SECRET }
+  });
+  if (list.length === 0) return [];
+
+  // Currency isn't part of the grant listing, so look it up per advertiser
+  const details = await tiktokRequest('get', '/advertiser/info/', {
+    accessToken: connection.accessToken,
+    params: {
+      advertiser_ids: JSON.stringify(list.map(advertiser => String(advertiser.advertiser_id))),
+      fields: JSON.stringify(['advertiser_id', 'name', 'currency'])
+    }
+  });
+  const currencies = new Map((details.list || []).map(info => [String(info.advertiser_id), info.currency]));
+
+  return list.map(advertiser => ({
+    accountId: String(advertiser.advertiser_id),
+    accountName: advertiser.advertiser_name,
+    currency: currencies.get(String(advertiser.advertiser_id))
+  }));
+}
+
+async function fetchDailyMetrics(account, startDate, endDate, { retries = 0 } = {}) {
+  const daily = [];
+
+  for (const chunk of splitDayRange(startDate, endDate, MAX_REPORT_DAYS)) {
+    const data = await tiktokRequest('get', '/report/integrated/get/', {
+      accessToken: account.accessToken,
+      params: {
+        advertiser_id: account.accountId,
+        report_type: 'BASIC',
+        data_level: 'AUCTION_ADVERTISER',
+        dimensions: JSON.stringify(['stat_time_day']),
+        // total_complete_payment_rate is the value of completed payments, despite the name
+        metrics: JSON.stringify(['spend', 'impressions', 'clicks', 'complete_payment', 'total_complete_payment_rate']),
+        start_date: chunk.startDay,
+        end_date: chunk.endDay,
+        page_size: 1000
+      },
+      retries
+    });
+
+    (data.list || []).forEach(({ dimensions, metrics }) => {
+      daily.push({
+        date: dimensions.stat_time_day.slice(0, 10),
+        spend: parseFloat(metrics.spend) || 0,
+        clicks: parseInt(metrics.clicks) || 0,
+        impressions: parseInt(metrics.impressions) || 0,
+        conversions: parseFloat(metrics.complete_payment) || 0,
+        conversionValue: parseFloat(metrics.total_complete_payment_rate) || 0
+      });
+    });
+  }
+
+  return daily;
+}
+
+function isAuthError(error) {
+  return AUTH_ERROR_CODES.includes(error.tiktokCode) || error.response?.status === 401;
+}
+
+module.exports = {
+  id: 'tiktok',
+  name: 'TikTok',
+  auth: 'oauth',
+  oauth: {
+    authorizeUrl: 'https://business-api.tiktok.com/portal/auth',
+    clientIdParam: 'app_id',
+    clientId: () => process.env.TIKTOK_APP_ID
+  },
+  exchangeCode,
+  listAccounts,
+  fetchDailyMetrics,
+  isAuthError
+};
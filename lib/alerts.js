@@ -0,0 +1,420 @@
+const { format, parseISO } = require('date-fns');
+const prisma = require('./prisma');
+const { addDaysToDay, dayToDate, dateToDay } = require('./dates');
+const { getDailyMetrics, ensureFreshMetrics } = require('./sync');
+const { getDailyExpenses } = require('./costs');
+const { buildTimeseries, sumDailyAdSpend } = require('./timeseries');
+const { fetchMarketingSpend, getConnector } = require('./ads');
+const { getDisplayCurrency } = require('./currency');
+const { getShopToday } = require('./customers');
+const { notifyShop } = require('./notifications');
+const { defineJob, enqueueJob } = require('./jobs');
+
+// Alerts on the daily metrics. A rule fires for a day when all of its conditions hold on that day
+// and on the `days - 1` days before it, e.g. "net margin below 15% for 2 days" or "ad spend up 50%
+// vs the 7-day average with revenue within 10% of its average". Conditions:
+//   { metric, platform?, type: 'threshold', operator: 'below' | 'above' | 'equal', value }
+//   { metric, platform?, type: 'change', operator: 'up' | 'down' | 'flat', value (%), baselineDays }
+//   { metric, platform?, type: 'anomaly', operator: 'up' | 'down' | 'either', value (std devs), baselineDays }
+// `platform` narrows adSpend to one ad platform. Shops also get the default anomaly rules below
+// unless they turn them off, and an alert whenever an ad platform's spend can't be loaded, since
+// that spend would otherwise read as zero.
+//
+// Every hour, shops whose yesterday (shop-local) hasn't been checked yet get it checked, so each
+// day is evaluated once, soon after it ends in the shop's time zone; an alert is raised once per
+// rule and day, and new ones go out on the shop's notification channels.
+
+const ALERT_METRICS = {
+  revenue: { label: 'Revenue', type: 'currency' },
+  netProfit: { label: 'Net profit', type: 'currency' },
+  netMargin: { label: 'Net margin', type: 'percent' },
+  adSpend: { label: 'Ad spend', type: 'currency' },
+  roas: { label: 'ROAS', type: 'ratio' },
+  orders: { label: 'Orders', type: 'count' },
+  averageOrderValue: { label: 'Average order value', type: 'currency' },
+  newCustomers: { label: 'New customers', type: 'count' }
+};
+const CONDITION_OPERATORS = {
+  threshold: ['below', 'above', 'equal'],
+  change: ['up', 'down', 'flat'],
+  anomaly: ['up', 'down', 'either']
+};
+const SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_RULE_DAYS = 14;
+const MAX_BASELINE_DAYS = 28;
+const DEFAULT_BASELINE_DAYS = 7;
+const ALERT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Rolling mean/stddev detector over the last two weeks, on for every shop unless turned off
+const DEFAULT_RULES = [
+  { key: 'default:revenue', name: 'Unusual revenue', metric: 'revenue', operator: 'either' },
+  { key: 'default:netProfit', name: 'Unusual net profit', metric: 'netProfit', operator: 'either' },
+  { key: 'default:adSpend', name: 'Unusual ad spend', metric: 'adSpend', operator: 'either' },
+  { key: 'default:orders', name: 'Unusual order count', metric: 'orders', operator: 'either' }
+].map(({ key, name, metric, operator }) => ({
+  key,
+  name,
+  severity: 'warning',
+  days: 1,
+  conditions: [{ metric, type: 'anomaly', operator, value: 3, baselineDays: 14 }]
+}));
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+// Day -> metric values, with ad spend per platform as `adSpend:<platformId>`. Platforms whose
+// spend couldn't be loaded have no value rather than zero.
+function buildDailyValues({ startDay, endDay, dailyMetrics, dailyExpenses, marketing }) {
+  const series = buildTimeseries({
+    startDay,
+    endDay,
+    granularity: 'day',
+    dailyMetrics,
+    dailyExpenses,
+    dailyAdSpend: sumDailyAdSpend(marketing.breakdown)
+  });
+  const failedPlatforms = new Set(marketing.errors.map(error => error.platformId));
+  const platformSpend = new Map();
+  marketing.breakdown.forEach(account => {
+    const spend = platformSpend.get(account.platformId) || new Map();
+    account.daily.forEach(day => spend.set(day.date, (spend.get(day.date) || 0) + day.spend));
+    platformSpend.set(account.platformId, spend);
+  });
+
+  return new Map(series.map(point => {
+    const values = {
+      revenue: point.revenue,
+      netProfit: point.netProfit,
+      netMargin: point.revenue !== 0 ? (point.netProfit / point.revenue) * 100 : null,
+      // Total spend is unknown while a platform is failing
+      adSpend: failedPlatforms.size > 0 ? null : point.adSpend,
+      roas: point.adSpend > 0 && failedPlatforms.size === 0 ? point.revenue / point.adSpend : null,
+      orders: point.orders,
+      averageOrderValue: point.orders > 0 ? point.averageOrderValue : null,
+      newCustomers: point.newCustomers
+    };
+    platformSpend.forEach((spend, platformId) => {
+      values[`adSpend:${platformId}`] = failedPlatforms.has(platformId) ? null : spend.get(point.date) || 0;
+    });
+    return [point.date, values];
+  }));
+}
+
+function getValue(dailyValues, day, { metric, platform }) {
+  const values = dailyValues.get(day);
+  if (!values) return null;
+  const value = values[platform ? `${metric}:${platform}` : metric];
+  return value ?? null;
+}
+
+// The baselineDays values before a day; null unless all of them are known
+function getBaseline(dailyValues, day, condition) {
+  const values = [];
+  for (let offset = condition.baselineDays; offset >= 1; offset--) {
+    const value = getValue(dailyValues, addDaysToDay(day, -offset), condition);
+    if (value == null) return null;
+    values.push(value);
+  }
+  return values;
+}
+
+// Whether a condition holds on a day, with what it saw for the alert message
+function checkCondition(dailyValues, day, condition) {
+  const value = getValue(dailyValues, day, condition);
+  if (value == null) return { holds: false };
+
+  if (condition.type === 'threshold') {
+    const holds = condition.operator === 'below' ? value < condition.value
+      : condition.operator === 'above' ? value > condition.value
+        : Math.abs(value - condition.value) < 0.005;
+    return { holds, value };
+  }
+
+  const baseline = getBaseline(dailyValues, day, condition);
+  if (!baseline) return { holds: false };
+  const average = mean(baseline);
+
+  if (condition.type === 'change') {
+    if (average === 0) return { holds: condition.operator === 'flat' && value === 0, value, average };
+    const change = ((value - average) / Math.abs(average)) * 100;
+    const holds = condition.operator === 'up' ? change >= condition.value
+      : condition.operator === 'down' ? change <= -condition.value
+        : Math.abs(change) <= condition.value;
+    return { holds, value, average, change };
+  }
+
+  // Anomaly: further than `value` standard deviations from the rolling mean. A flat baseline
+  // has no spread to measure against, so nothing counts as unusual.
+  const deviation = standardDeviation(baseline);
+  if (deviation === 0) return { holds: false };
+  const zScore = (value - average) / deviation;
+  const holds = condition.operator === 'up' ? zScore >= condition.value
+    : condition.operator === 'down' ? zScore <= -condition.value
+      : Math.abs(zScore) >= condition.value;
+  return { holds, value, average, zScore };
+}
+
+function createFormatter({ currency, locale }) {
+  const money = new Intl.NumberFormat(locale || 'en-US', { style: 'currency', currency: currency || 'USD' });
+  return (value, metric) => {
+    const type = ALERT_METRICS[metric].type;
+    if (type === 'currency') return money.format(value);
+    if (type === 'percent') return `${value.toFixed(1)}%`;
+    if (type === 'ratio') return `${value.toFixed(2)}x`;
+    return String(Math.round(value * 10) / 10);
+  };
+}
+
+function describeMetric({ metric, platform }) {
+  const label = ALERT_METRICS[metric].label;
+  return platform ? `${getConnector(platform)?.name || platform} ${label.toLowerCase()}` : label;
+}
+
+// "Net margin was 12.3% (below 15.0%)", "Ad spend was $820.00, up 64% on its 7-day average of $500.00"
+function describeResult(condition, result, formatValue) {
+  const label = describeMetric(condition);
+  const value = formatValue(result.value, condition.metric);
+  if (condition.type === 'threshold') {
+    const limit = formatValue(condition.value, condition.metric);
+    return condition.operator === 'equal'
+      ? `${label} was ${value}`
+      : `${label} was ${value} (${condition.operator} ${limit})`;
+  }
+  const average = formatValue(result.average, condition.metric);
+  if (condition.type === 'change') {
+    const change = result.change ?? 0;
+    return `${label} was ${value}, ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(0)}% on its ${condition.baselineDays}-day average of ${average}`;
+  }
+  return `${label} was ${value} against a ${condition.baselineDays}-day average of ${average} (${Math.abs(result.zScore).toFixed(1)} std devs ${result.zScore > 0 ? 'above' : 'below'})`;
+}
+
+// Check a rule on a day; returns the alert to raise, or null
+function evaluateRule(rule, dailyValues, day, formatValue) {
+  let results;
+  for (let offset = 0; offset < rule.days; offset++) {
+    const checked = rule.conditions.map(condition => checkCondition(dailyValues, addDaysToDay(day, -offset), condition));
+    if (!checked.every(result => result.holds)) return null;
+    if (offset === 0) results = checked;
+  }
+
+  const span = rule.days > 1 ? ` for ${rule.days} days running` : '';
+  return {
+    ruleKey: rule.key,
+    ruleId: rule.id || null,
+    severity: rule.severity,
+    title: rule.name,
+    message: `${rule.conditions.map((condition, index) => describeResult(condition, results[index], formatValue)).join(', and ')} on ${format(parseISO(day), 'MMM d')}${span}.`
+  };
+}
+
+function toRule(alertRule) {
+  return { ...alertRule, key: `rule:${alertRule.id}` };
+}
+
+// Alerts a shop's rules raise for a shop-local day, plus one per ad platform whose spend can't be
+// loaded or whose connection needs reconnecting. The metrics cache must already cover the
+// longest rule's window (see ensureFreshMetrics).
+async function evaluateAlerts(shop, day, { wait = false } = {}) {
+  const [storeSettings, alertRules, brokenConnections] = await Promise.all([
+    prisma.storeSettings.findUnique({ where: { shop } }),
+    prisma.alertRule.findMany({ where: { shop, enabled: true } }),
+    prisma.adConnection.findMany({ where: { shop, status: { not: 'active' } } })
+  ]);
+  const rules = alertRules.map(toRule);
+  if (storeSettings?.anomalyDetection !== false) rules.push(...DEFAULT_RULES);
+
+  const lookback = Math.max(0, ...rules.map(rule => rule.days - 1 + Math.max(0, ...rule.conditions.map(c => c.baselineDays || 0))));
+  const startDay = addDaysToDay(day, -lookback);
+  const [dailyMetrics, dailyExpenses, marketing, display] = await Promise.all([
+    getDailyMetrics(shop, startDay, day),
+    getDailyExpenses(shop, startDay, day),
+    fetchMarketingSpend(shop, startDay, day, { wait }),
+    getDisplayCurrency(shop)
+  ]);
+  const dailyValues = buildDailyValues({ startDay, endDay: day, dailyMetrics, dailyExpenses, marketing });
+  const formatValue = createFormatter(display);
+
+  const alerts = rules
+    .map(rule => evaluateRule(rule, dailyValues, day, formatValue))
+    .filter(Boolean);
+
+  const platformProblems = new Map();
+  marketing.errors.forEach(error => {
+    platformProblems.set(error.platformId, `${error.platform} spend couldn't be loaded: ${error.error}`);
+  });
+  brokenConnections.forEach(connection => {
+    const name = getConnector(connection.platform)?.name || connection.platform;
+    platformProblems.set(connection.platform, `${name} needs reconnecting: ${connection.lastError || 'the connection has expired'}`);
+  });
+  platformProblems.forEach((message, platformId) => {
+    alerts.push({
+      ruleKey: `platform:${platformId}`,
+      ruleId: null,
+      severity: 'critical',
+      title: `${getConnector(platformId)?.name || platformId} ad spend is missing`,
+      message: `${message}. Its spend counts as zero in profit until this is fixed.`
+    });
+  });
+
+  return alerts;
+}
+
+function renderAlerts(shop, alerts) {
+  const subject = alerts.length === 1
+    ? `Profit alert: ${alerts[0].title}`
+    : `${alerts.length} profit alerts for ${shop}`;
+  const text = [
+    `Profit alerts for ${shop}`,
+    '',
+    ...alerts.map(alert => `[${alert.severity}] ${alert.title}\n  ${alert.message}`)
+  ].join('\n');
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const colors = { info: '#2c6ecb', warning: '#b98900', critical: '#d72c0d' };
+  const html = `<!doctype html>
+<html>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#202223;">
+  <h2>Profit alerts for ${escape(shop)}</h2>
+  ${alerts.map(alert => `<div style="border-left:4px solid ${colors[alert.severity]};padding:4px 12px;margin-bottom:12px;">
+    <strong>${escape(alert.title)}</strong>
+    <p style="margin:4px 0;">${escape(alert.message)}</p>
+  </div>`).join('\n  ')}
+</body>
+</html>
+`;
+  return { subject, text, html, data: { type: 'alerts', shop, alerts } };
+}
+
+// Evaluate yesterday for a shop, store the alerts that are new, and send those out. Resolves to
+// null when yesterday has already been checked, unless `force` asks for it again (e.g. after the
+// rules changed). Runs as an 'alerts' job, so orders and ad spend are synced inline first.
+async function checkShopAlerts(session, { force = false } = {}) {
+  const shop = session.shop;
+  const day = addDaysToDay(await getShopToday(session), -1);
+  const checked = await prisma.storeSettings.findUnique({ where: { shop }, select: { alertsCheckedDay: true } });
+  if (!force && checked?.alertsCheckedDay && dateToDay(checked.alertsCheckedDay) >= day) return null;
+  await ensureFreshMetrics(session, addDaysToDay(day, -(MAX_RULE_DAYS + MAX_BASELINE_DAYS)), { wait: true });
+
+  const raised = [];
+  for (const alert of await evaluateAlerts(shop, day, { wait: true })) {
+    const key = { shop_ruleKey_day: { shop, ruleKey: alert.ruleKey, day: dayToDate(day) } };
+    if (await prisma.alert.findUnique({ where: key })) continue;
+    raised.push(await prisma.alert.create({ data: { shop, day: dayToDate(day), ...alert } }));
+  }
+  await prisma.storeSettings.updateMany({ where: { shop }, data: { alertsCheckedDay: dayToDate(day) } });
+
+  if (raised.length > 0) {
+    const storeSettings = await prisma.storeSettings.findUnique({ where: { shop } });
+    const { delivered } = await notifyShop(storeSettings, renderAlerts(shop, raised));
+    if (delivered.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: raised.map(alert => alert.id) } },
+        data: { notifiedAt: new Date() }
+      });
+    }
+  }
+  return raised;
+}
+
+async function checkAllShopAlerts() {
+  const shops = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+    distinct: ['shop']
+  });
+
+  for (const { shop } of shops) {
+    await enqueueJob(shop, 'alerts');
+  }
+}
+
+function startAlertScheduler() {
+  setInterval(() => {
+    checkAllShopAlerts().catch(error => console.error('Alert scheduler error:', error));
+  }, ALERT_CHECK_INTERVAL_MS);
+}
+
+// Alerts are raised once per rule and day, so a retried check doesn't notify twice
+defineJob('alerts', {
+  handler: async (session, { force = false } = {}) => {
+    const raised = await checkShopAlerts(session, { force });
+    return raised && { raised: raised.length };
+  },
+  maxAttempts: 3
+});
+
+// Open alerts from the last `days` days, newest first
+async function getOpenAlerts(shop, today, days = 7) {
+  const alerts = await prisma.alert.findMany({
+    where: { shop, dismissedAt: null, day: { gte: dayToDate(addDaysToDay(today, -days)) } },
+    orderBy: [{ day: 'desc' }, { id: 'desc' }]
+  });
+  return alerts.map(alert => ({ ...alert, day: dateToDay(alert.day) }));
+}
+
+// Check an alert rule; returns an error message or null
+function validateAlertRule({ name, severity, days, conditions }) {
+  if (!name || typeof name !== 'string') return 'name is required';
+  if (severity !== undefined && !SEVERITIES.includes(severity)) {
+    return `severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_RULE_DAYS)) {
+    return `days must be between 1 and ${MAX_RULE_DAYS}`;
+  }
+  if (!Array.isArray(conditions) || conditions.length === 0) return 'conditions must be a non-empty array';
+
+  for (const condition of conditions) {
+    const { metric, platform, type, operator, value, baselineDays } = condition || {};
+    if (!ALERT_METRICS[metric]) return `metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`;
+    if (platform != null && (metric !== 'adSpend' || !getConnector(platform))) {
+      return 'platform only applies to adSpend and must be an ad platform id';
+    }
+    if (!CONDITION_OPERATORS[type]) return `type must be one of: ${Object.keys(CONDITION_OPERATORS).join(', ')}`;
+    if (!CONDITION_OPERATORS[type].includes(operator)) {
+      return `operator for ${type} must be one of: ${CONDITION_OPERATORS[type].join(', ')}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || (type !== 'threshold' && value < 0)) {
+      return 'value must be a number, and not negative for change and anomaly conditions';
+    }
+    if (type !== 'threshold' && baselineDays !== undefined &&
+        (!Number.isInteger(baselineDays) || baselineDays < 2 || baselineDays > MAX_BASELINE_DAYS)) {
+      return `baselineDays must be between 2 and ${MAX_BASELINE_DAYS}`;
+    }
+  }
+  return null;
+}
+
+// A rule as stored, with defaults filled in and unused fields dropped
+function normalizeAlertRule({ name, severity, days, conditions, enabled }) {
+  return {
+    name: name.trim(),
+    severity: severity || 'warning',
+    days: days || 1,
+    enabled: enabled !== false,
+    conditions: conditions.map(({ metric, platform, type, operator, value, baselineDays }) => ({
+      metric,
+      platform: platform || null,
+      type,
+      operator,
+      value,
+      baselineDays: type === 'threshold' ? null : baselineDays || DEFAULT_BASELINE_DAYS
+    }))
+  };
+}
+
+module.exports = {
+  ALERT_METRICS,
+  CONDITION_OPERATORS,
+  DEFAULT_RULES,
+  evaluateAlerts,
+  checkShopAlerts,
+  startAlertScheduler,
+  getOpenAlerts,
+  validateAlertRule,
+  normalizeAlertRule
+};
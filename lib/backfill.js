@@ -0,0 +1,347 @@
+const prisma = require('./prisma');
+const { gidToId, startBulkQuery, waitForBulkOperation, streamJsonl } = require('./bulk');
+const { dayToDate, dateToDay } = require('./dates');
+const { fetchOrderPages, loadStoreSettings, importOrders } = require('./sync');
+const { publish } = require('./events');
+const { defineJob, enqueueJob } = require('./jobs');
+
+// Historical order import. The REST sync starts a new shop off with the last 90 days; this pulls
+// every older order through a GraphQL bulk operation, streams the JSONL export and stores it like
+// any synced order. It runs as a 'backfill' job and saves progress after each batch, so a retry or
+// a restart resumes where it stopped: waiting on the same bulk operation, or skipping the export
+// lines already stored.
+//
+// Bulk queries can't read a connection inside a list field, which rules out refund line items,
+// and GraphQL has no source_name. Both come from one REST call per batch, which also supplies the
+// shop-local created_at the day math relies on (GraphQL timestamps are UTC).
+
+// Also the most ids the REST orders endpoint takes at once
+const ORDERS_PER_BATCH = 250;
+const ACTIVE_STATUSES = ['querying', 'importing'];
+const REST_FIELDS = 'id,created_at,source_name,refunds';
+const MONEY_FIELDS = 'shopMoney { amount } presentmentMoney { amount }';
+// Shopify keeps a bulk export for a week; retrying a failed import within that reuses it
+const RESULT_URL_TTL_MS = 6 * 24 * 60 * 60 * 1000;
+
+function buildOrdersQuery(beforeDay) {
+  const args = beforeDay ? `query: "created_at:<${beforeDay}", sortKey: CREATED_AT` : 'sortKey: CREATED_AT';
+  return `{
+    orders(${args}) {
+      edges {
+        node {
+          id
+          name
+          updatedAt
+          cancelledAt
+          test
+          displayFinancialStatus
+          email
+          customer { legacyResourceId numberOfOrders }
+          currencyCode
+          presentmentCurrencyCode
+          totalPriceSet { ${MONEY_FIELDS} }
+          totalDiscountsSet { ${MONEY_FIELDS} }
+          totalTaxSet { ${MONEY_FIELDS} }
+          totalWeight
+          paymentGatewayNames
+          discountCodes
+          shippingAddress { countryCodeV2 }
+          billingAddress { countryCodeV2 }
+          shippingLines {
+            edges {
+              node { id originalPriceSet { ${MONEY_FIELDS} } }
+            }
+          }
+          lineItems {
+            edges {
+              node {
+                id
+                sku
+                title
+                variantTitle
+                quantity
+                originalUnitPriceSet { ${MONEY_FIELDS} }
+                discountAllocations { allocatedAmountSet { ${MONEY_FIELDS} } }
+                product { id }
+                variant { id }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+// GraphQL MoneyBag -> the REST `<field>_set` shape lib/metrics.js reads
+function toMoneySet(bag) {
+  return {
+    shop_money: { amount: bag?.shopMoney?.amount },
+    presentment_money: { amount: bag?.presentmentMoney?.amount }
+  };
+}
+
+// A bulk export order, with its line items and shipping lines, in the shape of the REST order
+// payload the sync stores. restOrder carries the fields GraphQL can't give us.
+function toRestOrder({ order, lineItems, shippingLines }, restOrder) {
+  const paymentGatewayNames = order.paymentGatewayNames || [];
+  return {
+    id: restOrder.id,
+    name: order.name,
+    created_at: restOrder.created_at,
+    updated_at: order.updatedAt,
+    cancelled_at: order.cancelledAt,
+    test: order.test,
+    financial_status: order.displayFinancialStatus?.toLowerCase() || null,
+    email: order.email,
+    customer: order.customer && {
+      id: order.customer.legacyResourceId,
+      orders_count: parseInt(order.customer.numberOfOrders) || 0
+    },
+    currency: order.currencyCode,
+    presentment_currency: order.presentmentCurrencyCode,
+    total_price: order.totalPriceSet?.shopMoney?.amount,
+    total_price_set: toMoneySet(order.totalPriceSet),
+    total_discounts: order.totalDiscountsSet?.shopMoney?.amount,
+    total_discounts_set: toMoneySet(order.totalDiscountsSet),
+    total_tax: order.totalTaxSet?.shopMoney?.amount,
+    total_tax_set: toMoneySet(order.totalTaxSet),
+    total_weight: parseInt(order.totalWeight) || 0,
+    gateway: paymentGatewayNames[0] || null,
+    payment_gateway_names: paymentGatewayNames,
+    discount_codes: (order.discountCodes || []).map(code => ({ code })),
+    source_name: restOrder.source_name,
+    shipping_address: order.shippingAddress && { country_code: order.shippingAddress.countryCodeV2 },
+    billing_address: order.billingAddress && { country_code: order.billingAddress.countryCodeV2 },
+    shipping_lines: shippingLines.map(line => ({
+      price: line.originalPriceSet?.shopMoney?.amount,
+      price_set: toMoneySet(line.originalPriceSet)
+    })),
+    // Numeric ids, so refund_line_items[].line_item_id finds its line
+    line_items: lineItems.map(item => ({
+      id: Number(gidToId(item.id)),
+      product_id: gidToId(item.product?.id),
+      variant_id: gidToId(item.variant?.id),
+      sku: item.sku,
+      title: item.title,
+      variant_title: item.variantTitle,
+      quantity: item.quantity,
+      price: item.originalUnitPriceSet?.shopMoney?.amount,
+      price_set: toMoneySet(item.originalUnitPriceSet),
+      discount_allocations: (item.discountAllocations || []).map(allocation => ({
+        amount: allocation.allocatedAmountSet?.shopMoney?.amount,
+        amount_set: toMoneySet(allocation.allocatedAmountSet)
+      }))
+    })),
+    refunds: restOrder.refunds || []
+  };
+}
+
+function describeBackfill(backfill) {
+  if (!backfill) return { status: 'not_started' };
+
+  let progress = null;
+  if (backfill.status === 'completed') progress = 100;
+  // The export's size is only known once Shopify has finished writing it
+  else if (backfill.status === 'importing' && backfill.objectCount > 0) {
+    progress = Math.min(Math.floor((backfill.linesImported / backfill.objectCount) * 100), 99);
+  }
+
+  return {
+    status: backfill.status,
+    progress,
+    beforeDay: backfill.beforeDay ? dateToDay(backfill.beforeDay) : null,
+    objectCount: backfill.objectCount,
+    ordersImported: backfill.ordersImported,
+    earliestDay: backfill.earliestDay ? dateToDay(backfill.earliestDay) : null,
+    startedAt: backfill.startedAt,
+    finishedAt: backfill.finishedAt,
+    lastError: backfill.lastError
+  };
+}
+
+// Save progress and tell open dashboards about it
+async function updateBackfill(shop, data) {
+  const backfill = await prisma.orderBackfill.update({ where: { shop }, data });
+  publish(shop, 'backfill', describeBackfill(backfill));
+  return backfill;
+}
+
+// Store a batch of export orders. Orders deleted since the export was built are gone from REST
+// as well and are skipped. Resolves to how many were stored and the days they fell on.
+async function importBatch(session, batch, storeSettings) {
+  const restOrders = new Map();
+  const ids = batch.map(entry => gidToId(entry.order.id));
+  await fetchOrderPages(session, { ids: ids.join(','), status: 'any', fields: REST_FIELDS }, async (orders) => {
+    orders.forEach(order => restOrders.set(String(order.id), order));
+  });
+
+  const orders = batch
+    .filter(entry => restOrders.has(gidToId(entry.order.id)))
+    .map(entry => toRestOrder(entry, restOrders.get(gidToId(entry.order.id))));
+  if (orders.length === 0) return { ordersStored: 0, days: [] };
+
+  return { ordersStored: orders.length, days: await importOrders(session, orders, storeSettings) };
+}
+
+// Stream the export into the metrics store a batch at a time, from the first line not yet stored.
+// Shopify writes each order's line items and shipping lines (tagged with __parentId) after the
+// order itself, so an order is complete once the next one starts.
+async function importExport(session, backfill) {
+  const shop = session.shop;
+  const storeSettings = await loadStoreSettings(shop);
+  let batch = [];
+  let batchOrders = new Map();
+  let { ordersImported } = backfill;
+  let earliestDay = backfill.earliestDay ? dateToDay(backfill.earliestDay) : null;
+
+  const storeBatch = async (linesImported) => {
+    const { ordersStored, days } = await importBatch(session, batch, storeSettings);
+    ordersImported += ordersStored;
+    days.forEach(day => {
+      if (!earliestDay || day < earliestDay) earliestDay = day;
+    });
+    batch = [];
+    batchOrders = new Map();
+    await updateBackfill(shop, {
+      linesImported,
+      ordersImported,
+      earliestDay: earliestDay ? dayToDate(earliestDay) : null
+    });
+  };
+
+  const lineCount = await streamJsonl(backfill.resultUrl, async (record, lineNumber) => {
+    if (record.__parentId) {
+      const entry = batchOrders.get(record.__parentId);
+      if (!entry) {
+        // Lines always follow their order, so this shouldn't happen; don't fail the import over it
+        console.warn(`Skipping line ${lineNumber} of ${shop}'s order export: its order ${record.__parentId} isn't in the current batch`);
+        return;
+      }
+      if (record.id.includes('/ShippingLine/')) entry.shippingLines.push(record);
+      else entry.lineItems.push(record);
+      return;
+    }
+
+    if (batch.length === ORDERS_PER_BATCH) await storeBatch(lineNumber - 1);
+    const entry = { order: record, lineItems: [], shippingLines: [] };
+    batch.push(entry);
+    batchOrders.set(record.id, entry);
+  }, { skipLines: backfill.linesImported });
+
+  if (batch.length > 0) await storeBatch(lineCount);
+}
+
+// Let the regular sync know how far back the cache now reaches, so older date ranges don't send
+// it back to Shopify for orders that are already stored
+async function extendSyncCoverage(shop, earliestDay) {
+  const state = await prisma.syncState.findUnique({ where: { shop } });
+  if (!earliestDay || !state?.syncedFrom || earliestDay >= state.syncedFrom) return;
+  await prisma.syncState.update({ where: { shop }, data: { syncedFrom: earliestDay } });
+}
+
+// Job handler. Errors are retried with the job's backoff, and the import only counts as failed
+// once the job is out of attempts; until then it stays active with the error that held it up.
+async function runBackfill(session, payload, job) {
+  const shop = session.shop;
+  let backfill = await prisma.orderBackfill.findUnique({ where: { shop } });
+  // Finished, or given up on, since the job was queued
+  if (!backfill || !ACTIVE_STATUSES.includes(backfill.status)) return null;
+
+  try {
+    if (backfill.status === 'querying') {
+      let reportedCount = backfill.objectCount;
+      const operation = await waitForBulkOperation(session, backfill.operationId, async (objectCount) => {
+        if (objectCount === reportedCount) return;
+        reportedCount = objectCount;
+        await updateBackfill(shop, { objectCount });
+      });
+      backfill = await updateBackfill(shop, {
+        status: 'importing',
+        resultUrl: operation.url,
+        objectCount: parseInt(operation.objectCount) || 0
+      });
+    }
+
+    // No url: nothing older than what the regular sync already covers
+    if (backfill.resultUrl) await importExport(session, backfill);
+
+    backfill = await prisma.orderBackfill.findUnique({ where: { shop } });
+    await extendSyncCoverage(shop, backfill.earliestDay);
+    await updateBackfill(shop, { status: 'completed', finishedAt: new Date(), lastError: null });
+    return { ordersImported: backfill.ordersImported };
+  } catch (error) {
+    await updateBackfill(shop, job.attempts >= job.maxAttempts
+      ? { status: 'failed', finishedAt: new Date(), lastError: error.message }
+      : { lastError: error.message });
+    throw error;
+  }
+}
+
+// Start importing every order placed before the regular sync's window (all of them for a shop
+// that hasn't synced yet). Resolves once Shopify has accepted the bulk query; a job carries the
+// import on in the background. An import already under way is resumed rather than restarted, and so is
+// one that failed while its export is still available.
+async function startOrderBackfill(session) {
+  const shop = session.shop;
+  const existing = await prisma.orderBackfill.findUnique({ where: { shop } });
+  if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+    await enqueueJob(shop, 'backfill');
+    return describeBackfill(existing);
+  }
+  if (existing?.status === 'failed' && existing.resultUrl && Date.now() - existing.startedAt < RESULT_URL_TTL_MS) {
+    const backfill = await updateBackfill(shop, { status: 'importing', finishedAt: null, lastError: null });
+    await enqueueJob(shop, 'backfill');
+    return describeBackfill(backfill);
+  }
+
+  const state = await prisma.syncState.findUnique({ where: { shop } });
+  const beforeDay = state?.lastSyncedAt && state.syncedFrom ? dateToDay(state.syncedFrom) : null;
+  const data = {
+    status: 'querying',
+    beforeDay: beforeDay ? dayToDate(beforeDay) : null,
+    operationId: null,
+    resultUrl: null,
+    objectCount: 0,
+    linesImported: 0,
+    ordersImported: 0,
+    earliestDay: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    lastError: null
+  };
+
+  try {
+    data.operationId = await startBulkQuery(session, buildOrdersQuery(beforeDay));
+  } catch (error) {
+    // Recorded so the app can say why, e.g. another bulk query (a cost sync) is still running
+    Object.assign(data, { status: 'failed', finishedAt: new Date(), lastError: error.message });
+  }
+
+  const backfill = await prisma.orderBackfill.upsert({ where: { shop }, update: data, create: { shop, ...data } });
+  publish(shop, 'backfill', describeBackfill(backfill));
+  if (backfill.status === 'querying') await enqueueJob(shop, 'backfill');
+  return describeBackfill(backfill);
+}
+
+// Newly installed shops get their history without having to ask for it
+async function backfillOnInstall(session) {
+  const existing = await prisma.orderBackfill.findUnique({ where: { shop: session.shop } });
+  if (!existing) await startOrderBackfill(session);
+}
+
+async function getBackfillStatus(shop) {
+  return describeBackfill(await prisma.orderBackfill.findUnique({ where: { shop } }));
+}
+
+// Make sure every import under way has a job to carry it on; one queued twice finds nothing to do
+async function resumeOrderBackfills() {
+  const backfills = await prisma.orderBackfill.findMany({ where: { status: { in: ACTIVE_STATUSES } } });
+  for (const { shop } of backfills) {
+    await enqueueJob(shop, 'backfill');
+  }
+}
+
+defineJob('backfill', { handler: runBackfill });
+
+module.exports = { startOrderBackfill, backfillOnInstall, getBackfillStatus, resumeOrderBackfills };
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const readline = require('readline');
+const { shopify } = require('./shopify');
+const { SHOPIFY_REQUEST_TRIES, waitForGraphqlBucket } = require('./rateLimits');
+
+// Shopify GraphQL helpers: plain queries and bulk operations, whose results arrive as a JSONL file
+
+const BULK_POLL_INTERVAL_MS = 5000;
+
+async function graphqlQuery(session, query, variables) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const response = await client.query({ data: { query, variables }, tries: SHOPIFY_REQUEST_TRIES });
+  await waitForGraphqlBucket(response.body.extensions?.cost);
+  return response.body.data;
+}
+
+// 'gid://shopify/ProductVariant/123' -> '123', to match the numeric ids REST payloads use
+function gidToId(gid) {
+  return gid ? gid.split('/').pop() : null;
+}
+
+async function getBulkOperation(session, id) {
+  const data = await graphqlQuery(session, `query bulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }`, { id });
+  return data.node;
+}
+
+// Start a bulk query and resolve to its BulkOperation id. Shopify runs one bulk query per shop at
+// a time, and rejects a second while one is running.
+async function startBulkQuery(session, query) {
+  const data = await graphqlQuery(session, `mutation runBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }`, { query });
+
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors.length > 0) {
+    throw new Error(`Bulk query rejected: ${userErrors.map(error => error.message).join('; ')}`);
+  }
+  return bulkOperation.id;
+}
+
+// Wait for a bulk operation to finish and resolve to it; its url is null when the query matched
+// nothing. onProgress gets the number of records Shopify has written so far.
+async function waitForBulkOperation(session, id, onProgress) {
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+    const operation = await getBulkOperation(session, id);
+
+    if (!operation) throw new Error('Bulk operation no longer exists');
+    if (operation.status === 'COMPLETED') return operation;
+    if (['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'].includes(operation.status)) {
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+    }
+    if (onProgress) await onProgress(parseInt(operation.objectCount) || 0);
+  }
+}
+
+// Run a bulk query to completion. Resolves to the result file URL, or null when it matched nothing.
+async function runBulkQuery(session, query) {
+  const operation = await waitForBulkOperation(session, await startBulkQuery(session, query));
+  return operation.url;
+}
+
+// Read a bulk operation result line by line, so large exports never sit in memory whole.
+// onRecord also gets the line's number; skipLines resumes after lines already handled.
+async function streamJsonl(url, onRecord, { skipLines = 0 } = {}) {
+  const response = await axios.get(url, { responseType: 'stream' });
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (lineNumber > skipLines && line.trim()) await onRecord(JSON.parse(line), lineNumber);
+  }
+  return lineNumber;
+}
+
+module.exports = { graphqlQuery, gidToId, startBulkQuery, waitForBulkOperation, runBulkQuery, streamJsonl };
@@ -0,0 +1,292 @@
+const { parse } = require('csv-parse/sync');
+const { graphqlQuery, gidToId } = require('./bulk');
+
+// Per-SKU cost CSVs: importing with a dry-run preview, column mapping and merge/replace modes,
+// and exporting the current costs in a shape that imports back unchanged.
+
+const KEY_TYPES = ['sku', 'variant_id', 'barcode'];
+const IMPORT_MODES = ['merge', 'replace'];
+const DECIMAL_SEPARATORS = ['auto', '.', ','];
+
+// Header spellings recognised when no column is mapped, compared lowercased without spaces,
+// underscores or dashes. Covers Shopify's own product export ("Variant SKU", "Cost per item").
+const COLUMN_ALIASES = {
+  sku: ['sku', 'variantsku'],
+  variant_id: ['variantid'],
+  barcode: ['barcode', 'variantbarcode', 'upc', 'ean', 'gtin'],
+  cost: ['cogs', 'cost', 'unitcost', 'costperitem', 'variantcost']
+};
+
+const KEY_LABELS = { sku: 'SKU', variant_id: 'variant ID', barcode: 'barcode' };
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function findColumn(headers, aliases) {
+  return headers.find(header => aliases.includes(normalizeHeader(header))) || null;
+}
+
+// Comma, semicolon or tab, whichever splits the header row most. Spreadsheets set to a locale with
+// decimal commas export with semicolons.
+function detectDelimiter(buffer) {
+  const headerRow = buffer.toString('utf8').split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: headerRow.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Parse the upload into its header row and records with their line numbers
+function readCostsCsv(buffer) {
+  let headers = [];
+  const records = parse(buffer, {
+    bom: true,
+    columns: header => {
+      headers = header.map(column => column.trim());
+      return headers;
+    },
+    delimiter: detectDelimiter(buffer),
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+  return { headers, rows: records.map(({ record, info }) => ({ line: info.lines, values: record })) };
+}
+
+// Which columns hold the key and the cost: the ones the merchant mapped, otherwise guessed from the
+// headers, preferring SKU over variant ID over barcode. Throws RangeError when a column can't be found.
+function resolveColumnMapping(headers, { keyType, keyColumn, costColumn } = {}) {
+  const mapping = { keyType: keyType || null, keyColumn: keyColumn || null, costColumn: costColumn || null };
+
+  if (!mapping.keyColumn) {
+    const types = mapping.keyType ? [mapping.keyType] : KEY_TYPES;
+    for (const type of types) {
+      const column = findColumn(headers, COLUMN_ALIASES[type]);
+      if (column) {
+        mapping.keyType = type;
+        mapping.keyColumn = column;
+        break;
+      }
+    }
+  }
+  mapping.keyType = mapping.keyType || 'sku';
+  mapping.costColumn = mapping.costColumn || findColumn(headers, COLUMN_ALIASES.cost);
+
+  if (!mapping.keyColumn || !headers.includes(mapping.keyColumn)) {
+    throw new RangeError(
+      `Couldn't find the ${KEY_LABELS[mapping.keyType]} column; map it to one of: ${headers.join(', ')}`
+    );
+  }
+  if (!mapping.costColumn || !headers.includes(mapping.costColumn)) {
+    throw new RangeError(`Couldn't find the cost column; map it to one of: ${headers.join(', ')}`);
+  }
+  return mapping;
+}
+
+// Decimal separator a file uses, judged from the costs that can only be read one way
+// ("12,50", "1.234,56" vs "12.50", "1,234.56"); dot when nothing gives it away
+function detectDecimalSeparator(values) {
+  let comma = 0;
+  let dot = 0;
+  values.map(value => String(value).replace(/[^\d.,]/g, '')).forEach(value => {
+    if (/,\d{1,2}$/.test(value) || /\.\d{3},/.test(value)) comma++;
+    if (/\.\d{1,2}$/.test(value) || /,\d{3}\./.test(value)) dot++;
+  });
+  return comma > dot ? ',' : '.';
+}
+
+// "$1,234.50", "12,50 €" or "EUR 9" -> number; undefined when blank, NaN when unreadable
+function parseCost(value, decimalSeparator) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  if (/^\(.*\)$/.test(text)) return -parseCost(text.slice(1, -1), decimalSeparator);
+
+  const numeric = text.replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(numeric) || /\d-|-.*-/.test(numeric)) return NaN;
+  const thousands = decimalSeparator === ',' ? '.' : ',';
+  const normalized = numeric.split(thousands).join('').replace(decimalSeparator, '.');
+  return /^-?\d*\.?\d+$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+// Every variant's id, SKU and barcode, for resolving variant ID/barcode keys and flagging SKUs
+// the store doesn't sell
+async function loadVariantCatalog(session) {
+  const catalog = { bySku: new Map(), byVariantId: new Map(), byBarcode: new Map() };
+  let cursor = null;
+
+  do {
+    const data = await graphqlQuery(session, `query variantCatalog($cursor: String) {
+      productVariants(first: 250, after: $cursor) {
+        nodes { id sku barcode displayName }
+        pageInfo { hasNextPage endCursor }
+      }
+    }`, { cursor });
+
+    data.productVariants.nodes.forEach(node => {
+      const variant = {
+        variantId: gidToId(node.id),
+        sku: node.sku || null,
+        barcode: node.barcode || null,
+        title: node.displayName
+      };
+      catalog.byVariantId.set(variant.variantId, variant);
+      if (variant.sku && !catalog.bySku.has(variant.sku)) catalog.bySku.set(variant.sku, variant);
+      if (variant.barcode && !catalog.byBarcode.has(variant.barcode)) {
+        catalog.byBarcode.set(variant.barcode, variant);
+      }
+    });
+
+    const { pageInfo } = data.productVariants;
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return catalog;
+}
+
+// The SKU a row's key refers to, or the reason it can't be used. Custom costs are stored per SKU,
+// so variant ID and barcode keys resolve through the catalog.
+function resolveSku(key, keyType, catalog) {
+  if (keyType === 'sku') return { sku: key };
+
+  const variant = keyType === 'variant_id'
+    ? catalog.byVariantId.get(gidToId(key))
+    : catalog.byBarcode.get(key);
+  if (!variant) return { error: `No variant with ${KEY_LABELS[keyType]} ${key}` };
+  if (!variant.sku) return { error: `Variant ${variant.title} has no SKU; costs are stored per SKU` };
+  return { sku: variant.sku };
+}
+
+// Dry run of an import against the current costs (sku -> cost). Lists the SKUs it would add,
+// change and, in replace mode, remove; rows it can't use and why; and imported SKUs that aren't
+// in the catalog. `changes` (sku -> cost, null to remove) is what applying the import saves.
+function previewCostImport({ headers, rows }, currentCosts, catalog, options = {}) {
+  const mapping = resolveColumnMapping(headers, options);
+  const mode = options.mode || 'merge';
+  const costValues = rows.map(row => row.values[mapping.costColumn] || '');
+  const decimalSeparator = !options.decimalSeparator || options.decimalSeparator === 'auto'
+    ? detectDecimalSeparator(costValues)
+    : options.decimalSeparator;
+
+  const imported = new Map();
+  const listed = new Set();
+  const seenOnLine = new Map();
+  const invalid = [];
+  const unknown = [];
+  let blank = 0;
+
+  rows.forEach(({ line, values }) => {
+    const key = (values[mapping.keyColumn] || '').trim();
+    const rawCost = values[mapping.costColumn];
+    if (!key) {
+      invalid.push({ line, key, cost: rawCost, reason: `Missing ${KEY_LABELS[mapping.keyType]}` });
+      return;
+    }
+
+    const { sku, error } = resolveSku(key, mapping.keyType, catalog);
+    if (error) {
+      invalid.push({ line, key, cost: rawCost, reason: error });
+      return;
+    }
+    listed.add(sku);
+
+    const cost = parseCost(rawCost, decimalSeparator);
+    if (cost === undefined) {
+      blank++;
+    } else if (Number.isNaN(cost)) {
+      invalid.push({ line, key, cost: rawCost, reason: `"${rawCost}" isn't a cost` });
+    } else if (cost < 0) {
+      invalid.push({ line, key, cost: rawCost, reason: 'Cost can\'t be negative' });
+    } else if (seenOnLine.has(sku)) {
+      invalid.push({ line, key, cost: rawCost, reason: `SKU ${sku} is already on line ${seenOnLine.get(sku)}` });
+    } else {
+      seenOnLine.set(sku, line);
+      imported.set(sku, cost);
+      if (catalog && !catalog.bySku.has(sku)) unknown.push({ line, sku, cost });
+    }
+  });
+
+  const added = [];
+  const changed = [];
+  const removed = [];
+  let unchanged = 0;
+  imported.forEach((cost, sku) => {
+    const previousCost = currentCosts.get(sku);
+    if (previousCost === undefined) added.push({ sku, cost });
+    else if (previousCost !== cost) changed.push({ sku, previousCost, cost });
+    else unchanged++;
+  });
+  // Replace drops SKUs missing from the file, but not ones listed on a row that couldn't be read
+  if (mode === 'replace') {
+    currentCosts.forEach((previousCost, sku) => {
+      if (!listed.has(sku)) removed.push({ sku, previousCost });
+    });
+  }
+
+  const changes = new Map([
+    ...added.map(({ sku, cost }) => [sku, cost]),
+    ...changed.map(({ sku, cost }) => [sku, cost]),
+    ...removed.map(({ sku }) => [sku, null])
+  ]);
+
+  return {
+    mode,
+    headers,
+    mapping,
+    decimalSeparator,
+    summary: {
+      rows: rows.length,
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged,
+      blank,
+      invalid: invalid.length,
+      unknown: unknown.length
+    },
+    added,
+    changed,
+    removed,
+    invalid,
+    unknown,
+    changes
+  };
+}
+
+// Check import options; returns an error message or null
+function validateImportOptions({ mode, keyType, decimalSeparator }) {
+  if (mode && !IMPORT_MODES.includes(mode)) return `mode must be one of: ${IMPORT_MODES.join(', ')}`;
+  if (keyType && !KEY_TYPES.includes(keyType)) return `keyType must be one of: ${KEY_TYPES.join(', ')}`;
+  if (decimalSeparator && !DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+    return `decimalSeparator must be one of: ${DECIMAL_SEPARATORS.join(', ')}`;
+  }
+  return null;
+}
+
+function toCsvValue(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Current costs as CSV, one row per SKU. Catalog SKUs without a cost are listed with a blank COGS
+// to fill in; blank costs are skipped on import, so the file round-trips.
+function buildCostsCsv(costs, catalog) {
+  const skus = new Set([...costs.keys(), ...(catalog ? catalog.bySku.keys() : [])]);
+  const lines = [['SKU', 'COGS', 'Product', 'Variant ID', 'Barcode']];
+
+  [...skus].sort().forEach(sku => {
+    const variant = catalog?.bySku.get(sku);
+    lines.push([sku, costs.get(sku), variant?.title, variant?.variantId, variant?.barcode]);
+  });
+  return `${lines.map(line => line.map(toCsvValue).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  KEY_TYPES,
+  readCostsCsv,
+  loadVariantCatalog,
+  previewCostImport,
+  validateImportOptions,
+  buildCostsCsv
+};
@@ -0,0 +1,151 @@
+const { format, endOfMonth, parseISO } = require('date-fns');
+const prisma = require('./prisma');
+const { dayToDate, dateToDay } = require('./dates');
+const { fetchMarketingSpend } = require('./ads');
+const { sumDailyAdSpend } = require('./timeseries');
+
+// Monthly acquisition cohorts: Shopify customers grouped by the month of their first order, then
+// followed month by month for retention, cumulative revenue (LTV) and cumulative contribution
+// profit (revenue less COGS, shipping and payment fees) per customer. CAC is the month's ad spend
+// over the customers acquired in it, blended across channels.
+
+const MAX_COHORT_MONTHS = 24;
+
+// 'YYYY-MM' <-> months since year 0, for month arithmetic without timezones
+function toMonthNumber(month) {
+  const [year, monthOfYear] = month.split('-').map(Number);
+  return year * 12 + monthOfYear - 1;
+}
+
+function fromMonthNumber(number) {
+  return `${Math.floor(number / 12)}-${String((number % 12) + 1).padStart(2, '0')}`;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// Contribution before ad spend: what an order leaves after its own costs
+function orderProfit(order) {
+  return order.revenue - order.cogs - order.shippingCost - order.paymentFees;
+}
+
+// Cohorts for the months from startMonth to endMonth ('YYYY-MM'), followed up to today (a shop-local
+// day). The metrics cache must already cover startMonth (see ensureFreshMetrics).
+async function getCohorts(shop, { startMonth, endMonth, today }) {
+  const startDay = `${startMonth}-01`;
+  const lastDay = format(endOfMonth(parseISO(`${endMonth}-01`)), 'yyyy-MM-dd');
+  const endDay = lastDay < today ? lastDay : today;
+  const currentMonth = toMonthNumber(endDay.slice(0, 7));
+
+  const [customers, orders, marketing] = await Promise.all([
+    prisma.customer.findMany({
+      where: { shop, firstOrderDay: { gte: dayToDate(startDay), lte: dayToDate(endDay) } },
+      select: { customerKey: true, firstOrderDay: true }
+    }),
+    prisma.orderMetrics.findMany({
+      where: {
+        shop,
+        excluded: false,
+        customerKey: { not: null },
+        date: { gte: dayToDate(startDay), lte: dayToDate(endDay) }
+      },
+      select: { customerKey: true, date: true, revenue: true, cogs: true, shippingCost: true, paymentFees: true }
+    }),
+    fetchMarketingSpend(shop, startDay, endDay)
+  ]);
+
+  const cohortOf = new Map(customers.map(c => [c.customerKey, dateToDay(c.firstOrderDay).slice(0, 7)]));
+  const cohorts = new Map();
+  for (let number = toMonthNumber(startMonth); number <= toMonthNumber(endDay.slice(0, 7)); number++) {
+    const month = fromMonthNumber(number);
+    cohorts.set(month, {
+      month,
+      customers: 0,
+      adSpend: 0,
+      // One period per month since acquisition, up to the current month
+      periods: Array.from({ length: currentMonth - number + 1 }, (_, index) => ({
+        monthIndex: index,
+        month: fromMonthNumber(number + index),
+        activeCustomers: new Set(),
+        orders: 0,
+        revenue: 0,
+        profit: 0
+      }))
+    });
+  }
+
+  cohortOf.forEach(month => {
+    cohorts.get(month).customers++;
+  });
+  sumDailyAdSpend(marketing.breakdown).forEach((spend, day) => {
+    const cohort = cohorts.get(day.slice(0, 7));
+    if (cohort) cohort.adSpend += spend;
+  });
+  orders.forEach(order => {
+    const month = cohortOf.get(order.customerKey);
+    if (!month) return;
+    const period = cohorts.get(month)
+      .periods[toMonthNumber(dateToDay(order.date).slice(0, 7)) - toMonthNumber(month)];
+    if (!period) return;
+    period.activeCustomers.add(order.customerKey);
+    period.orders++;
+    period.revenue += order.revenue;
+    period.profit += orderProfit(order);
+  });
+
+  const rows = [...cohorts.values()].map(cohort => {
+    let cumulativeRevenue = 0;
+    let cumulativeProfit = 0;
+    const periods = cohort.periods.map(period => {
+      cumulativeRevenue += period.revenue;
+      cumulativeProfit += period.profit;
+      return {
+        ...period,
+        activeCustomers: period.activeCustomers.size,
+        retention: ratio(period.activeCustomers.size, cohort.customers),
+        cumulativeRevenue,
+        cumulativeProfit,
+        ltv: ratio(cumulativeRevenue, cohort.customers),
+        profitLtv: ratio(cumulativeProfit, cohort.customers)
+      };
+    });
+    const cac = ratio(cohort.adSpend, cohort.customers);
+    const ltv = ratio(cumulativeRevenue, cohort.customers);
+    const profitLtv = ratio(cumulativeProfit, cohort.customers);
+
+    return {
+      ...cohort,
+      periods,
+      cac,
+      ltv,
+      profitLtv,
+      ltvToCac: cac ? ratio(ltv, cac) : null,
+      profitLtvToCac: cac ? ratio(profitLtv, cac) : null
+    };
+  });
+
+  const totalCustomers = rows.reduce((sum, row) => sum + row.customers, 0);
+  const totalAdSpend = rows.reduce((sum, row) => sum + row.adSpend, 0);
+  const totalRevenue = rows.reduce((sum, row) => sum + (row.ltv || 0) * row.customers, 0);
+  const totalProfit = rows.reduce((sum, row) => sum + (row.profitLtv || 0) * row.customers, 0);
+  const cac = ratio(totalAdSpend, totalCustomers);
+
+  return {
+    startDate: startDay,
+    endDate: endDay,
+    cohorts: rows,
+    totals: {
+      customers: totalCustomers,
+      adSpend: totalAdSpend,
+      cac,
+      ltv: ratio(totalRevenue, totalCustomers),
+      profitLtv: ratio(totalProfit, totalCustomers),
+      ltvToCac: cac ? ratio(ratio(totalRevenue, totalCustomers), cac) : null,
+      profitLtvToCac: cac ? ratio(ratio(totalProfit, totalCustomers), cac) : null
+    },
+    adSpendErrors: marketing.errors
+  };
+}
+
+module.exports = { MAX_COHORT_MONTHS, getCohorts };
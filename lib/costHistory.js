@@ -0,0 +1,153 @@
+const { format, isValid, parseISO } = require('date-fns');
+const prisma = require('./prisma');
+const { dayToDate, dateToDay } = require('./dates');
+
+// Unit costs are versioned so each order is costed at the price in effect on the day it was placed,
+// and a supplier price rise doesn't rewrite past profit when cached orders are recomputed.
+// Each source keeps its own history: 'custom' costs (CSV upload or settings) keyed by SKU, and
+// 'shopify' costs (InventoryItem) keyed by variant id. A version with effectiveFrom null applies
+// since always; a key's first cost is recorded that way so orders placed before it pick it up.
+
+const SOURCES = ['custom', 'shopify'];
+
+function today() {
+  return format(new Date(), 'yyyy-MM-dd');
+}
+
+// Cost in effect on a shop-local day: a number, null when the cost had been removed, or undefined
+// when the key had no cost yet. versions must be sorted oldest first.
+function findEffectiveCost(versions, day) {
+  if (!versions) return undefined;
+  for (let i = versions.length - 1; i >= 0; i--) {
+    const { effectiveFrom, cost } = versions[i];
+    if (!effectiveFrom || effectiveFrom <= day) return cost;
+  }
+  return undefined;
+}
+
+// Cost of each key as of its latest version, including ones that only take effect later
+function getLatestCosts(history) {
+  const latest = new Map();
+  history.forEach((versions, key) => {
+    latest.set(key, versions[versions.length - 1].cost);
+  });
+  return latest;
+}
+
+// key -> versions, oldest first. `current` holds costs stored before versioning existed
+// (customCOGS, ProductCost); keys with no versions yet use those since always.
+async function loadCostHistory(shop, source, current = new Map(), keys) {
+  const rows = await prisma.costVersion.findMany({
+    where: { shop, source, ...(keys ? { key: { in: keys } } : {}) },
+    // Since-always versions first; of two versions for the same day the later one wins
+    orderBy: [{ effectiveFrom: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }]
+  });
+
+  const history = new Map();
+  rows.forEach(row => {
+    const versions = history.get(row.key) || [];
+    versions.push({ effectiveFrom: row.effectiveFrom ? dateToDay(row.effectiveFrom) : null, cost: row.cost });
+    history.set(row.key, versions);
+  });
+  current.forEach((cost, key) => {
+    if (!history.has(key) && cost != null) history.set(key, [{ effectiveFrom: null, cost, legacy: true }]);
+  });
+  return history;
+}
+
+// Record new costs for a source from effectiveFrom (a shop-local day, default today). changes maps
+// key -> cost, null removing it; keys whose cost on that day is unchanged are skipped. Every change
+// is written to the audit log. Resolves to the number of keys changed.
+async function recordCostChanges(shop, source, changes, { effectiveFrom, changedBy, reason, current }) {
+  const history = await loadCostHistory(shop, source, current, [...changes.keys()]);
+  const day = effectiveFrom || today();
+  const versions = [];
+  const audit = [];
+
+  changes.forEach((cost, key) => {
+    const existing = history.get(key);
+    const previousCost = findEffectiveCost(existing, day) ?? null;
+    if (previousCost === cost) return;
+
+    // The cost a key had before versioning existed stays in effect up to this change
+    if (existing?.[0].legacy) {
+      versions.push({ shop, source, key, cost: existing[0].cost, effectiveFrom: null });
+    }
+    const versionDay = existing || effectiveFrom ? day : null;
+    versions.push({ shop, source, key, cost, effectiveFrom: versionDay && dayToDate(versionDay) });
+    audit.push({
+      shop,
+      source,
+      key,
+      previousCost,
+      newCost: cost,
+      effectiveFrom: versionDay && dayToDate(versionDay),
+      changedBy: changedBy || null,
+      reason
+    });
+  });
+
+  if (audit.length > 0) {
+    await prisma.$transaction([
+      prisma.costVersion.createMany({ data: versions }),
+      prisma.costAuditLog.createMany({ data: audit })
+    ]);
+  }
+  return audit.length;
+}
+
+// Apply uploaded or edited per-SKU costs (sku -> cost, null to remove) and keep
+// StoreSettings.customCOGS as the latest cost of every SKU
+async function saveCustomCosts(shop, costs, { effectiveFrom, changedBy, reason }) {
+  const settings = await prisma.storeSettings.findUnique({ where: { shop }, select: { customCOGS: true } });
+  const current = new Map(Object.entries(settings?.customCOGS || {}));
+
+  const changed = await recordCostChanges(shop, 'custom', costs, { effectiveFrom, changedBy, reason, current });
+  const latest = getLatestCosts(await loadCostHistory(shop, 'custom', current));
+  const customCOGS = Object.fromEntries([...latest].filter(([, cost]) => cost != null));
+
+  await prisma.storeSettings.upsert({
+    where: { shop },
+    update: { customCOGS },
+    create: { shop, customCOGS }
+  });
+  return { changed, customCOGS };
+}
+
+// Every version of one SKU or variant, oldest first
+async function getCostVersions(shop, source, key) {
+  return prisma.costVersion.findMany({
+    where: { shop, source, key },
+    orderBy: [{ effectiveFrom: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }]
+  });
+}
+
+// Most recent cost changes, optionally for one SKU or variant
+async function getCostAuditLog(shop, { source, key, limit = 100 } = {}) {
+  return prisma.costAuditLog.findMany({
+    where: { shop, ...(source ? { source } : {}), ...(key ? { key } : {}) },
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(limit, 500)
+  });
+}
+
+// Check an effectiveFrom param; returns an error message or null
+function validateEffectiveFrom(effectiveFrom) {
+  if (effectiveFrom === undefined || effectiveFrom === null || effectiveFrom === '') return null;
+  if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom) ||
+      !isValid(parseISO(effectiveFrom))) {
+    return 'effectiveFrom must be a date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+module.exports = {
+  SOURCES,
+  findEffectiveCost,
+  loadCostHistory,
+  recordCostChanges,
+  saveCustomCosts,
+  getCostVersions,
+  getCostAuditLog,
+  validateEffectiveFrom
+};
@@ -0,0 +1,149 @@
+const { eachDayOfInterval, format, getDaysInMonth, getDaysInYear, parseISO } = require('date-fns');
+const prisma = require('./prisma');
+const { dayToDate, dateToDay } = require('./dates');
+
+// Cost engine for everything beyond COGS and ad spend.
+//
+// Per-order costs (shipping and payment fees) are configured on StoreSettings and computed
+// when an order is synced. Fixed costs and one-off expenses live in Expense rows and are
+// spread over the requested date range when the dashboard is read.
+//
+// Per-order cost amounts are in the shop's currency, like the orders they're charged on, and get
+// converted with them. Expenses are entered in the reporting currency.
+
+const SHIPPING_RULE_TYPES = ['none', 'per_order', 'weight_tiers', 'percent'];
+const EXPENSE_RECURRENCES = ['one_time', 'daily', 'weekly', 'monthly', 'yearly'];
+const EXPENSE_CATEGORIES = ['app', 'salary', 'rent', 'software', 'other'];
+
+// shippingCostRule examples:
+//   { type: 'per_order', amount: 7.5 }
+//   { type: 'weight_tiers', tiers: [{ upToGrams: 500, cost: 5 }, { upToGrams: null, cost: 12 }] }
+//   { type: 'percent', percent: 8 }  (of net sales)
+function calculateShippingCost(order, rule, netSales) {
+  if (!rule || rule.type === 'none') return 0;
+  // Digital-only orders have no shipping lines and cost nothing to fulfil
+  if (!order.shipping_lines?.length) return 0;
+
+  switch (rule.type) {
+    case 'per_order':
+      return rule.amount || 0;
+    case 'percent':
+      return netSales * ((rule.percent || 0) / 100);
+    case 'weight_tiers': {
+      const grams = order.total_weight || 0;
+      const tiers = [...(rule.tiers || [])].sort((a, b) =>
+        (a.upToGrams ?? Infinity) - (b.upToGrams ?? Infinity));
+      const tier = tiers.find(t => t.upToGrams == null || grams <= t.upToGrams);
+      return tier?.cost || 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+// paymentFeeRules: [{ gateway: 'shopify_payments', percent: 2.9, fixed: 0.3 }, { gateway: '*', ... }]
+// Fees are charged on the full amount the customer paid, including shipping and tax.
+function calculatePaymentFees(order, rules) {
+  if (!rules?.length) return 0;
+
+  const gateway = order.payment_gateway_names?.[0] || order.gateway;
+  const rule = rules.find(r => r.gateway === gateway) || rules.find(r => r.gateway === '*');
+  if (!rule) return 0;
+
+  const charged = parseFloat(order.total_price_set?.shop_money?.amount ?? order.total_price) || 0;
+  return charged * ((rule.percent || 0) / 100) + (rule.fixed || 0);
+}
+
+// Share of an expense that falls on a single day
+function dailyExpenseAmount(expense, day) {
+  const date = parseISO(day);
+
+  switch (expense.recurrence) {
+    case 'daily':
+      return expense.amount;
+    case 'weekly':
+      return expense.amount / 7;
+    case 'monthly':
+      return expense.amount / getDaysInMonth(date);
+    case 'yearly':
+      return expense.amount / getDaysInYear(date);
+    default:
+      return dateToDay(expense.startDate) === day ? expense.amount : 0;
+  }
+}
+
+// Fixed (recurring) costs and one-off expenses per day for an inclusive day range
+async function getDailyExpenses(shop, startDay, endDay) {
+  const expenses = await prisma.expense.findMany({
+    where: {
+      shop,
+      startDate: { lte: dayToDate(endDay) },
+      OR: [{ endDate: null }, { endDate: { gte: dayToDate(startDay) } }]
+    }
+  });
+
+  const days = eachDayOfInterval({ start: parseISO(startDay), end: parseISO(endDay) });
+
+  return days.map(date => {
+    const day = format(date, 'yyyy-MM-dd');
+    let fixedCosts = 0;
+    let customExpenses = 0;
+
+    expenses.forEach(expense => {
+      const active = dateToDay(expense.startDate) <= day &&
+        (!expense.endDate || dateToDay(expense.endDate) >= day);
+      if (!active) return;
+
+      const amount = dailyExpenseAmount(expense, day);
+      if (expense.recurrence === 'one_time') customExpenses += amount;
+      else fixedCosts += amount;
+    });
+
+    return { day, fixedCosts, customExpenses };
+  });
+}
+
+// Returns an error message for invalid cost settings, or null when they are fine
+function validateCostSettings({ shippingCostRule, paymentFeeRules }) {
+  if (shippingCostRule !== undefined && shippingCostRule !== null) {
+    if (!SHIPPING_RULE_TYPES.includes(shippingCostRule.type)) {
+      return `shippingCostRule.type must be one of ${SHIPPING_RULE_TYPES.join(', ')}`;
+    }
+    if (shippingCostRule.type === 'weight_tiers' && !Array.isArray(shippingCostRule.tiers)) {
+      return 'shippingCostRule.tiers must be an array for weight_tiers';
+    }
+  }
+
+  if (paymentFeeRules !== undefined && paymentFeeRules !== null) {
+    if (!Array.isArray(paymentFeeRules)) return 'paymentFeeRules must be an array';
+    const invalid = paymentFeeRules.find(rule =>
+      typeof rule.gateway !== 'string' || isNaN(Number(rule.percent ?? 0)) || isNaN(Number(rule.fixed ?? 0)));
+    if (invalid) return 'Each payment fee rule needs a gateway plus numeric percent and fixed amounts';
+  }
+
+  return null;
+}
+
+function validateExpense({ name, amount, recurrence, category, startDate, endDate }) {
+  if (!name) return 'name is required';
+  if (typeof amount !== 'number' || isNaN(amount) || amount < 0) return 'amount must be a positive number';
+  if (!EXPENSE_RECURRENCES.includes(recurrence)) {
+    return `recurrence must be one of ${EXPENSE_RECURRENCES.join(', ')}`;
+  }
+  if (category && !EXPENSE_CATEGORIES.includes(category)) {
+    return `category must be one of ${EXPENSE_CATEGORIES.join(', ')}`;
+  }
+  if (!startDate || isNaN(Date.parse(startDate))) return 'startDate must be a valid date';
+  if (endDate && (isNaN(Date.parse(endDate)) || endDate < startDate)) {
+    return 'endDate must be a valid date on or after startDate';
+  }
+  return null;
+}
+
+module.exports = {
+  calculateShippingCost,
+  calculatePaymentFees,
+  getDailyExpenses,
+  validateCostSettings,
+  validateExpense
+};
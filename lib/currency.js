@@ -0,0 +1,138 @@
+const prisma = require('./prisma');
+const { graphqlQuery } = require('./bulk');
+const { dateToDay } = require('./dates');
+
+// Everything is reported in one currency per shop: StoreSettings.reportingCurrency, or the shop's
+// own currency when none is chosen. Order amounts are taken in the shop currency (Shopify's
+// shop_money) and ad spend in each ad account's currency, then converted with the shop's FxRate
+// table at the rate in effect on the day. Rates are entered by the merchant; a pair's first rate
+// also covers the days before it.
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// The shop's currency as Shopify has it, saved on StoreSettings for the profit math
+async function syncShopCurrency(session) {
+  const data = await graphqlQuery(session, '{ shop { currencyCode } }');
+  const shopCurrency = data.shop.currencyCode;
+  await prisma.storeSettings.upsert({
+    where: { shop: session.shop },
+    update: { shopCurrency },
+    create: { shop: session.shop, shopCurrency }
+  });
+  return shopCurrency;
+}
+
+function getReportingCurrency(storeSettings) {
+  return storeSettings?.reportingCurrency || storeSettings?.shopCurrency || null;
+}
+
+// What report amounts are in and how the merchant wants them formatted, for API responses
+async function getDisplayCurrency(shop) {
+  const storeSettings = await prisma.storeSettings.findUnique({
+    where: { shop },
+    select: { shopCurrency: true, reportingCurrency: true, locale: true }
+  });
+  return { currency: getReportingCurrency(storeSettings), locale: storeSettings?.locale || null };
+}
+
+// `${from}:${to}` -> [{ effectiveFrom, rate }], oldest first
+async function loadExchangeRates(shop) {
+  const rows = await prisma.fxRate.findMany({
+    where: { shop },
+    orderBy: [{ effectiveFrom: 'asc' }, { id: 'asc' }]
+  });
+  const rates = new Map();
+  rows.forEach(row => {
+    const pair = `${row.fromCurrency}:${row.toCurrency}`;
+    const versions = rates.get(pair) || [];
+    versions.push({ effectiveFrom: dateToDay(row.effectiveFrom), rate: row.rate });
+    rates.set(pair, versions);
+  });
+  return rates;
+}
+
+function findRate(versions, day) {
+  if (!versions) return null;
+  for (let i = versions.length - 1; i >= 0; i--) {
+    if (versions[i].effectiveFrom <= day) return versions[i].rate;
+  }
+  return versions[0].rate;
+}
+
+// Converts amounts into the reporting currency. Throws when a currency has no rate to it, since
+// adding unconverted amounts would quietly misstate profit.
+function createConverter(reportingCurrency, rates) {
+  const getRate = (fromCurrency, day) => {
+    if (!fromCurrency || !reportingCurrency || fromCurrency === reportingCurrency) return 1;
+
+    const direct = findRate(rates.get(`${fromCurrency}:${reportingCurrency}`), day);
+    if (direct) return direct;
+    const inverse = findRate(rates.get(`${reportingCurrency}:${fromCurrency}`), day);
+    if (inverse) return 1 / inverse;
+
+    throw new Error(`No ${fromCurrency} to ${reportingCurrency} exchange rate; add one under Settings > Currency`);
+  };
+
+  return {
+    reportingCurrency,
+    getRate,
+    convert: (amount, fromCurrency, day) => amount * getRate(fromCurrency, day)
+  };
+}
+
+async function loadConverter(shop, storeSettings) {
+  return createConverter(getReportingCurrency(storeSettings), await loadExchangeRates(shop));
+}
+
+// Currency pairs the shop needs a rate for and doesn't have: its own currency and each active ad
+// account's, into the reporting currency
+async function findMissingRates(shop, storeSettings) {
+  const reportingCurrency = getReportingCurrency(storeSettings);
+  if (!reportingCurrency) return [];
+
+  const [rates, accounts] = await Promise.all([
+    loadExchangeRates(shop),
+    prisma.adAccount.findMany({ where: { shop, isActive: true }, select: { currency: true } })
+  ]);
+  const currencies = new Set([storeSettings.shopCurrency, ...accounts.map(account => account.currency)]);
+  return [...currencies]
+    .filter(currency => currency && currency !== reportingCurrency)
+    .filter(currency => !rates.has(`${currency}:${reportingCurrency}`) && !rates.has(`${reportingCurrency}:${currency}`))
+    .map(currency => ({ fromCurrency: currency, toCurrency: reportingCurrency }));
+}
+
+// Check a rate entry; returns an error message or null
+function validateFxRate({ fromCurrency, toCurrency, rate, effectiveFrom }) {
+  if (!CURRENCY_PATTERN.test(fromCurrency || '') || !CURRENCY_PATTERN.test(toCurrency || '')) {
+    return 'fromCurrency and toCurrency must be three-letter currency codes';
+  }
+  if (fromCurrency === toCurrency) return 'fromCurrency and toCurrency must differ';
+  if (typeof rate !== 'number' || !(rate > 0)) return 'rate must be a positive number';
+  if (typeof effectiveFrom !== 'string' || isNaN(new Date(effectiveFrom))) return 'effectiveFrom must be a date';
+  return null;
+}
+
+// Check reporting currency and locale settings; returns an error message or null
+function validateCurrencySettings({ reportingCurrency, locale }) {
+  if (reportingCurrency != null && reportingCurrency !== '' && !CURRENCY_PATTERN.test(reportingCurrency)) {
+    return 'reportingCurrency must be a three-letter currency code';
+  }
+  if (locale != null && locale !== '') {
+    try {
+      if (Intl.NumberFormat.supportedLocalesOf([locale]).length === 0) return `locale ${locale} isn't supported`;
+    } catch (error) {
+      return 'locale must be a language tag such as en-CA';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  syncShopCurrency,
+  getReportingCurrency,
+  getDisplayCurrency,
+  loadConverter,
+  findMissingRates,
+  validateFxRate,
+  validateCurrencySettings
+};
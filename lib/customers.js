@@ -0,0 +1,132 @@
+const prisma = require('./prisma');
+const { graphqlQuery } = require('./bulk');
+const { toDay, dayToDate } = require('./dates');
+
+// When each Shopify customer placed their first order, from Shopify rather than from whichever of
+// their orders happens to be cached, so repeat buyers whose first order predates the synced window
+// aren't counted as new. Guest checkouts (no customer record) aren't tracked here.
+
+const NODES_PER_QUERY = 250;
+
+const shopTimezones = new Map();
+
+async function getShopTimezone(session) {
+  if (!shopTimezones.has(session.shop)) {
+    const data = await graphqlQuery(session, '{ shop { ianaTimezone } }');
+    shopTimezones.set(session.shop, data.shop.ianaTimezone);
+  }
+  return shopTimezones.get(session.shop);
+}
+
+// Shop-local day of a UTC timestamp; REST order timestamps already carry the shop's offset
+function toShopDay(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(timestamp));
+}
+
+async function getShopToday(session) {
+  return toShopDay(new Date(), await getShopTimezone(session));
+}
+
+// Look up first orders for customer ids in batches: their oldest order and total order count
+async function fetchFirstOrders(session, customerIds) {
+  const timeZone = await getShopTimezone(session);
+  const firstOrders = [];
+
+  for (let i = 0; i < customerIds.length; i += NODES_PER_QUERY) {
+    const ids = customerIds.slice(i, i + NODES_PER_QUERY).map(id => `gid://shopify/Customer/${id}`);
+    const data = await graphqlQuery(session, `query firstOrders($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          legacyResourceId
+          numberOfOrders
+          orders(first: 1, sortKey: CREATED_AT) {
+            nodes { legacyResourceId createdAt }
+          }
+        }
+      }
+    }`, { ids });
+
+    data.nodes.filter(Boolean).forEach(customer => {
+      const order = customer.orders.nodes[0];
+      firstOrders.push({
+        customerKey: customer.legacyResourceId,
+        ordersCount: parseInt(customer.numberOfOrders) || 0,
+        firstOrderId: order?.legacyResourceId || null,
+        firstOrderAt: order ? new Date(order.createdAt) : null,
+        firstOrderDay: order ? dayToDate(toShopDay(order.createdAt, timeZone)) : null
+      });
+    });
+  }
+  return firstOrders;
+}
+
+// Record the first order of every customer on a page of Shopify orders we haven't resolved yet.
+// A customer with a single order needs no lookup: this order is their first.
+async function resolveFirstOrders(session, orders) {
+  const shop = session.shop;
+  const customerOrders = new Map();
+  orders.forEach(order => {
+    if (order.customer?.id) customerOrders.set(String(order.customer.id), order);
+  });
+  if (customerOrders.size === 0) return;
+
+  const known = await prisma.customer.findMany({
+    where: { shop, customerKey: { in: [...customerOrders.keys()] }, firstOrderId: { not: null } },
+    select: { customerKey: true }
+  });
+  known.forEach(({ customerKey }) => customerOrders.delete(customerKey));
+
+  const firstOrders = [];
+  const lookups = [];
+  customerOrders.forEach((order, customerKey) => {
+    if (order.customer.orders_count === 1) {
+      firstOrders.push({
+        customerKey,
+        ordersCount: 1,
+        firstOrderId: String(order.id),
+        firstOrderAt: new Date(order.created_at),
+        firstOrderDay: dayToDate(toDay(order.created_at))
+      });
+    } else {
+      lookups.push(customerKey);
+    }
+  });
+  if (lookups.length > 0) {
+    firstOrders.push(...await fetchFirstOrders(session, lookups));
+  }
+  await saveFirstOrders(shop, firstOrders);
+}
+
+// Look up the customers of orders already in the cache that have no first order yet, such as
+// orders stored before first orders were tracked. Resolves to the customer keys looked up.
+async function resolveStoredCustomers(session) {
+  const shop = session.shop;
+  const stored = await prisma.orderMetrics.findMany({
+    // Guest checkouts are keyed by email and have no Shopify customer to ask about
+    where: { shop, customerKey: { not: null }, NOT: { customerKey: { contains: '@' } } },
+    select: { customerKey: true },
+    distinct: ['customerKey']
+  });
+  const known = await prisma.customer.findMany({
+    where: { shop, firstOrderId: { not: null } },
+    select: { customerKey: true }
+  });
+  const knownKeys = new Set(known.map(({ customerKey }) => customerKey));
+  const customerKeys = stored.map(({ customerKey }) => customerKey).filter(key => !knownKeys.has(key));
+
+  await saveFirstOrders(shop, await fetchFirstOrders(session, customerKeys));
+  return customerKeys;
+}
+
+async function saveFirstOrders(shop, firstOrders) {
+  for (const { customerKey, ...data } of firstOrders) {
+    await prisma.customer.upsert({
+      where: { shop_customerKey: { shop, customerKey } },
+      update: data,
+      create: { shop, customerKey, ...data }
+    });
+  }
+}
+
+module.exports = { getShopTimezone, getShopToday, toShopDay, resolveFirstOrders, resolveStoredCustomers };
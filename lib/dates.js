@@ -0,0 +1,107 @@
+const { format, subDays, subYears, isValid, parseISO } = require('date-fns');
+
+const DEFAULT_RANGE_DAYS = 30;
+const COMPARISON_MODES = ['previous', 'year', 'custom', 'none'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shopify timestamps carry the shop's UTC offset, so the first ten characters are the shop-local day
+function toDay(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+// Days are stored as UTC midnight so they compare the same regardless of server timezone
+function dayToDate(day) {
+  return new Date(`${day}T00:00:00.000Z`);
+}
+
+function dateToDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Plain millisecond arithmetic on UTC days, so DST shifts in the server timezone can't skip a day
+function addDaysToDay(day, amount) {
+  return dateToDay(new Date(dayToDate(day).getTime() + amount * DAY_MS));
+}
+
+// Read startDate/endDate query params (YYYY-MM-DD or full ISO timestamps) into an inclusive day range
+function parseDateRange(query) {
+  const today = new Date();
+  const endDay = query.endDate ? toDay(query.endDate) : format(today, 'yyyy-MM-dd');
+  const startDay = query.startDate
+    ? toDay(query.startDate)
+    : format(subDays(today, DEFAULT_RANGE_DAYS), 'yyyy-MM-dd');
+
+  if (!isValid(parseISO(startDay)) || !isValid(parseISO(endDay))) {
+    throw new RangeError('startDate and endDate must be valid dates');
+  }
+  if (startDay > endDay) {
+    throw new RangeError('startDate must be on or before endDate');
+  }
+
+  return { startDay, endDay };
+}
+
+// Split an inclusive day range into consecutive chunks of at most maxDays, for APIs that cap ranges
+function splitDayRange(startDay, endDay, maxDays) {
+  const chunks = [];
+  let chunkStart = startDay;
+  while (chunkStart <= endDay) {
+    const chunkEnd = addDaysToDay(chunkStart, maxDays - 1);
+    chunks.push({ startDay: chunkStart, endDay: chunkEnd < endDay ? chunkEnd : endDay });
+    chunkStart = addDaysToDay(chunkEnd, 1);
+  }
+  return chunks;
+}
+
+function countDays(startDay, endDay) {
+  return Math.round((dayToDate(endDay) - dayToDate(startDay)) / DAY_MS) + 1;
+}
+
+// The equally long range that ends the day before startDay
+function getPreviousPeriod(startDay, endDay) {
+  return {
+    startDay: addDaysToDay(startDay, -countDays(startDay, endDay)),
+    endDay: addDaysToDay(startDay, -1)
+  };
+}
+
+// Comparison range for the `compare` query param: the previous period (default), the same days a
+// year earlier, a custom compareStartDate/compareEndDate range, or 'none' for no comparison (null)
+function parseComparisonRange(query, range) {
+  const mode = query.compare || 'previous';
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw new RangeError(`compare must be one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  if (mode === 'none') return null;
+  if (mode === 'previous') return getPreviousPeriod(range.startDay, range.endDay);
+  if (mode === 'year') {
+    return {
+      startDay: format(subYears(parseISO(range.startDay), 1), 'yyyy-MM-dd'),
+      endDay: format(subYears(parseISO(range.endDay), 1), 'yyyy-MM-dd')
+    };
+  }
+
+  if (!query.compareStartDate || !query.compareEndDate) {
+    throw new RangeError('compareStartDate and compareEndDate are required for a custom comparison');
+  }
+  return parseDateRange({ startDate: query.compareStartDate, endDate: query.compareEndDate });
+}
+
+// First day any of the given ranges needs, so the metrics cache can be backfilled once for all of them
+function getEarliestDay(...ranges) {
+  return ranges.filter(Boolean).map(range => range.startDay).sort()[0];
+}
+
+module.exports = {
+  toDay,
+  dayToDate,
+  dateToDay,
+  addDaysToDay,
+  countDays,
+  parseDateRange,
+  splitDayRange,
+  getPreviousPeriod,
+  parseComparisonRange,
+  getEarliestDay
+};
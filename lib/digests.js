@@ -0,0 +1,329 @@
+const { format, parseISO, startOfWeek } = require('date-fns');
+const prisma = require('./prisma');
+const { addDaysToDay, dayToDate } = require('./dates');
+const { syncShopOrders, ensureFreshMetrics, describeCoverage } = require('./sync');
+const { getRangeMetrics } = require('./timeseries');
+const { fetchMarketingSpend } = require('./ads');
+const { getProductReport } = require('./products');
+const { getDisplayCurrency } = require('./currency');
+const { getShopTimezone, getShopToday, toShopDay } = require('./customers');
+const { getChannels, notifyShop } = require('./notifications');
+const { defineJob, enqueueJob } = require('./jobs');
+
+// Daily and weekly profit digests, sent on the shop's notification channels (lib/notifications.js)
+// once its local clock passes StoreSettings.digestHour. The daily digest covers yesterday, the
+// weekly one the last full Monday-to-Sunday week. DigestDelivery records each scheduled send so a
+// period goes out once, with a few retries when every channel fails.
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_DIGEST_ATTEMPTS = 3;
+const SKUS_PER_LIST = 5;
+
+// Day range a digest covers and the one before it to compare against, for a shop-local today
+function getDigestPeriod(frequency, today) {
+  if (frequency === 'weekly') {
+    const startDay = addDaysToDay(format(startOfWeek(parseISO(today), { weekStartsOn: 1 }), 'yyyy-MM-dd'), -7);
+    return {
+      startDay,
+      endDay: addDaysToDay(startDay, 6),
+      previous: { startDay: addDaysToDay(startDay, -7), endDay: addDaysToDay(startDay, -1) }
+    };
+  }
+  const yesterday = addDaysToDay(today, -1);
+  return {
+    startDay: yesterday,
+    endDay: yesterday,
+    previous: { startDay: addDaysToDay(yesterday, -1), endDay: addDaysToDay(yesterday, -1) }
+  };
+}
+
+function ratio(numerator, denominator) {
+  return denominator !== 0 ? numerator / denominator : null;
+}
+
+function netProfit(metrics, marketing) {
+  return metrics.grossProfit - metrics.totalOperatingCosts - marketing.totalAdSpend;
+}
+
+function summarizeSku(row) {
+  return {
+    sku: row.sku,
+    title: row.variantTitle ? `${row.title} - ${row.variantTitle}` : row.title,
+    unitsSold: row.unitsSold,
+    revenue: row.revenue,
+    grossProfit: row.grossProfit
+  };
+}
+
+// Everything a digest reports for a period, in the shop's reporting currency. Digests that go out
+// pass { wait: true } to sync orders and ad spend first, so late ones from the period make it in;
+// previews are built from what is stored.
+async function buildDigest(session, frequency, today, { wait = false } = {}) {
+  const shop = session.shop;
+  const period = getDigestPeriod(frequency, today);
+
+  if (wait) await syncShopOrders(session);
+  const syncState = await ensureFreshMetrics(session, period.previous.startDay, { wait });
+  // The previous period comes first, so one spend sync covers both
+  const previousMarketing = await fetchMarketingSpend(shop, period.previous.startDay, period.previous.endDay, { wait });
+  const [metrics, previousMetrics, marketing, products, display] = await Promise.all([
+    getRangeMetrics(shop, period),
+    getRangeMetrics(shop, period.previous),
+    fetchMarketingSpend(shop, period.startDay, period.endDay),
+    getProductReport(shop, period, { groupBy: 'sku', sortBy: 'grossProfit', direction: 'desc' }),
+    getDisplayCurrency(shop)
+  ]);
+
+  const adSpendByPlatform = new Map();
+  marketing.breakdown.forEach(account => {
+    adSpendByPlatform.set(account.platform, (adSpendByPlatform.get(account.platform) || 0) + account.total);
+  });
+  const profit = netProfit(metrics, marketing);
+  const topSkus = products.rows.slice(0, SKUS_PER_LIST);
+  const bottomSkus = products.rows.slice(SKUS_PER_LIST).slice(-SKUS_PER_LIST).reverse();
+
+  return {
+    shop,
+    frequency,
+    startDate: period.startDay,
+    endDate: period.endDay,
+    ...display,
+    revenue: metrics.netSales,
+    netProfit: profit,
+    margin: ratio(profit, metrics.netSales),
+    orders: metrics.orderCount,
+    adSpend: marketing.totalAdSpend,
+    adSpendByPlatform: [...adSpendByPlatform].map(([platform, spend]) => ({ platform, spend })),
+    adSpendErrors: [...new Set(marketing.errors.map(error => error.platform))],
+    previous: {
+      startDate: period.previous.startDay,
+      endDate: period.previous.endDay,
+      revenue: previousMetrics.netSales,
+      netProfit: netProfit(previousMetrics, previousMarketing)
+    },
+    topSkus: topSkus.map(summarizeSku),
+    bottomSkus: bottomSkus.map(summarizeSku),
+    complete: describeCoverage(syncState, period.previous.startDay).complete
+  };
+}
+
+function createFormatters({ currency, locale }) {
+  const money = new Intl.NumberFormat(locale || 'en-US', { style: 'currency', currency: currency || 'USD' });
+  return {
+    money: (amount) => money.format(amount),
+    percent: (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`),
+    change: (current, previous) => {
+      if (!previous) return '';
+      const change = (current - previous) / Math.abs(previous);
+      return `${change >= 0 ? '▲' : '▼'} ${Math.abs(change * 100).toFixed(1)}%`;
+    }
+  };
+}
+
+function describePeriod(digest) {
+  if (digest.frequency === 'weekly') {
+    return `${format(parseISO(digest.startDate), 'MMM d')} – ${format(parseISO(digest.endDate), 'MMM d, yyyy')}`;
+  }
+  return format(parseISO(digest.startDate), 'EEEE, MMM d, yyyy');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Subject, plain text and HTML bodies of a digest email (or webhook post)
+function renderDigest(digest) {
+  const f = createFormatters(digest);
+  const title = `${digest.frequency === 'weekly' ? 'Weekly' : 'Daily'} profit digest`;
+  const comparedTo = digest.frequency === 'weekly' ? 'vs previous week' : 'vs previous day';
+  const subject = `${title} for ${describePeriod(digest)}: ${f.money(digest.netProfit)} net profit on ${f.money(digest.revenue)} revenue`;
+
+  const summary = [
+    ['Revenue', f.money(digest.revenue), f.change(digest.revenue, digest.previous.revenue)],
+    ['Net profit', f.money(digest.netProfit), f.change(digest.netProfit, digest.previous.netProfit)],
+    ['Margin', f.percent(digest.margin), ''],
+    ['Orders', String(digest.orders), ''],
+    ['Ad spend', f.money(digest.adSpend), '']
+  ];
+  const skuLists = [
+    ['Top SKUs by gross profit', digest.topSkus],
+    ['Bottom SKUs by gross profit', digest.bottomSkus]
+  ].filter(([, skus]) => skus.length > 0);
+  const notes = [];
+  if (!digest.complete) notes.push('Some orders were still syncing, so these numbers may be incomplete.');
+  if (digest.adSpendErrors.length > 0) {
+    notes.push(`Ad spend from ${digest.adSpendErrors.join(', ')} couldn't be loaded and is left out.`);
+  }
+
+  const text = [
+    `${title} for ${digest.shop}`,
+    describePeriod(digest),
+    '',
+    ...summary.map(([label, value, change]) => `${label.padEnd(12)}${value}${change ? `  (${change} ${comparedTo})` : ''}`),
+    ...digest.adSpendByPlatform.map(({ platform, spend }) => `  ${platform.padEnd(10)}${f.money(spend)}`),
+    ...skuLists.flatMap(([heading, skus]) => [
+      '',
+      heading,
+      ...skus.map(sku => `  ${sku.sku || '(no SKU)'}  ${sku.title}: ${f.money(sku.grossProfit)} on ${sku.unitsSold} units`)
+    ]),
+    ...(notes.length > 0 ? ['', ...notes] : [])
+  ].join('\n');
+
+  const cell = 'padding:4px 12px 4px 0;';
+  const html = `<!doctype html>
+<html>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#202223;">
+  <h2 style="margin-bottom:0;">${escapeHtml(title)}</h2>
+  <p style="margin-top:4px;color:#6d7175;">${escapeHtml(digest.shop)} · ${escapeHtml(describePeriod(digest))}</p>
+  <table style="border-collapse:collapse;">
+    ${summary.map(([label, value, change]) => `<tr>
+      <td style="${cell}">${escapeHtml(label)}</td>
+      <td style="${cell}font-weight:600;text-align:right;">${escapeHtml(value)}</td>
+      <td style="${cell}color:#6d7175;">${change ? escapeHtml(`${change} ${comparedTo}`) : ''}</td>
+    </tr>`).join('')}
+    ${digest.adSpendByPlatform.map(({ platform, spend }) => `<tr>
+      <td style="${cell}padding-left:16px;color:#6d7175;">${escapeHtml(platform)}</td>
+      <td style="${cell}text-align:right;color:#6d7175;">${escapeHtml(f.money(spend))}</td>
+      <td></td>
+    </tr>`).join('')}
+  </table>
+  ${skuLists.map(([heading, skus]) => `<h3>${escapeHtml(heading)}</h3>
+  <table style="border-collapse:collapse;">
+    ${skus.map(sku => `<tr>
+      <td style="${cell}">${escapeHtml(sku.sku || '(no SKU)')}</td>
+      <td style="${cell}">${escapeHtml(sku.title)}</td>
+      <td style="${cell}text-align:right;">${sku.unitsSold} units</td>
+      <td style="${cell}text-align:right;font-weight:600;">${escapeHtml(f.money(sku.grossProfit))}</td>
+    </tr>`).join('')}
+  </table>`).join('\n  ')}
+  ${notes.map(note => `<p style="color:#b98900;">${escapeHtml(note)}</p>`).join('\n  ')}
+</body>
+</html>
+`;
+
+  return { subject, text, html, data: { type: 'digest', digest } };
+}
+
+// The digest as it would go out now, from the stored numbers, without sending it
+async function previewDigest(session, frequency) {
+  return renderDigest(await buildDigest(session, frequency, await getShopToday(session)));
+}
+
+async function requireChannels(shop) {
+  const storeSettings = await prisma.storeSettings.findUnique({ where: { shop } });
+  if (getChannels(storeSettings).length === 0) {
+    throw new RangeError('Add a notification email or webhook URL first');
+  }
+  return storeSettings;
+}
+
+// Queue a digest to be sent right away, whether or not it's due. Resolves to the job.
+async function queueDigest(session, frequency) {
+  await requireChannels(session.shop);
+  return enqueueJob(session.shop, 'digests', { frequency });
+}
+
+// Build and send a digest now; resolves to the result of sending it
+async function sendDigest(session, frequency) {
+  const storeSettings = await requireChannels(session.shop);
+  const digest = await buildDigest(session, frequency, await getShopToday(session), { wait: true });
+  return notifyShop(storeSettings, renderDigest(digest));
+}
+
+function getLocalHour(timeZone) {
+  return parseInt(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date()));
+}
+
+// Send whichever of a shop's digests are due and haven't gone out for their period yet. Runs as a
+// 'digests' job, one per shop at a time, so a slow run can't overlap the next check and send twice.
+async function sendDueDigests(session) {
+  const storeSettings = await prisma.storeSettings.findUnique({ where: { shop: session.shop } });
+  if (!storeSettings || getChannels(storeSettings).length === 0) return;
+  const timeZone = await getShopTimezone(session);
+  if (getLocalHour(timeZone) < storeSettings.digestHour) return;
+  const today = toShopDay(new Date(), timeZone);
+
+  for (const frequency of storeSettings.digestFrequencies) {
+    const periodStart = dayToDate(getDigestPeriod(frequency, today).startDay);
+    const key = { shop_frequency_periodStart: { shop: storeSettings.shop, frequency, periodStart } };
+    const delivery = await prisma.digestDelivery.findUnique({ where: key });
+    if (delivery && (delivery.status === 'sent' || delivery.attempts >= MAX_DIGEST_ATTEMPTS)) continue;
+
+    let result;
+    try {
+      const digest = await buildDigest(session, frequency, today, { wait: true });
+      result = await notifyShop(storeSettings, renderDigest(digest));
+    } catch (error) {
+      console.error(`Digest failed for ${storeSettings.shop}:`, error);
+      result = { delivered: [], errors: [error.message] };
+    }
+
+    // Channels that got it aren't retried, so a later attempt can't send it twice
+    const data = {
+      status: result.delivered.length > 0 ? 'sent' : 'failed',
+      channels: result.delivered,
+      error: result.errors.join('; ') || null,
+      attempts: (delivery?.attempts || 0) + 1,
+      sentAt: result.delivered.length > 0 ? new Date() : null
+    };
+    await prisma.digestDelivery.upsert({
+      where: key,
+      update: data,
+      create: { shop: storeSettings.shop, frequency, periodStart, ...data }
+    });
+  }
+}
+
+async function sendAllDueDigests() {
+  const shops = await prisma.storeSettings.findMany({ where: { digestFrequencies: { isEmpty: false } } });
+  // Uninstalled shops keep their settings until Shopify asks for their data to be deleted
+  const installed = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+    distinct: ['shop']
+  });
+  const installedShops = new Set(installed.map(({ shop }) => shop));
+
+  for (const storeSettings of shops) {
+    if (!installedShops.has(storeSettings.shop) || getChannels(storeSettings).length === 0) continue;
+    await enqueueJob(storeSettings.shop, 'digests');
+  }
+}
+
+function startDigestScheduler() {
+  setInterval(() => {
+    sendAllDueDigests().catch(error => console.error('Digest scheduler error:', error));
+  }, DIGEST_CHECK_INTERVAL_MS);
+}
+
+// Deliveries keep their own attempt count; job retries only cover failures outside a delivery.
+// A `frequency` in the payload sends that digest now instead (queueDigest).
+defineJob('digests', {
+  handler: (session, { frequency } = {}) => (frequency ? sendDigest(session, frequency) : sendDueDigests(session)),
+  maxAttempts: 3
+});
+
+// Check digest settings; returns an error message or null
+function validateDigestSettings({ digestFrequencies, digestHour }) {
+  if (digestFrequencies !== undefined && (!Array.isArray(digestFrequencies) ||
+      digestFrequencies.some(frequency => !DIGEST_FREQUENCIES.includes(frequency)))) {
+    return `digestFrequencies must only contain: ${DIGEST_FREQUENCIES.join(', ')}`;
+  }
+  if (digestHour !== undefined && (!Number.isInteger(digestHour) || digestHour < 0 || digestHour > 23)) {
+    return 'digestHour must be a whole hour from 0 to 23';
+  }
+  return null;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  previewDigest,
+  queueDigest,
+  startDigestScheduler,
+  validateDigestSettings
+};
@@ -0,0 +1,54 @@
+const { signToken, verifyToken } = require('./signedTokens');
+
+// Server-sent events hub that pushes metric updates to open dashboards. EventSource can't send the
+// App Bridge session token, so pages first fetch a short-lived stream token through the
+// authenticated API and open the stream with it in the query string.
+
+const HEARTBEAT_MS = 25 * 1000;
+// Covers the stream's own reconnects after a brief drop; later ones fetch a new token
+const STREAM_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// shop -> Set of open SSE responses
+const subscribers = new Map();
+
+function createStreamToken(shop) {
+  return signToken('events', { shop }, STREAM_TOKEN_TTL_MS);
+}
+
+// The shop a stream token was issued for, or null when it's forged or expired
+function verifyStreamToken(token) {
+  return verifyToken('events', token)?.shop || null;
+}
+
+function subscribe(shop, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!subscribers.has(shop)) subscribers.set(shop, new Set());
+  subscribers.get(shop).add(res);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const shopSubscribers = subscribers.get(shop);
+    shopSubscribers.delete(res);
+    if (shopSubscribers.size === 0) subscribers.delete(shop);
+  });
+}
+
+function publish(shop, event, data) {
+  const shopSubscribers = subscribers.get(shop);
+  if (!shopSubscribers) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  shopSubscribers.forEach(res => res.write(message));
+}
+
+module.exports = { createStreamToken, verifyStreamToken, subscribe, publish };
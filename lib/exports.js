@@ -0,0 +1,365 @@
+const { once } = require('events');
+const { format, parseISO } = require('date-fns');
+const ExcelJS = require('exceljs');
+const prisma = require('./prisma');
+const { addDaysToDay, dayToDate, dateToDay } = require('./dates');
+const { getDailyMetrics } = require('./sync');
+const { getDailyExpenses } = require('./costs');
+const { getBucketStart } = require('./timeseries');
+const { fetchMarketingSpend } = require('./ads');
+const { getDisplayCurrency } = require('./currency');
+
+// Exports for bookkeeping: a P&L statement by month or week (JSON, CSV or XLSX), and raw per-order
+// and per-day profit rows. The raw exports are streamed a batch at a time so a year of orders
+// doesn't have to fit in memory or finish before the response starts.
+
+const PNL_GRANULARITIES = ['month', 'week'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const ORDER_BATCH_SIZE = 1000;
+// Days per chunk of the daily export; each chunk asks the ad platforms for its spend
+const DAY_CHUNK_SIZE = 31;
+
+// Statement lines top to bottom. Deductions are negative so every column adds down to net profit;
+// memo lines are for reconciling and aren't part of it.
+const PNL_LINES = [
+  { key: 'grossSales', label: 'Gross sales' },
+  { key: 'discounts', label: 'Discounts', sign: -1 },
+  { key: 'returns', label: 'Returns', sign: -1 },
+  { key: 'netSales', label: 'Net sales', type: 'subtotal' },
+  { key: 'cogs', label: 'Cost of goods sold', sign: -1 },
+  { key: 'grossProfit', label: 'Gross profit', type: 'subtotal' },
+  { key: 'marketing', label: 'Marketing', type: 'platforms' },
+  { key: 'adSpend', label: 'Total marketing', sign: -1, type: 'subtotal' },
+  { key: 'shippingCost', label: 'Shipping costs', sign: -1 },
+  { key: 'paymentFees', label: 'Payment fees', sign: -1 },
+  { key: 'fixedCosts', label: 'Fixed costs', sign: -1 },
+  { key: 'customExpenses', label: 'Other expenses', sign: -1 },
+  { key: 'otherCosts', label: 'Total other costs', sign: -1, type: 'subtotal' },
+  { key: 'netProfit', label: 'Net profit', type: 'total' },
+  { key: 'shipping', label: 'Shipping charged to customers', type: 'memo' },
+  { key: 'taxes', label: 'Taxes collected', type: 'memo' },
+  { key: 'orders', label: 'Orders', type: 'memo' }
+];
+
+const DAILY_COLUMNS = [
+  ['Date', row => row.date],
+  ['Orders', row => row.orders],
+  ['Gross sales', row => row.grossSales],
+  ['Discounts', row => row.discounts],
+  ['Returns', row => row.returns],
+  ['Net sales', row => row.netSales],
+  ['Shipping charged', row => row.shipping],
+  ['Taxes', row => row.taxes],
+  ['COGS', row => row.cogs],
+  ['Gross profit', row => row.grossProfit],
+  ['Ad spend', row => row.adSpend],
+  ['Shipping costs', row => row.shippingCost],
+  ['Payment fees', row => row.paymentFees],
+  ['Fixed costs', row => row.fixedCosts],
+  ['Other expenses', row => row.customExpenses],
+  ['Net profit', row => row.netProfit]
+];
+
+const ORDER_COLUMNS = [
+  ['Order ID', order => order.orderId],
+  ['Order', order => order.name],
+  ['Date', order => dateToDay(order.date)],
+  ['Placed at', order => order.orderedAt.toISOString()],
+  ['Excluded', order => (order.excluded ? 'yes' : 'no')],
+  ['Customer', order => order.customerKey],
+  ['Channel', order => order.sourceName],
+  ['Country', order => order.countryCode],
+  ['Discount codes', order => order.discountCodes?.join(' ')],
+  ['Gross sales', order => order.grossSales],
+  ['Discounts', order => order.discounts],
+  ['Returns', order => order.returns],
+  ['Net sales', order => order.revenue],
+  ['Shipping charged', order => order.shipping],
+  ['Taxes', order => order.taxes],
+  ['COGS', order => order.cogs],
+  ['Shipping costs', order => order.shippingCost],
+  ['Payment fees', order => order.paymentFees],
+  ['Contribution profit', order => order.revenue - order.cogs - order.shippingCost - order.paymentFees]
+];
+
+// Raw rows carry amounts to the cent, like the statements they're reconciled against
+function roundAmount(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+}
+
+function toCsvValue(value) {
+  if (value == null) return '';
+  const text = String(roundAmount(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvValue).join(',')}\r\n`;
+}
+
+// One day's amounts, from its CachedMetrics row (if it had orders), expenses and ad spend
+function buildDayAmounts(day, metrics, expenses, adSpendByPlatform) {
+  const adSpend = [...adSpendByPlatform.values()].reduce((sum, spend) => sum + spend, 0);
+  const amounts = {
+    date: day,
+    orders: metrics?.orders || 0,
+    grossSales: metrics?.grossSales || 0,
+    discounts: metrics?.discounts || 0,
+    returns: metrics?.returns || 0,
+    netSales: metrics?.revenue || 0,
+    shipping: metrics?.shipping || 0,
+    taxes: metrics?.taxes || 0,
+    cogs: metrics?.cogs || 0,
+    adSpend,
+    adSpendByPlatform,
+    shippingCost: metrics?.shippingCost || 0,
+    paymentFees: metrics?.paymentFees || 0,
+    fixedCosts: expenses?.fixedCosts || 0,
+    customExpenses: expenses?.customExpenses || 0
+  };
+  amounts.grossProfit = amounts.netSales - amounts.cogs;
+  amounts.otherCosts = amounts.shippingCost + amounts.paymentFees + amounts.fixedCosts + amounts.customExpenses;
+  amounts.netProfit = amounts.grossProfit - amounts.adSpend - amounts.otherCosts;
+  return amounts;
+}
+
+// Per-day amounts for a range, and the ad platforms whose spend couldn't be loaded
+async function getDailyAmounts(shop, startDay, endDay) {
+  const [dailyMetrics, dailyExpenses, marketing] = await Promise.all([
+    getDailyMetrics(shop, startDay, endDay),
+    getDailyExpenses(shop, startDay, endDay),
+    fetchMarketingSpend(shop, startDay, endDay)
+  ]);
+  const metricsByDay = new Map(dailyMetrics.map(day => [dateToDay(day.date), day]));
+  const expensesByDay = new Map(dailyExpenses.map(day => [day.day, day]));
+  const spendByDay = new Map();
+  marketing.breakdown.forEach(account => {
+    account.daily.forEach(({ date, spend }) => {
+      const platforms = spendByDay.get(date) || new Map();
+      platforms.set(account.platform, (platforms.get(account.platform) || 0) + spend);
+      spendByDay.set(date, platforms);
+    });
+  });
+
+  const days = [];
+  for (let day = startDay; day <= endDay; day = addDaysToDay(day, 1)) {
+    days.push(buildDayAmounts(day, metricsByDay.get(day), expensesByDay.get(day), spendByDay.get(day) || new Map()));
+  }
+  return { days, adSpendErrors: [...new Set(marketing.errors.map(error => error.platform))] };
+}
+
+function describeBucket(bucketStart, granularity) {
+  if (granularity === 'week') return `Week of ${format(parseISO(bucketStart), 'MMM d, yyyy')}`;
+  return format(parseISO(bucketStart), 'MMM yyyy');
+}
+
+// P&L statement for a range, one column per month or week (the first and last may be partial)
+// plus a total. The metrics cache must already cover the range (see ensureFreshMetrics).
+async function getProfitAndLoss(shop, { startDay, endDay }, granularity) {
+  const [{ days, adSpendErrors }, display] = await Promise.all([
+    getDailyAmounts(shop, startDay, endDay),
+    getDisplayCurrency(shop)
+  ]);
+
+  const buckets = new Map();
+  days.forEach(amounts => {
+    const bucketStart = getBucketStart(amounts.date, granularity);
+    const bucket = buckets.get(bucketStart) || {
+      label: describeBucket(bucketStart, granularity),
+      startDate: amounts.date,
+      days: []
+    };
+    bucket.endDate = amounts.date;
+    bucket.days.push(amounts);
+    buckets.set(bucketStart, bucket);
+  });
+  const periods = [...buckets.values()];
+  const platforms = [...new Set(days.flatMap(day => [...day.adSpendByPlatform.keys()]))].sort();
+
+  const sumLine = (daysInPeriod, getAmount) => daysInPeriod.reduce((sum, day) => sum + getAmount(day), 0);
+  const buildLine = (key, label, type, getAmount) => {
+    const values = periods.map(period => sumLine(period.days, getAmount));
+    return { key, label, type, values, total: sumLine(days, getAmount) };
+  };
+
+  const lines = PNL_LINES.flatMap(({ key, label, sign = 1, type = 'line' }) => {
+    if (type === 'platforms') {
+      return platforms.map(platform => buildLine(
+        `adSpend:${platform}`, `${platform} ads`, 'line', day => -(day.adSpendByPlatform.get(platform) || 0)
+      ));
+    }
+    return [buildLine(key, label, type, day => sign * day[key])];
+  });
+
+  return {
+    startDate: startDay,
+    endDate: endDay,
+    granularity,
+    ...display,
+    periods: periods.map(({ label, startDate, endDate }) => ({ label, startDate, endDate })),
+    lines,
+    adSpendErrors
+  };
+}
+
+function describeAdSpendErrors(adSpendErrors) {
+  return adSpendErrors.length > 0
+    ? `Ad spend from ${adSpendErrors.join(', ')} couldn't be loaded and is left out.`
+    : null;
+}
+
+function buildProfitAndLossCsv(statement) {
+  const header = ['', ...statement.periods.map(period => period.label), 'Total'];
+  const note = describeAdSpendErrors(statement.adSpendErrors);
+  return [
+    toCsvLine(header),
+    ...statement.lines.map(line => toCsvLine([line.label, ...line.values, line.total])),
+    note ? toCsvLine([]) + toCsvLine([note]) : ''
+  ].join('');
+}
+
+async function writeProfitAndLossXlsx(statement, stream) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('P&L');
+  const numberFormat = `#,##0.00 "${statement.currency || ''}"`.replace(' ""', '');
+
+  sheet.columns = [
+    { width: 32 },
+    ...statement.periods.map(() => ({ width: 16 })),
+    { width: 16 }
+  ];
+  sheet.addRow([`Profit and loss, ${statement.startDate} to ${statement.endDate}`]).font = { bold: true, size: 14 };
+  sheet.addRow([]);
+  sheet.addRow(['', ...statement.periods.map(period => period.label), 'Total']).font = { bold: true };
+  statement.lines.forEach(line => {
+    const row = sheet.addRow([line.label, ...line.values, line.total]);
+    if (line.type === 'subtotal' || line.type === 'total') row.font = { bold: true };
+    if (line.type === 'memo') row.font = { italic: true, color: { argb: 'FF6D7175' } };
+    row.eachCell((cell, column) => {
+      if (column > 1) cell.numFmt = line.key === 'orders' ? '#,##0' : numberFormat;
+    });
+  });
+  const note = describeAdSpendErrors(statement.adSpendErrors);
+  if (note) {
+    sheet.addRow([]);
+    sheet.addRow([note]);
+  }
+  await workbook.xlsx.write(stream);
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function setExportHeaders(res, filename, exportFormat) {
+  res.setHeader('Content-Type', CONTENT_TYPES[exportFormat]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${exportFormat}"`);
+}
+
+// Resolves once the response can take more. A client that went away never drains it, so that
+// throws instead, and the export stops writing.
+async function waitForDrain(stream) {
+  if (stream.destroyed) throw new Error('The client closed the download');
+  if (!stream.writableNeedDrain) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal }).then(() => {
+        throw new Error('The client closed the download');
+      })
+    ]);
+  } finally {
+    // Drops the listener of whichever event didn't come
+    controller.abort();
+  }
+}
+
+// Row-at-a-time writer for the streamed exports, over CSV or a streamed XLSX workbook. Waits for
+// the response to drain so a slow download doesn't pile rows up in memory.
+function createExportWriter(stream, exportFormat, sheetName) {
+  if (exportFormat === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    return {
+      addRow: async (values, { bold = false } = {}) => {
+        const row = sheet.addRow(values.map(roundAmount));
+        if (bold) row.font = { bold: true };
+        row.commit();
+        await waitForDrain(stream);
+      },
+      finish: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  return {
+    addRow: async (values) => {
+      if (!stream.write(toCsvLine(values))) await waitForDrain(stream);
+    },
+    finish: async () => {
+      stream.end();
+    }
+  };
+}
+
+// Every stored order placed in the range, oldest first. Excluded orders are listed and marked so
+// the file reconciles with Shopify's own order export.
+async function writeOrderExport(shop, { startDay, endDay }, writer) {
+  await writer.addRow(ORDER_COLUMNS.map(([header]) => header), { bold: true });
+
+  let cursor = null;
+  for (;;) {
+    const orders = await prisma.orderMetrics.findMany({
+      where: { shop, date: { gte: dayToDate(startDay), lte: dayToDate(endDay) } },
+      orderBy: [{ date: 'asc' }, { id: 'asc' }],
+      take: ORDER_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    for (const order of orders) {
+      await writer.addRow(ORDER_COLUMNS.map(([, getValue]) => getValue(order)));
+    }
+    if (orders.length < ORDER_BATCH_SIZE) break;
+    cursor = orders[orders.length - 1].id;
+  }
+  await writer.finish();
+}
+
+// One row per day of the range, a month at a time
+async function writeDailyExport(shop, { startDay, endDay }, writer) {
+  await writer.addRow(DAILY_COLUMNS.map(([header]) => header), { bold: true });
+
+  const adSpendErrors = new Set();
+  for (let chunkStart = startDay; chunkStart <= endDay; chunkStart = addDaysToDay(chunkStart, DAY_CHUNK_SIZE)) {
+    const chunkEnd = addDaysToDay(chunkStart, DAY_CHUNK_SIZE - 1);
+    const chunk = await getDailyAmounts(shop, chunkStart, chunkEnd < endDay ? chunkEnd : endDay);
+    chunk.adSpendErrors.forEach(platform => adSpendErrors.add(platform));
+    for (const day of chunk.days) {
+      await writer.addRow(DAILY_COLUMNS.map(([, getValue]) => getValue(day)));
+    }
+  }
+
+  const note = describeAdSpendErrors([...adSpendErrors]);
+  if (note) {
+    await writer.addRow([]);
+    await writer.addRow([note]);
+  }
+  await writer.finish();
+}
+
+module.exports = {
+  PNL_GRANULARITIES,
+  EXPORT_FORMATS,
+  toCsvLine,
+  getProfitAndLoss,
+  buildProfitAndLossCsv,
+  writeProfitAndLossXlsx,
+  setExportHeaders,
+  createExportWriter,
+  writeOrderExport,
+  writeDailyExport
+};
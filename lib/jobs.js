@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const os = require('os');
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+const { getOfflineSession } = require('./shopify');
+const { getRetryAfterMs } = require('./rateLimits');
+
+// Postgres-backed job queue for work that talks to Shopify and the ad platforms, so it happens
+// outside web requests and survives restarts. Modules register their job types with defineJob;
+// every app process runs a worker that claims due jobs, at most JOB_CONCURRENCY at once and
+// JOB_SHOP_CONCURRENCY per shop, and never two of the same type for one shop. Failed jobs retry
+// with exponential backoff (or after the Retry-After of a rate limit) and are kept as 'dead' once
+// they run out of attempts.
+
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// A running job whose worker hasn't checked in for this long is assumed lost with its process
+const STALE_LOCK_MS = 2 * 60 * 1000;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAINTENANCE_INTERVAL_MS = 60 * 1000;
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// type -> { handler(session, payload, job), maxAttempts }
+const jobTypes = new Map();
+// id -> promise of the jobs this process is running
+const activeJobs = new Map();
+let pollRun = null;
+let lastMaintenanceAt = 0;
+let workerStarted = false;
+
+function getConcurrency(name, fallback) {
+  return parseInt(process.env[name]) || fallback;
+}
+
+function defineJob(type, { handler, maxAttempts = 5 }) {
+  jobTypes.set(type, { handler, maxAttempts });
+}
+
+// Queue a job for a shop. A matching job that hasn't started yet is returned instead of queueing
+// another; one that is already running doesn't count, since it may have missed recent changes.
+// The unique (shop, queuedKey) index settles two processes queueing the same job at once.
+async function enqueueJob(shop, type, payload = {}, { runAt = new Date() } = {}) {
+  if (!jobTypes.has(type)) throw new Error(`Unknown job type: ${type}`);
+
+  // Hashed, since payloads can be too large to index
+  const dedupeKey = `${type}:${crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex')}`;
+  const queued = await prisma.job.findFirst({ where: { shop, dedupeKey, status: 'queued' } });
+  if (queued) return queued;
+
+  let job;
+  try {
+    job = await prisma.job.create({
+      data: { shop, type, payload, dedupeKey, queuedKey: dedupeKey, runAt, maxAttempts: jobTypes.get(type).maxAttempts }
+    });
+  } catch (error) {
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002')) throw error;
+    // Queued by another process since the check above (and maybe already claimed)
+    return prisma.job.findFirst({ where: { shop, dedupeKey }, orderBy: { id: 'desc' } });
+  }
+  if (workerStarted && runAt <= new Date()) setImmediate(pollJobs);
+  return job;
+}
+
+// Whether a shop has a job of this type waiting or running
+async function hasPendingJob(shop, type) {
+  const count = await prisma.job.count({ where: { shop, type, status: { in: ['queued', 'running'] } } });
+  return count > 0;
+}
+
+function getRetryDelayMs(job, error) {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs != null) return retryAfterMs;
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+  // Jitter, so jobs that failed together (an API outage) don't all retry together
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Claim due jobs up to the free worker slots, oldest first, skipping shops at their limit.
+// The per-shop limits are checked against every worker's running jobs, but two workers claiming
+// at the same moment can briefly exceed them; a job itself is only ever claimed once.
+async function claimJobs(slots) {
+  const running = await prisma.job.findMany({ where: { status: 'running' }, select: { shop: true, type: true } });
+  const runningByShop = new Map();
+  const runningTypes = new Set();
+  running.forEach(({ shop, type }) => {
+    runningByShop.set(shop, (runningByShop.get(shop) || 0) + 1);
+    runningTypes.add(`${shop}:${type}`);
+  });
+
+  const shopConcurrency = getConcurrency('JOB_SHOP_CONCURRENCY', 2);
+  const candidates = await prisma.job.findMany({
+    where: { status: 'queued', runAt: { lte: new Date() } },
+    orderBy: [{ runAt: 'asc' }, { id: 'asc' }],
+    take: slots * 10
+  });
+
+  const claimed = [];
+  for (const job of candidates) {
+    if (claimed.length === slots) break;
+    if ((runningByShop.get(job.shop) || 0) >= shopConcurrency) continue;
+    if (runningTypes.has(`${job.shop}:${job.type}`)) continue;
+
+    const lockedAt = new Date();
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, status: 'queued' },
+      data: { status: 'running', queuedKey: null, lockedAt, lockedBy: WORKER_ID, attempts: { increment: 1 } }
+    });
+    if (count === 0) continue;
+
+    claimed.push({ ...job, status: 'running', queuedKey: null, lockedAt, lockedBy: WORKER_ID, attempts: job.attempts + 1 });
+    runningByShop.set(job.shop, (runningByShop.get(job.shop) || 0) + 1);
+    runningTypes.add(`${job.shop}:${job.type}`);
+  }
+  return claimed;
+}
+
+// Record how a run ended; only while this worker still holds the job, in case it was given up on
+async function finishJob(job, data) {
+  await prisma.job.updateMany({
+    where: { id: job.id, status: 'running', lockedBy: WORKER_ID },
+    data: { lockedAt: null, lockedBy: null, ...data }
+  });
+}
+
+async function runJob(job) {
+  const heartbeat = setInterval(() => {
+    prisma.job.updateMany({
+      where: { id: job.id, status: 'running', lockedBy: WORKER_ID },
+      data: { lockedAt: new Date() }
+    }).catch(error => console.error(`Job ${job.id} heartbeat failed:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    const { handler } = jobTypes.get(job.type) || {};
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    const session = await getOfflineSession(job.shop);
+    // Uninstalled, or never finished installing; retrying won't help
+    if (!session) {
+      await finishJob(job, { status: 'dead', lastError: 'No offline session for the shop', finishedAt: new Date() });
+      return;
+    }
+
+    const result = await handler(session, job.payload, job);
+    await finishJob(job, {
+      status: 'completed',
+      // Prisma wants Prisma.JsonNull rather than null for an empty Json column; leave it unset instead
+      ...(result != null && { result }),
+      lastError: null,
+      finishedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type} for ${job.shop}) failed on attempt ${job.attempts}:`, error);
+    if (job.attempts >= job.maxAttempts) {
+      await finishJob(job, { status: 'dead', lastError: error.message, finishedAt: new Date() });
+    } else {
+      await finishJob(job, {
+        status: 'queued',
+        lastError: error.message,
+        runAt: new Date(Date.now() + getRetryDelayMs(job, error))
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Put back jobs whose worker stopped checking in, and clear out old completed ones
+async function maintainJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  const lastError = 'The worker running this job stopped';
+  await prisma.job.updateMany({
+    where: { status: 'running', lockedAt: { lt: staleBefore }, attempts: { lt: prisma.job.fields.maxAttempts } },
+    data: { status: 'queued', lockedAt: null, lockedBy: null, lastError }
+  });
+  await prisma.job.updateMany({
+    where: { status: 'running', lockedAt: { lt: staleBefore } },
+    data: { status: 'dead', lockedAt: null, lockedBy: null, lastError, finishedAt: new Date() }
+  });
+
+  await prisma.job.deleteMany({
+    where: { status: 'completed', finishedAt: { lt: new Date(Date.now() - COMPLETED_RETENTION_MS) } }
+  });
+}
+
+async function pollJobs() {
+  if (pollRun) return pollRun;
+  pollRun = (async () => {
+    if (Date.now() - lastMaintenanceAt > MAINTENANCE_INTERVAL_MS) {
+      lastMaintenanceAt = Date.now();
+      await maintainJobs();
+    }
+
+    const slots = getConcurrency('JOB_CONCURRENCY', 4) - activeJobs.size;
+    if (slots <= 0) return;
+    for (const job of await claimJobs(slots)) {
+      const run = runJob(job)
+        .catch(error => console.error(`Job ${job.id} could not be recorded:`, error))
+        .finally(() => {
+          activeJobs.delete(job.id);
+          // A free slot may let a waiting job start
+          setImmediate(pollJobs);
+        });
+      activeJobs.set(job.id, run);
+    }
+  })()
+    .catch(error => console.error('Job worker error:', error))
+    .finally(() => {
+      pollRun = null;
+    });
+  return pollRun;
+}
+
+function startJobWorker() {
+  workerStarted = true;
+  setInterval(pollJobs, POLL_INTERVAL_MS);
+}
+
+// Counts by type and status, plus when the oldest due job has been waiting since
+async function getJobStats(shop) {
+  const where = shop ? { shop } : {};
+  const groups = await prisma.job.groupBy({ by: ['type', 'status'], where, _count: { _all: true } });
+  const oldestDue = await prisma.job.findFirst({
+    where: { ...where, status: 'queued', runAt: { lte: new Date() } },
+    orderBy: { runAt: 'asc' },
+    select: { runAt: true }
+  });
+
+  const byType = {};
+  groups.forEach(({ type, status, _count }) => {
+    byType[type] = byType[type] || Object.fromEntries(JOB_STATUSES.map(jobStatus => [jobStatus, 0]));
+    byType[type][status] = _count._all;
+  });
+  return { byType, oldestDueAt: oldestDue?.runAt || null };
+}
+
+async function listJobs({ shop, type, status, limit = 50 } = {}) {
+  return prisma.job.findMany({
+    where: { shop: shop || undefined, type: type || undefined, status: status || undefined },
+    orderBy: { id: 'desc' },
+    take: limit
+  });
+}
+
+// Give a dead job a fresh set of attempts. Resolves to null unless the job exists and is dead.
+async function retryJob(id) {
+  const { count } = await prisma.job.updateMany({
+    where: { id, status: 'dead' },
+    data: { status: 'queued', attempts: 0, runAt: new Date(), finishedAt: null }
+  });
+  if (count === 0) return null;
+  if (workerStarted) setImmediate(pollJobs);
+  return prisma.job.findUnique({ where: { id } });
+}
+
+// Check admin job list filters; returns an error message or null
+function validateJobFilters({ status, limit }) {
+  if (status && !JOB_STATUSES.includes(status)) return `status must be one of: ${JOB_STATUSES.join(', ')}`;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 500)) {
+    return 'limit must be between 1 and 500';
+  }
+  return null;
+}
+
+module.exports = {
+  defineJob,
+  enqueueJob,
+  hasPendingJob,
+  startJobWorker,
+  getJobStats,
+  listJobs,
+  retryJob,
+  validateJobFilters
+};
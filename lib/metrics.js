@@ -0,0 +1,217 @@
+// Profit math shared by the order sync and the dashboard endpoints
+const { calculateShippingCost, calculatePaymentFees } = require('./costs');
+const { findEffectiveCost } = require('./costHistory');
+const { toDay } = require('./dates');
+
+// Per-order amounts that are stored on OrderMetrics and summed into CachedMetrics.
+// `revenue` is net sales: gross sales less discounts and returns, excluding shipping and tax.
+// `shipping` is what the customer paid for shipping; `shippingCost` is what fulfilment cost us.
+const ORDER_AMOUNT_FIELDS = [
+  'revenue', 'grossSales', 'discounts', 'returns', 'shipping', 'taxes',
+  'cogs', 'shippingCost', 'paymentFees'
+];
+
+// Statuses merchants can exclude: 'cancelled', 'test', or any Shopify financial_status
+const DEFAULT_EXCLUDED_STATUSES = ['cancelled', 'test', 'voided'];
+
+function getOrderStatuses(order) {
+  const statuses = [];
+  if (order.cancelled_at) statuses.push('cancelled');
+  if (order.test) statuses.push('test');
+  if (order.financial_status) statuses.push(order.financial_status);
+  return statuses;
+}
+
+function isExcludedOrder(order, storeSettings) {
+  const excluded = storeSettings?.excludedOrderStatuses || DEFAULT_EXCLUDED_STATUSES;
+  return getOrderStatuses(order).some(status => excluded.includes(status));
+}
+
+// Unit cost for a line item on the day its order was placed, and where it came from, in order of
+// precedence: 'custom' (uploaded per-SKU cost), 'shopify' (the variant's InventoryItem cost),
+// 'default' (the store's default COGS % of price) or 'none' (no cost known).
+// Cost histories come from loadStoreSettings, see lib/costHistory.js.
+function getUnitCOGS(item, storeSettings, day) {
+  const price = shopMoney(item, 'price');
+  const customCost = findEffectiveCost(storeSettings?.costHistory?.custom.get(item.sku), day);
+  const shopifyCost = findEffectiveCost(storeSettings?.costHistory?.shopify?.get(String(item.variant_id)), day);
+
+  if (customCost != null) {
+    return { unitCOGS: customCost, cogsSource: 'custom' };
+  } else if (shopifyCost != null) {
+    return { unitCOGS: shopifyCost, cogsSource: 'shopify' };
+  } else if (storeSettings?.defaultCOGSPercentage) {
+    return { unitCOGS: price * (storeSettings.defaultCOGSPercentage / 100), cogsSource: 'default' };
+  }
+  return { unitCOGS: 0, cogsSource: 'none' };
+}
+
+// An amount in the shop's currency. Shopify sends each money field with a `<field>_set` holding
+// both shop_money and presentment_money (what the customer paid in); the plain field is the
+// fallback for payloads without it.
+function shopMoney(entity, field) {
+  const amount = entity?.[`${field}_set`]?.shop_money?.amount ?? entity?.[field];
+  return parseFloat(amount) || 0;
+}
+
+function sumAmounts(entries, field) {
+  return (entries || []).reduce((sum, entry) => sum + shopMoney(entry, field), 0);
+}
+
+// Sales, returns and COGS per line item of a Shopify order, stored on OrderLineMetrics for the
+// products report. Returned units come off sales, and off COGS when they go back into stock.
+function calculateLineItemMetrics(order, storeSettings) {
+  const lines = new Map();
+  const day = toDay(order.created_at);
+
+  (order.line_items || []).forEach(item => {
+    const { unitCOGS, cogsSource } = getUnitCOGS(item, storeSettings, day);
+    lines.set(item.id, {
+      unitCOGS,
+      lineItemId: String(item.id),
+      productId: item.product_id ? String(item.product_id) : null,
+      variantId: item.variant_id ? String(item.variant_id) : null,
+      sku: item.sku || null,
+      title: item.title,
+      variantTitle: item.variant_title || null,
+      quantity: item.quantity,
+      returnedQuantity: 0,
+      grossSales: shopMoney(item, 'price') * item.quantity,
+      // Line and order-level discounts as Shopify allocated them to this line
+      discounts: sumAmounts(item.discount_allocations, 'amount'),
+      returns: 0,
+      cogs: unitCOGS * item.quantity,
+      cogsSource
+    });
+  });
+
+  (order.refunds || []).forEach(refund => {
+    (refund.refund_line_items || []).forEach(refundItem => {
+      const line = lines.get(refundItem.line_item_id);
+      if (!line) return;
+      line.returns += shopMoney(refundItem, 'subtotal');
+      line.returnedQuantity += refundItem.quantity;
+      if (refundItem.restock_type !== 'no_restock') {
+        line.cogs -= line.unitCOGS * refundItem.quantity;
+      }
+    });
+  });
+
+  return [...lines.values()].map(({ unitCOGS, ...line }) => ({
+    ...line,
+    revenue: line.grossSales - line.discounts - line.returns,
+    cogs: Math.max(line.cogs, 0)
+  }));
+}
+
+// Sales lines and COGS contributed by a single Shopify order. Refunds are attributed to
+// the day the order was placed so each order's numbers live in a single daily row.
+function calculateOrderMetrics(order, storeSettings) {
+  const lines = calculateLineItemMetrics(order, storeSettings);
+
+  const grossSales = lines.reduce((sum, line) => sum + line.grossSales, 0);
+  const returns = lines.reduce((sum, line) => sum + line.returns, 0);
+  const cogs = lines.reduce((sum, line) => sum + line.cogs, 0);
+  const discounts = shopMoney(order, 'total_discounts');
+  const shipping = sumAmounts(order.shipping_lines, 'price');
+  const taxes = shopMoney(order, 'total_tax');
+  const revenue = grossSales - discounts - returns;
+
+  return {
+    revenue,
+    grossSales,
+    discounts,
+    returns,
+    shipping,
+    taxes,
+    cogs,
+    shippingCost: calculateShippingCost(order, storeSettings?.shippingCostRule, revenue),
+    paymentFees: calculatePaymentFees(order, storeSettings?.paymentFeeRules)
+  };
+}
+
+// What an order contributed before ad spend and expenses: net sales less COGS, shipping costs and
+// payment fees, and that as a % of net sales (null without net sales)
+function calculateOrderProfit({ revenue, cogs, shippingCost, paymentFees }) {
+  const profit = revenue - cogs - shippingCost - paymentFees;
+  return { profit, margin: revenue !== 0 ? (profit / revenue) * 100 : null };
+}
+
+// Roll cached daily rows and the range's fixed/custom expenses up into the totals the dashboard cards render
+function calculateDashboardMetrics(dailyMetrics, dailyExpenses = []) {
+  const totals = Object.fromEntries(ORDER_AMOUNT_FIELDS.map(field => [field, 0]));
+  let newCustomerRevenue = 0;
+  let returningCustomerRevenue = 0;
+  let orderCount = 0;
+  let newCustomers = 0;
+
+  dailyMetrics.forEach(day => {
+    ORDER_AMOUNT_FIELDS.forEach(field => {
+      totals[field] += day[field];
+    });
+    newCustomerRevenue += day.newCustomerRevenue;
+    returningCustomerRevenue += day.returningCustomerRevenue;
+    orderCount += day.orders;
+    newCustomers += day.newCustomers;
+  });
+
+  const fixedCosts = dailyExpenses.reduce((sum, day) => sum + day.fixedCosts, 0);
+  const customExpenses = dailyExpenses.reduce((sum, day) => sum + day.customExpenses, 0);
+
+  return {
+    grossSales: totals.grossSales,
+    discounts: totals.discounts,
+    returns: totals.returns,
+    netSales: totals.revenue,
+    shipping: totals.shipping,
+    taxes: totals.taxes,
+    totalSales: totals.revenue + totals.shipping + totals.taxes,
+    totalRevenue: totals.revenue,
+    totalCOGS: totals.cogs,
+    grossProfit: totals.revenue - totals.cogs,
+    shippingCosts: totals.shippingCost,
+    paymentFees: totals.paymentFees,
+    fixedCosts,
+    customExpenses,
+    // Everything net profit subtracts besides COGS and ad spend
+    totalOperatingCosts: totals.shippingCost + totals.paymentFees + fixedCosts + customExpenses,
+    newCustomerRevenue,
+    returningCustomerRevenue,
+    orderCount,
+    newCustomers,
+    averageOrderValue: orderCount > 0 ? totals.revenue / orderCount : 0
+  };
+}
+
+// Marketing ratios for a range, from its calculateDashboardMetrics totals and ad spend. Contribution
+// is what sales leave after COGS, shipping and payment fees, before ad spend, so break-even ROAS is
+// the ROAS at which ads eat all of it. Ratios over nothing (no ad spend, no orders) are null.
+function calculateMarketingKpis(metrics, totalAdSpend) {
+  const divide = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+  const contributionProfit = metrics.netSales - metrics.totalCOGS - metrics.shippingCosts - metrics.paymentFees;
+  const contributionMargin = divide(contributionProfit, metrics.netSales);
+
+  return {
+    adSpend: totalAdSpend,
+    blendedRoas: divide(metrics.netSales, totalAdSpend),
+    mer: divide(metrics.totalSales, totalAdSpend),
+    newCustomerCac: divide(totalAdSpend, metrics.newCustomers),
+    costPerOrder: divide(totalAdSpend, metrics.orderCount),
+    contributionProfit,
+    contributionMargin,
+    contributionAfterAdSpend: contributionProfit - totalAdSpend,
+    breakEvenRoas: contributionMargin > 0 ? 1 / contributionMargin : null
+  };
+}
+
+module.exports = {
+  ORDER_AMOUNT_FIELDS,
+  DEFAULT_EXCLUDED_STATUSES,
+  shopMoney,
+  isExcludedOrder,
+  calculateLineItemMetrics,
+  calculateOrderMetrics,
+  calculateOrderProfit,
+  calculateDashboardMetrics,
+  calculateMarketingKpis
+};
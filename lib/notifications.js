@@ -0,0 +1,156 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Outgoing messages to a shop's team: email through the app's SMTP server (SMTP_* env vars) to
+// the addresses in StoreSettings.notificationEmails, and a JSON POST to
+// StoreSettings.notificationWebhookUrl. Point SMTP_HOST/SMTP_PORT at a local sink, and the webhook
+// at scripts/webhook-receiver.js, to try them out without sending anything.
+// Webhook URLs are entered by merchants, so they must reach a public address over https; only
+// outside production may they be http or point at this machine.
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Private, loopback, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_ADDRESSES.addAddress('::1', 'ipv6');
+
+let transport = null;
+
+function getTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('Email delivery needs SMTP_HOST to be set');
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+async function sendEmail(to, { subject, text, html }) {
+  await getTransport().sendMail({
+    from: process.env.SMTP_FROM || 'Doughboard <no-reply@doughboard.app>',
+    to: to.join(', '),
+    subject,
+    text,
+    html
+  });
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+function isAllowedAddress(address) {
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  if (!isProduction && LOOPBACK_ADDRESSES.check(address, type)) return true;
+  return !BLOCKED_ADDRESSES.check(address, type);
+}
+
+// dns.lookup for webhook connections that refuses blocked addresses, so a host can't pass the
+// check and then resolve somewhere else when the request is made
+function lookupAllowedAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.every(entry => isAllowedAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: lookupAllowedAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupAllowedAddress })
+};
+
+// Check that a webhook URL's host resolves only to addresses we may post to; returns an error
+// message or null
+async function checkWebhookHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `notificationWebhookUrl host ${hostname} could not be resolved`;
+  }
+  if (!addresses.every(isAllowedAddress)) return 'notificationWebhookUrl must point to a public address';
+  return null;
+}
+
+// `text` is at the top level so Slack-style incoming webhooks show the message as is. The host is
+// checked again on every send, and redirects aren't followed, since either could lead elsewhere.
+async function postWebhook(url, { subject, text, html, data }) {
+  const hostError = validateWebhookUrl(url) || await checkWebhookHost(url);
+  if (hostError) throw new Error(hostError);
+  await axios.post(url, { subject, text, html, ...data }, {
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    ...webhookAgents
+  });
+}
+
+function getChannels(storeSettings) {
+  const channels = [];
+  if (storeSettings?.notificationEmails?.length) channels.push('email');
+  if (storeSettings?.notificationWebhookUrl) channels.push('webhook');
+  return channels;
+}
+
+// Send a message on every channel the shop has set up. One failing channel doesn't stop the
+// other; returns the channels it went out on and the errors of those it didn't.
+async function notifyShop(storeSettings, message) {
+  const delivered = [];
+  const errors = [];
+
+  for (const channel of getChannels(storeSettings)) {
+    try {
+      if (channel === 'email') await sendEmail(storeSettings.notificationEmails, message);
+      else await postWebhook(storeSettings.notificationWebhookUrl, message);
+      delivered.push(channel);
+    } catch (error) {
+      console.error(`Notification ${channel} error for ${storeSettings.shop}:`, error.message);
+      errors.push(`${channel}: ${error.message}`);
+    }
+  }
+  return { delivered, errors };
+}
+
+// Check notification channel settings; returns an error message or null
+function validateNotificationSettings({ notificationEmails, notificationWebhookUrl }) {
+  if (notificationEmails !== undefined && (!Array.isArray(notificationEmails) ||
+      notificationEmails.some(email => typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email)))) {
+    return 'notificationEmails must be an array of email addresses';
+  }
+  if (notificationWebhookUrl) return validateWebhookUrl(notificationWebhookUrl);
+  return null;
+}
+
+function validateWebhookUrl(url) {
+  const protocols = isProduction ? ['https:'] : ['http:', 'https:'];
+  try {
+    if (!protocols.includes(new URL(url).protocol)) throw new Error();
+  } catch (error) {
+    return isProduction ? 'notificationWebhookUrl must be an https URL' : 'notificationWebhookUrl must be an http(s) URL';
+  }
+  return null;
+}
+
+module.exports = { getChannels, notifyShop, validateNotificationSettings, checkWebhookHost };
@@ -0,0 +1,188 @@
+const prisma = require('./prisma');
+const { dayToDate, dateToDay } = require('./dates');
+const { calculateOrderProfit } = require('./metrics');
+
+// Order-level profit for the drill-down behind the Net Profit card. An order's net profit is what
+// it contributed before ad spend and expenses: net sales less COGS, shipping costs and payment
+// fees. Ad spend and fixed costs aren't spread over orders, so these don't add up to the card.
+// Profit and margin are stored with each order, so filtering, sorting, paging and totals all
+// happen in the database rather than over every order of the range.
+
+const SORT_FIELDS = ['date', 'revenue', 'cogs', 'profit', 'margin'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+const AMOUNT_FIELDS = ['revenue', 'discounts', 'returns', 'cogs', 'shippingCost', 'paymentFees', 'profit'];
+// Orders whose stored profit is filled in per batch
+const FILL_BATCH_SIZE = 500;
+
+function getOrderBy(sortBy, direction) {
+  const field = sortBy === 'date' ? 'orderedAt' : sortBy;
+  return [
+    // Orders without a margin (no net sales) sort last either way
+    { [field]: sortBy === 'margin' ? { sort: direction, nulls: 'last' } : direction },
+    { orderedAt: 'desc' },
+    { id: 'desc' }
+  ];
+}
+
+function toOrderRow(order) {
+  return {
+    orderId: order.orderId,
+    name: order.name,
+    date: dateToDay(order.date),
+    orderedAt: order.orderedAt,
+    discountCodes: order.discountCodes,
+    sourceName: order.sourceName,
+    countryCode: order.countryCode,
+    grossSales: order.grossSales,
+    discounts: order.discounts,
+    returns: order.returns,
+    revenue: order.revenue,
+    cogs: order.cogs,
+    shippingCost: order.shippingCost,
+    paymentFees: order.paymentFees,
+    profit: order.profit,
+    margin: order.margin
+  };
+}
+
+// Distinct non-empty values of a column over the orders matching `where`, sorted
+async function findDistinctValues(where, field) {
+  const groups = await prisma.orderMetrics.groupBy({ by: [field], where: { ...where, [field]: { not: null } } });
+  return groups.map(group => group[field]).filter(Boolean).sort();
+}
+
+// Discount codes are a list per order, so only the lists of discounted orders are read
+async function findDiscountCodes(where) {
+  const rows = await prisma.orderMetrics.findMany({
+    where: { ...where, NOT: { discountCodes: { isEmpty: true } } },
+    select: { discountCodes: true }
+  });
+  return [...new Set(rows.flatMap(row => row.discountCodes))].sort();
+}
+
+// One page of the range's orders with their profit and line items, after filtering by loss-making,
+// discount code, sales channel (Shopify's source_name) and country. Totals are over every order
+// that passes the filters, not just the page; filter options are over the whole range.
+async function getOrderProfit(shop, { startDay, endDay }, options = {}) {
+  const {
+    lossOnly = false,
+    discountCode,
+    sourceName,
+    countryCode,
+    sortBy = 'date',
+    direction = 'desc',
+    page = 1,
+    pageSize = DEFAULT_PAGE_SIZE
+  } = options;
+
+  const rangeWhere = { shop, excluded: false, date: { gte: dayToDate(startDay), lte: dayToDate(endDay) } };
+  const where = {
+    ...rangeWhere,
+    ...(lossOnly && { profit: { lt: 0 } }),
+    // Codes come from the filter options, so they match as stored
+    ...(discountCode && { discountCodes: { has: discountCode } }),
+    ...(sourceName && { sourceName }),
+    ...(countryCode && { countryCode })
+  };
+
+  const [orders, aggregate, lossMakingOrders] = await Promise.all([
+    prisma.orderMetrics.findMany({
+      where,
+      orderBy: getOrderBy(sortBy, direction),
+      skip: (page - 1) * pageSize,
+      take: pageSize
+    }),
+    prisma.orderMetrics.aggregate({
+      where,
+      _count: { _all: true },
+      _sum: Object.fromEntries(AMOUNT_FIELDS.map(field => [field, true]))
+    }),
+    prisma.orderMetrics.count({ where: { ...where, profit: { lt: 0 } } })
+  ]);
+  const pageRows = orders.map(toOrderRow);
+
+  const lines = await prisma.orderLineMetrics.findMany({
+    where: { shop, orderId: { in: pageRows.map(row => row.orderId) } },
+    orderBy: { id: 'asc' }
+  });
+  const linesByOrder = new Map();
+  lines.forEach(line => {
+    linesByOrder.set(line.orderId, [...(linesByOrder.get(line.orderId) || []), {
+      lineItemId: line.lineItemId,
+      sku: line.sku,
+      title: line.title,
+      variantTitle: line.variantTitle,
+      quantity: line.quantity,
+      returnedQuantity: line.returnedQuantity,
+      revenue: line.revenue,
+      cogs: line.cogs,
+      cogsSource: line.cogsSource
+    }]);
+  });
+
+  const [discountCodes, sourceNames, countryCodes, ordersMissingDetails] = await Promise.all([
+    findDiscountCodes(rangeWhere),
+    findDistinctValues(rangeWhere, 'sourceName'),
+    findDistinctValues(rangeWhere, 'countryCode'),
+    prisma.orderMetrics.count({ where: { ...rangeWhere, name: null } })
+  ]);
+
+  const totals = Object.fromEntries(AMOUNT_FIELDS.map(field => [field, aggregate._sum[field] || 0]));
+  const orderCount = aggregate._count._all;
+
+  return {
+    orders: pageRows.map(row => {
+      const orderLines = linesByOrder.get(row.orderId) || [];
+      return {
+        ...row,
+        lines: orderLines,
+        usesDefaultCOGS: orderLines.some(line => line.cogsSource === 'default'),
+        missingCOGS: orderLines.some(line => line.cogsSource === 'none')
+      };
+    }),
+    page,
+    pageSize,
+    pageCount: Math.max(Math.ceil(orderCount / pageSize), 1),
+    totals: {
+      orders: orderCount,
+      lossMakingOrders,
+      ...totals,
+      margin: totals.revenue !== 0 ? (totals.profit / totals.revenue) * 100 : null
+    },
+    filterOptions: { discountCodes, sourceNames, countryCodes },
+    // Orders stored before channel and country were synced; a full resync fills them in
+    ordersMissingDetails
+  };
+}
+
+// Work out the stored profit and margin of orders saved before they were kept, from the amounts
+// already stored. Run by scripts/upgrade.js; once every order has them there is nothing left to do.
+async function fillOrderProfit() {
+  for (;;) {
+    const orders = await prisma.orderMetrics.findMany({
+      where: { profit: null },
+      select: { id: true, revenue: true, cogs: true, shippingCost: true, paymentFees: true },
+      take: FILL_BATCH_SIZE
+    });
+    if (orders.length === 0) return;
+
+    await prisma.$transaction(orders.map(({ id, ...amounts }) => prisma.orderMetrics.update({
+      where: { id },
+      data: calculateOrderProfit(amounts)
+    })));
+  }
+}
+
+// Check drill-down query params; returns an error message or null
+function validateOrderProfitOptions({ sortBy, direction, page, pageSize }) {
+  if (sortBy && !SORT_FIELDS.includes(sortBy)) return `sortBy must be one of: ${SORT_FIELDS.join(', ')}`;
+  if (direction && !['asc', 'desc'].includes(direction)) return 'direction must be asc or desc';
+  if (page !== undefined && (!Number.isInteger(page) || page < 1)) return 'page must be a positive integer';
+  if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    return `pageSize must be between 1 and ${MAX_PAGE_SIZE}`;
+  }
+  return null;
+}
+
+module.exports = { getOrderProfit, fillOrderProfit, validateOrderProfitOptions };
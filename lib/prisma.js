@@ -0,0 +1,6 @@
+const { PrismaClient } = require('@prisma/client');
+
+// Shared Prisma client so the server, webhooks and background sync reuse one pool
+const prisma = new PrismaClient();
+
+module.exports = prisma;
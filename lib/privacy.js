@@ -0,0 +1,216 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+
+// Shopify's mandatory privacy webhooks and the uninstall lifecycle.
+// - customers/data_request: gather what we hold on a customer for the merchant to pass on
+// - customers/redact: anonymize the customer's orders and drop their first-order record
+// - shop/redact (48 hours after uninstall): delete everything stored for the shop
+// - app/uninstalled: drop access tokens and stop background work; the rest waits for shop/redact
+//   so a quick reinstall keeps its settings and history
+// Customer data lives on OrderMetrics (customerKey is the Shopify customer id, or the email of a
+// guest checkout; plus shipping country and discount codes), the OrderLineMetrics of those orders
+// and Customer. Aggregates such as CachedMetrics and alerts hold nothing about individuals.
+// Every request leaves a PrivacyRequest row, which outlives the shop's data as the audit trail.
+
+// Every model with a shop column; new ones need adding here for shop/redact
+const SHOP_MODELS = [
+  'session',
+  'storeSettings',
+  'productCost',
+  'costVersion',
+  'costAuditLog',
+  'adAccount',
+  'adSpend',
+  'adConnection',
+  'cachedMetrics',
+  'orderLineMetrics',
+  'orderMetrics',
+  'customer',
+  'syncState',
+  'orderBackfill',
+  'job',
+  'expense',
+  'fxRate',
+  'digestDelivery',
+  'alertRule',
+  'alert',
+  'processedWebhook'
+];
+
+// The keys a customer's orders can be stored under
+function getCustomerKeys(customer) {
+  return [customer?.id && String(customer.id), customer?.email].filter(Boolean);
+}
+
+// The customer's orders, by customer or by the order ids Shopify listed
+async function findCustomerOrders(shop, customer, orderIds = []) {
+  return prisma.orderMetrics.findMany({
+    where: {
+      shop,
+      OR: [
+        { customerKey: { in: getCustomerKeys(customer) } },
+        { orderId: { in: orderIds.map(String) } }
+      ]
+    },
+    orderBy: { orderedAt: 'asc' }
+  });
+}
+
+async function exportCustomerData(shop, { customer, orders_requested: orderIds }) {
+  const orders = await findCustomerOrders(shop, customer, orderIds);
+  const lines = await prisma.orderLineMetrics.findMany({
+    where: { shop, orderId: { in: orders.map(order => order.orderId) } },
+    orderBy: { id: 'asc' }
+  });
+  const customers = await prisma.customer.findMany({
+    where: { shop, customerKey: { in: getCustomerKeys(customer) } }
+  });
+
+  const data = {
+    customerId: customer?.id ? String(customer.id) : null,
+    firstOrders: customers.map(row => ({
+      firstOrderId: row.firstOrderId,
+      firstOrderAt: row.firstOrderAt,
+      ordersCount: row.ordersCount
+    })),
+    orders: orders.map(order => ({
+      orderId: order.orderId,
+      name: order.name,
+      orderedAt: order.orderedAt,
+      customerKey: order.customerKey,
+      countryCode: order.countryCode,
+      discountCodes: order.discountCodes,
+      sourceName: order.sourceName,
+      grossSales: order.grossSales,
+      discounts: order.discounts,
+      returns: order.returns,
+      netSales: order.revenue,
+      shipping: order.shipping,
+      taxes: order.taxes,
+      lineItems: lines.filter(line => line.orderId === order.orderId).map(line => ({
+        sku: line.sku,
+        title: line.title,
+        variantTitle: line.variantTitle,
+        quantity: line.quantity,
+        returnedQuantity: line.returnedQuantity,
+        netSales: line.revenue
+      }))
+    }))
+  };
+
+  return {
+    summary: { orderMetrics: orders.length, orderLineMetrics: lines.length, customer: customers.length },
+    exportData: data
+  };
+}
+
+// Order amounts stay, since the shop's profit reports are built from them; what ties an order to
+// the person (customer key, country, discount codes) goes. Shopify erases the customer on its
+// side as well, so later syncs don't bring it back.
+async function redactCustomer(shop, { customer, orders_to_redact: orderIds }) {
+  const orders = await findCustomerOrders(shop, customer, orderIds);
+  const customerId = customer?.id ? String(customer.id) : null;
+
+  const [anonymized, customers, exports] = await prisma.$transaction([
+    prisma.orderMetrics.updateMany({
+      where: { shop, id: { in: orders.map(order => order.id) } },
+      data: { customerKey: null, countryCode: null, discountCodes: [] }
+    }),
+    prisma.customer.deleteMany({ where: { shop, customerKey: { in: getCustomerKeys(customer) } } }),
+    // Exports made for the customer's data requests hold the same data; requests without a
+    // customer id can't be matched to them
+    ...(customerId ? [prisma.privacyRequest.updateMany({
+      where: { shop, topic: 'customers/data_request', customerId },
+      data: { export: Prisma.DbNull }
+    })] : [])
+  ]);
+
+  return {
+    summary: { orderMetrics: anonymized.count, customer: customers.count, privacyRequestExports: exports?.count || 0 }
+  };
+}
+
+async function redactShop(shop) {
+  const results = await prisma.$transaction([
+    ...SHOP_MODELS.map(model => prisma[model].deleteMany({ where: { shop } })),
+    prisma.privacyRequest.updateMany({ where: { shop }, data: { export: Prisma.DbNull } })
+  ]);
+
+  const summary = Object.fromEntries(SHOP_MODELS.map((model, index) => [model, results[index].count]));
+  summary.privacyRequestExports = results[SHOP_MODELS.length].count;
+  return { summary };
+}
+
+// The access tokens are dead once the app is uninstalled, and ad platform tokens shouldn't outlive
+// it either. Without an offline session the schedulers skip the shop and its jobs end.
+async function uninstallShop(shop) {
+  const [sessions, adConnections, adAccounts, jobs] = await prisma.$transaction([
+    prisma.session.deleteMany({ where: { shop } }),
+    prisma.adConnection.deleteMany({ where: { shop } }),
+    prisma.adAccount.deleteMany({ where: { shop } }),
+    prisma.job.updateMany({
+      where: { shop, status: 'queued' },
+      data: { status: 'dead', lastError: 'App uninstalled', finishedAt: new Date() }
+    })
+  ]);
+
+  return {
+    summary: { session: sessions.count, adConnection: adConnections.count, adAccount: adAccounts.count, job: jobs.count }
+  };
+}
+
+// topic -> handler(shop, payload), resolving to { summary, exportData? }
+const PRIVACY_TOPICS = {
+  'customers/data_request': exportCustomerData,
+  'customers/redact': redactCustomer,
+  'shop/redact': redactShop,
+  'app/uninstalled': uninstallShop
+};
+
+// Carry out a privacy request and record it. The record doubles as the marker that stops a
+// redelivery of the same webhook from running twice.
+async function handlePrivacyRequest(topic, shop, payload, webhookId) {
+  if (webhookId && await prisma.privacyRequest.findUnique({ where: { webhookId } })) {
+    console.log(`Skipping duplicate ${topic} webhook ${webhookId}`);
+    return null;
+  }
+
+  const { summary, exportData } = await PRIVACY_TOPICS[topic](shop, payload);
+  try {
+    return await prisma.privacyRequest.create({
+      data: {
+        shop,
+        topic,
+        webhookId: webhookId || null,
+        shopifyRequestId: payload.data_request?.id ? String(payload.data_request.id) : null,
+        customerId: payload.customer?.id ? String(payload.customer.id) : null,
+        ordersRequested: (payload.orders_requested || payload.orders_to_redact || []).map(String),
+        summary,
+        ...(exportData && { export: exportData })
+      }
+    });
+  } catch (error) {
+    // A concurrent redelivery got there first; the work is safe to repeat
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002')) throw error;
+    return null;
+  }
+}
+
+// The shop's privacy requests, newest first, without the export bodies
+async function listPrivacyRequests(shop) {
+  const requests = await prisma.privacyRequest.findMany({
+    where: { shop },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+  return requests.map(({ export: exportData, ...request }) => ({ ...request, hasExport: exportData != null }));
+}
+
+async function getPrivacyExport(shop, id) {
+  const request = await prisma.privacyRequest.findFirst({
+    where: { id, shop, topic: 'customers/data_request' }
+  });
+  return request?.export ? request : null;
+}
+
+module.exports = { handlePrivacyRequest, listPrivacyRequests, getPrivacyExport };
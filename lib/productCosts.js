@@ -0,0 +1,182 @@
+const prisma = require('./prisma');
+const { getOfflineSession } = require('./shopify');
+const { graphqlQuery, gidToId, runBulkQuery, streamJsonl } = require('./bulk');
+const { recordCostChanges } = require('./costHistory');
+const { defineJob, enqueueJob, hasPendingJob } = require('./jobs');
+// Registers the 'sync' job a cost sync queues once the costs are in
+require('./sync');
+
+// Unit costs merchants keep on each variant's InventoryItem in Shopify, mirrored into ProductCost.
+// Precedence when costing a line item: uploaded CSV cost for the SKU, then the Shopify cost for the
+// variant (when StoreSettings.useShopifyCosts is on), then the default COGS %.
+// Webhook updates apply to orders synced from then on; a full cost sync also recosts the cached orders.
+// Every cost change is versioned from the day it's seen, so orders placed earlier keep their cost.
+
+const VARIANT_COST_FIELDS = `
+  id
+  sku
+  inventoryItem {
+    id
+    unitCost { amount currencyCode }
+  }`;
+
+function toCostRecord(variant) {
+  const unitCost = variant.inventoryItem?.unitCost;
+  return {
+    inventoryItemId: gidToId(variant.inventoryItem?.id),
+    sku: variant.sku || null,
+    cost: unitCost ? parseFloat(unitCost.amount) : null,
+    currency: unitCost?.currencyCode || null
+  };
+}
+
+async function saveVariantCost(shop, variant, syncedAt = new Date()) {
+  const variantId = gidToId(variant.id);
+  const data = { ...toCostRecord(variant), syncedAt };
+  await prisma.productCost.upsert({
+    where: { shop_variantId: { shop, variantId } },
+    update: data,
+    create: { shop, variantId, ...data }
+  });
+  return [variantId, data.cost];
+}
+
+// variantId -> stored cost, before an update overwrites it
+async function loadStoredCosts(shop, where = {}) {
+  const rows = await prisma.productCost.findMany({
+    where: { shop, ...where },
+    select: { variantId: true, cost: true }
+  });
+  return new Map(rows.map(({ variantId, cost }) => [variantId, cost]));
+}
+
+// Version the costs (variantId -> cost) that differ from what was stored
+async function recordShopifyCosts(shop, stored, costs, reason) {
+  const changes = new Map([...costs].filter(([variantId, cost]) => stored.get(variantId) !== cost));
+  if (changes.size > 0) {
+    await recordCostChanges(shop, 'shopify', changes, { reason, current: stored });
+  }
+}
+
+// Pull every variant's cost with a bulk operation, then recost the cached orders. Runs as a
+// 'cost_sync' job (see queueProductCostSync).
+async function syncProductCosts(session) {
+  const shop = session.shop;
+  const startedAt = new Date();
+
+  try {
+    const url = await runBulkQuery(session, `{
+      productVariants {
+        edges {
+          node {${VARIANT_COST_FIELDS}
+          }
+        }
+      }
+    }`);
+
+    const stored = await loadStoredCosts(shop);
+    const costs = new Map();
+    if (url) {
+      await streamJsonl(url, async (variant) => {
+        const [variantId, cost] = await saveVariantCost(shop, variant, startedAt);
+        costs.set(variantId, cost);
+      });
+    }
+    await recordShopifyCosts(shop, stored, costs, 'shopify_sync');
+    // Anything not in this export has been deleted in Shopify
+    await prisma.productCost.deleteMany({ where: { shop, syncedAt: { lt: startedAt } } });
+
+    await prisma.storeSettings.update({
+      where: { shop },
+      data: { costsSyncedAt: startedAt, costSyncError: null }
+    });
+
+    await enqueueJob(shop, 'sync', { full: true });
+    return { variantsSynced: costs.size };
+  } catch (error) {
+    await prisma.storeSettings.update({ where: { shop }, data: { costSyncError: error.message } });
+    throw error;
+  }
+}
+
+function queueProductCostSync(shop) {
+  return enqueueJob(shop, 'cost_sync');
+}
+
+function isCostSyncRunning(shop) {
+  return hasPendingJob(shop, 'cost_sync');
+}
+
+async function usesShopifyCosts(shop) {
+  const settings = await prisma.storeSettings.findUnique({
+    where: { shop },
+    select: { useShopifyCosts: true }
+  });
+  return Boolean(settings?.useShopifyCosts);
+}
+
+// PRODUCTS_UPDATE: the payload has variants but not their costs, so read those from the Admin API
+async function applyProductUpdate(shop, product) {
+  if (!await usesShopifyCosts(shop)) return;
+
+  const session = await getOfflineSession(shop);
+  const data = await graphqlQuery(session, `query productCosts($id: ID!) {
+    product(id: $id) {
+      variants(first: 250) {
+        nodes {${VARIANT_COST_FIELDS}
+        }
+      }
+    }
+  }`, { id: product.admin_graphql_api_id || `gid://shopify/Product/${product.id}` });
+
+  const variants = data.product?.variants.nodes || [];
+  const stored = await loadStoredCosts(shop, { variantId: { in: variants.map(variant => gidToId(variant.id)) } });
+  const costs = new Map();
+  for (const variant of variants) {
+    const [variantId, cost] = await saveVariantCost(shop, variant);
+    costs.set(variantId, cost);
+  }
+  await recordShopifyCosts(shop, stored, costs, 'shopify_webhook');
+}
+
+// INVENTORY_ITEMS_UPDATE: the payload carries the new cost, keyed by inventory item
+async function applyInventoryItemUpdate(shop, item) {
+  if (!await usesShopifyCosts(shop)) return;
+
+  const cost = item.cost == null || item.cost === '' ? null : parseFloat(item.cost);
+  const where = { inventoryItemId: String(item.id) };
+  const stored = await loadStoredCosts(shop, where);
+  if (stored.size > 0) {
+    await prisma.productCost.updateMany({
+      where: { shop, ...where },
+      data: { cost, sku: item.sku || null, syncedAt: new Date() }
+    });
+    const costs = new Map([...stored.keys()].map(variantId => [variantId, cost]));
+    await recordShopifyCosts(shop, stored, costs, 'shopify_webhook');
+    return;
+  }
+
+  // An item we haven't seen yet, e.g. a variant created after the last full sync
+  const session = await getOfflineSession(shop);
+  const data = await graphqlQuery(session, `query inventoryItemVariant($id: ID!) {
+    inventoryItem(id: $id) {
+      variant {${VARIANT_COST_FIELDS}
+      }
+    }
+  }`, { id: item.admin_graphql_api_id || `gid://shopify/InventoryItem/${item.id}` });
+
+  if (data.inventoryItem?.variant) {
+    const [variantId, variantCost] = await saveVariantCost(shop, data.inventoryItem.variant);
+    await recordShopifyCosts(shop, stored, new Map([[variantId, variantCost]]), 'shopify_webhook');
+  }
+}
+
+// Shopify runs one bulk query per shop at a time, so a clash with the order backfill retries later
+defineJob('cost_sync', { handler: syncProductCosts });
+
+module.exports = {
+  queueProductCostSync,
+  isCostSyncRunning,
+  applyProductUpdate,
+  applyInventoryItemUpdate
+};
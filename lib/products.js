@@ -0,0 +1,114 @@
+const prisma = require('./prisma');
+const { dayToDate } = require('./dates');
+
+const GROUP_BY = ['variant', 'product', 'sku'];
+const SORT_FIELDS = [
+  'title', 'sku', 'unitsSold', 'revenue', 'cogs', 'grossProfit', 'grossMargin', 'returns', 'profitShare'
+];
+
+function getGroupKey(line, groupBy) {
+  if (groupBy === 'product') return line.productId || `title:${line.title}`;
+  if (groupBy === 'sku') return line.sku || `variant:${line.variantId || line.title}`;
+  return line.variantId || line.sku || `title:${line.title}`;
+}
+
+function compareRows(sortBy, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const left = a[sortBy];
+    const right = b[sortBy];
+    // Rows without a value (no SKU, no revenue to take a margin of) sort last either way
+    if (left == null || right == null) {
+      return (left == null) - (right == null);
+    }
+    if (typeof left === 'string') {
+      return sign * String(left).localeCompare(String(right));
+    }
+    return sign * (left - right);
+  };
+}
+
+// Units, sales, COGS and gross profit per variant, product or SKU over a day range.
+// Rows whose cost came from the default COGS % (or from nothing at all) are flagged so the
+// merchant knows which margins are estimates.
+async function getProductReport(shop, { startDay, endDay }, options = {}) {
+  const { groupBy = 'variant', sortBy = 'grossProfit', direction = 'desc', search, cogsSource } = options;
+
+  const lines = await prisma.orderLineMetrics.findMany({
+    where: { shop, excluded: false, date: { gte: dayToDate(startDay), lte: dayToDate(endDay) } }
+  });
+
+  const groups = new Map();
+  lines.forEach(line => {
+    const key = getGroupKey(line, groupBy);
+    const row = groups.get(key) || {
+      key,
+      productId: line.productId,
+      variantId: groupBy === 'product' ? null : line.variantId,
+      sku: groupBy === 'product' ? null : line.sku,
+      title: line.title,
+      variantTitle: groupBy === 'product' ? null : line.variantTitle,
+      unitsSold: 0,
+      unitsReturned: 0,
+      grossSales: 0,
+      discounts: 0,
+      returns: 0,
+      revenue: 0,
+      cogs: 0,
+      cogsSources: new Set()
+    };
+
+    row.unitsSold += line.quantity - line.returnedQuantity;
+    row.unitsReturned += line.returnedQuantity;
+    row.grossSales += line.grossSales;
+    row.discounts += line.discounts;
+    row.returns += line.returns;
+    row.revenue += line.revenue;
+    row.cogs += line.cogs;
+    row.cogsSources.add(line.cogsSource);
+    groups.set(key, row);
+  });
+
+  const allRows = [...groups.values()].map(({ cogsSources, ...row }) => ({
+    ...row,
+    grossProfit: row.revenue - row.cogs,
+    grossMargin: row.revenue !== 0 ? ((row.revenue - row.cogs) / row.revenue) * 100 : null,
+    usesDefaultCOGS: cogsSources.has('default'),
+    missingCOGS: cogsSources.has('none')
+  }));
+
+  // Shares are of the whole range's gross profit, so filtering doesn't inflate them
+  const totalGrossProfit = allRows.reduce((sum, row) => sum + row.grossProfit, 0);
+  allRows.forEach(row => {
+    row.profitShare = totalGrossProfit !== 0 ? (row.grossProfit / totalGrossProfit) * 100 : null;
+  });
+
+  const needle = search?.trim().toLowerCase();
+  const rows = allRows
+    .filter(row => !needle || [row.title, row.variantTitle, row.sku]
+      .some(value => value?.toLowerCase().includes(needle)))
+    .filter(row => cogsSource !== 'estimated' || row.usesDefaultCOGS || row.missingCOGS)
+    .sort(compareRows(sortBy, direction));
+
+  return {
+    rows,
+    totals: {
+      unitsSold: allRows.reduce((sum, row) => sum + row.unitsSold, 0),
+      revenue: allRows.reduce((sum, row) => sum + row.revenue, 0),
+      cogs: allRows.reduce((sum, row) => sum + row.cogs, 0),
+      grossProfit: totalGrossProfit,
+      estimatedCOGSCount: allRows.filter(row => row.usesDefaultCOGS || row.missingCOGS).length
+    }
+  };
+}
+
+// Check report query params; returns an error message or null
+function validateProductReportOptions({ groupBy, sortBy, direction, cogsSource }) {
+  if (groupBy && !GROUP_BY.includes(groupBy)) return `groupBy must be one of: ${GROUP_BY.join(', ')}`;
+  if (sortBy && !SORT_FIELDS.includes(sortBy)) return `sortBy must be one of: ${SORT_FIELDS.join(', ')}`;
+  if (direction && !['asc', 'desc'].includes(direction)) return 'direction must be asc or desc';
+  if (cogsSource && !['all', 'estimated'].includes(cogsSource)) return 'cogsSource must be all or estimated';
+  return null;
+}
+
+module.exports = { getProductReport, validateProductReportOptions };
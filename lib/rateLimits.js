@@ -0,0 +1,112 @@
+// Rate limits of the APIs we call. Shopify meters REST calls with a leaky bucket (reported in the
+// X-Shopify-Shop-Api-Call-Limit header) and GraphQL by query cost; both answer 429 with a
+// Retry-After once the bucket is empty. Meta reports throttling as Graph API error codes, with the
+// wait in its usage headers; Google Ads answers 429 RESOURCE_EXHAUSTED. TikTok answers HTTP 200
+// with a throttling error code and no wait, so we back off for a few seconds.
+
+// Requests the Shopify client makes before giving up on a 429 or 5xx; it honours Retry-After
+const SHOPIFY_REQUEST_TRIES = 3;
+// Slow down when fewer than this many REST calls are left in the bucket
+const REST_BUCKET_HEADROOM = 5;
+const REST_LEAK_PER_SECOND = 2;
+// When a rate-limited API doesn't say how long to wait
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60 * 1000;
+// Longer waits aren't worth holding a request open for; callers fail and let a job retry later
+const MAX_INLINE_WAIT_MS = 30 * 1000;
+// Rate limits a background job waits out before giving up. Web requests wait out none.
+const BACKGROUND_RATE_LIMIT_RETRIES = 3;
+// Graph API error codes for app, user, page, ad account and business use case throttling
+const META_THROTTLE_CODES = [4, 17, 32, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+// TikTok Marketing API "too many requests" code, and how long to back off after it
+const TIKTOK_THROTTLE_CODE = 40100;
+const TIKTOK_THROTTLE_WAIT_MS = 5 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Header lookup that works on axios headers and on the Shopify client's (any case, maybe arrays)
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  const value = key && headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Meta's x-business-use-case-usage: { "<business id>": [{ estimated_time_to_regain_access: minutes }] }
+function getMetaRegainAccessMs(headers) {
+  try {
+    const usage = JSON.parse(getHeader(headers, 'x-business-use-case-usage') || '{}');
+    const minutes = Math.max(0, ...Object.values(usage).flat().map(entry => entry.estimated_time_to_regain_access || 0));
+    return minutes > 0 ? minutes * 60 * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseRetryAfterMs(value) {
+  if (value == null) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// How long to wait before trying again after a rate-limited request, or null when the error
+// isn't a rate limit
+function getRetryAfterMs(error) {
+  // Shopify client errors (HttpThrottlingError carries Retry-After in seconds)
+  if (error.response?.code === 429) {
+    return parseRetryAfterMs(error.response.retryAfter) ?? DEFAULT_RATE_LIMIT_WAIT_MS;
+  }
+  // TikTok API errors thrown by the connector for HTTP 200 responses
+  if (error.tiktokCode === TIKTOK_THROTTLE_CODE) return TIKTOK_THROTTLE_WAIT_MS;
+
+  const response = error.response;
+  if (!response?.status) return null;
+  if (META_THROTTLE_CODES.includes(response.data?.error?.code)) {
+    return getMetaRegainAccessMs(response.headers) ?? DEFAULT_RATE_LIMIT_WAIT_MS;
+  }
+  if (response.status === 429) {
+    return parseRetryAfterMs(getHeader(response.headers, 'retry-after')) ?? DEFAULT_RATE_LIMIT_WAIT_MS;
+  }
+  return null;
+}
+
+// Run a request, waiting out rate limits that clear within a few seconds
+async function withRateLimitRetries(request, options = {}) {
+  const { retries = BACKGROUND_RATE_LIMIT_RETRIES, maxWaitMs = MAX_INLINE_WAIT_MS } = options;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const waitMs = getRetryAfterMs(error);
+      if (waitMs == null || waitMs > maxWaitMs || attempt >= retries) throw error;
+      await sleep(waitMs);
+    }
+  }
+}
+
+// Pause after a Shopify REST call that left the bucket nearly full, until enough has leaked out
+async function waitForRestBucket(headers) {
+  const [used, size] = (getHeader(headers, 'x-shopify-shop-api-call-limit') || '').split('/').map(Number);
+  if (!size || used < size - REST_BUCKET_HEADROOM) return;
+  await sleep(((used - (size - REST_BUCKET_HEADROOM) + 1) / REST_LEAK_PER_SECOND) * 1000);
+}
+
+// Pause after a Shopify GraphQL call until the bucket could pay for the same query again
+async function waitForGraphqlBucket(cost) {
+  const throttle = cost?.throttleStatus;
+  if (!throttle || !cost.requestedQueryCost) return;
+  const missing = cost.requestedQueryCost - throttle.currentlyAvailable;
+  if (missing > 0) await sleep((missing / throttle.restoreRate) * 1000);
+}
+
+module.exports = {
+  SHOPIFY_REQUEST_TRIES,
+  BACKGROUND_RATE_LIMIT_RETRIES,
+  getRetryAfterMs,
+  withRateLimitRetries,
+  waitForRestBucket,
+  waitForGraphqlBucket
+};
@@ -0,0 +1,46 @@
+const { shopifyApp } = require('@shopify/shopify-app-express');
+const { PrismaSessionStorage } = require('@shopify/shopify-app-session-storage-prisma');
+const { ApiVersion } = require('@shopify/shopify-api');
+const prisma = require('./prisma');
+
+// Shopify app configuration
+const shopify = shopifyApp({
+  api: {
+    apiVersion: ApiVersion.October23,
+    restResources: require('@shopify/shopify-api/rest/admin/2023-10'),
+  },
+  auth: {
+    path: '/api/auth',
+    callbackPath: '/api/auth/callback',
+  },
+  webhooks: {
+    path: '/api/webhooks',
+  },
+  sessionStorage: new PrismaSessionStorage(prisma),
+  distribution: 'app_store',
+  isEmbeddedApp: true,
+});
+
+// Load the offline session stored at install time, for work that runs outside a request
+async function getOfflineSession(shop) {
+  const sessionId = shopify.api.session.getOfflineId(shop);
+  return shopify.config.sessionStorage.loadSession(sessionId);
+}
+
+// Who is making an embedded-app request, for audit records: the staff member's email on online
+// sessions, otherwise the Shopify user id from the App Bridge session token. Null when unknown.
+async function getRequestUser(req, res) {
+  const user = res.locals.shopify?.session?.onlineAccessInfo?.associated_user;
+  if (user) return user.email || `user:${user.id}`;
+
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  if (!token) return null;
+  try {
+    const payload = await shopify.api.session.decodeSessionToken(token);
+    return payload.sub ? `user:${payload.sub}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { shopify, getOfflineSession, getRequestUser };
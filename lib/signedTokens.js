@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Short-lived tokens signed with the app secret, for data that has to travel where the session
+// token can't: OAuth state through a provider's redirect, the event stream's URL. A token is
+// `<payload>.<signature>`, both base64url; the payload names what the token is for, so one kind
+// can't pass for another.
+
+function hmac(payload) {
+  return crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(payload).digest();
+}
+
+function signToken(purpose, data, ttlMs) {
+  const payload = Buffer.from(JSON.stringify({ ...data, purpose, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${payload}.${hmac(payload).toString('base64url')}`;
+}
+
+// The data a token was signed with, or null when it's forged, expired or meant for something else
+function verifyToken(purpose, token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  // Compared as decoded bytes: timingSafeEqual throws on buffers of different lengths
+  const expected = hmac(payload);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (data.purpose !== purpose || data.exp < Date.now()) return null;
+  return data;
+}
+
+module.exports = { signToken, verifyToken };
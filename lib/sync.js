@@ -0,0 +1,451 @@
+const { format, subDays } = require('date-fns');
+const prisma = require('./prisma');
+const { shopify, getOfflineSession } = require('./shopify');
+const {
+  ORDER_AMOUNT_FIELDS,
+  isExcludedOrder,
+  calculateLineItemMetrics,
+  calculateOrderMetrics,
+  calculateOrderProfit
+} = require('./metrics');
+const { toDay, dayToDate, dateToDay } = require('./dates');
+const { loadCostHistory } = require('./costHistory');
+const { resolveFirstOrders, resolveStoredCustomers } = require('./customers');
+const { syncShopCurrency, loadConverter } = require('./currency');
+const { publish } = require('./events');
+const { SHOPIFY_REQUEST_TRIES, waitForRestBucket } = require('./rateLimits');
+const { defineJob, enqueueJob } = require('./jobs');
+
+// How far back the first sync for a new shop reaches
+const INITIAL_SYNC_DAYS = 90;
+// Dashboard loads older than this queue an incremental sync
+const STALE_AFTER_MS = 15 * 60 * 1000;
+const SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// OrderLineMetrics amounts, converted into the reporting currency along with the order's
+const LINE_AMOUNT_FIELDS = ['grossSales', 'discounts', 'returns', 'revenue', 'cogs'];
+// Days of cached metrics recounted at a time once stored customers have been resolved
+const REBUILD_BATCH_DAYS = 31;
+const ORDER_FIELDS = [
+  'id', 'created_at', 'updated_at', 'cancelled_at', 'test', 'financial_status', 'email', 'customer',
+  'line_items', 'total_price', 'total_discounts', 'total_tax', 'shipping_lines', 'refunds',
+  'total_weight', 'gateway', 'payment_gateway_names', 'currency', 'presentment_currency',
+  'total_price_set', 'total_discounts_set', 'total_tax_set', 'name', 'discount_codes', 'source_name',
+  'shipping_address', 'billing_address'
+].join(',');
+
+// One sync per shop at a time; concurrent callers share the running promise
+const runningSyncs = new Map();
+
+// Walk every page of the orders endpoint, following the Link header cursors. The client retries
+// 429s after their Retry-After; between pages we keep clear of the shop's call limit.
+async function fetchOrderPages(session, query, onPage) {
+  const client = new shopify.api.clients.Rest({ session });
+  let pageQuery = { ...query, limit: 250 };
+
+  while (pageQuery) {
+    const response = await client.get({ path: 'orders', query: pageQuery, tries: SHOPIFY_REQUEST_TRIES });
+    await onPage(response.body.orders);
+    await waitForRestBucket(response.headers);
+    pageQuery = response.pageInfo?.nextPage?.query;
+  }
+}
+
+// Store settings as the profit math needs them, with dated unit costs attached as `costHistory`:
+// custom costs by SKU, and Shopify costs by variant id when the shop costs orders from Shopify.
+// `converter` turns shop-currency amounts into the reporting currency (see lib/currency.js).
+async function loadStoreSettings(shop) {
+  const storeSettings = await prisma.storeSettings.findUnique({ where: { shop } });
+  if (!storeSettings) return storeSettings;
+
+  const costHistory = {
+    custom: await loadCostHistory(shop, 'custom', new Map(Object.entries(storeSettings.customCOGS || {})))
+  };
+  if (storeSettings.useShopifyCosts) {
+    const costs = await prisma.productCost.findMany({
+      where: { shop, cost: { not: null } },
+      select: { variantId: true, cost: true }
+    });
+    const current = new Map(costs.map(({ variantId, cost }) => [variantId, cost]));
+    costHistory.shopify = await loadCostHistory(shop, 'shopify', current);
+  }
+  return { ...storeSettings, costHistory, converter: await loadConverter(shop, storeSettings) };
+}
+
+// Pass { full: true } to re-read everything already covered, e.g. after COGS settings change,
+// or { fromDay } to extend coverage back to an earlier shop-local day
+async function syncShopOrders(session, options = {}) {
+  const shop = session.shop;
+  const running = runningSyncs.get(shop);
+  if (running && !options.full && !options.fromDay) {
+    return running;
+  }
+
+  // Wider syncs queue behind whatever is running instead of being dropped
+  const run = Promise.resolve(running)
+    .catch(() => {})
+    .then(() => runSync(session, options))
+    .finally(() => {
+      if (runningSyncs.get(shop) === run) runningSyncs.delete(shop);
+    });
+  runningSyncs.set(shop, run);
+  return run;
+}
+
+async function runSync(session, { full = false, fromDay = null }) {
+  const shop = session.shop;
+  const startedAt = new Date();
+
+  const state = await prisma.syncState.upsert({
+    where: { shop },
+    update: { status: 'running', lastRunAt: startedAt, lastError: null },
+    create: { shop, status: 'running', lastRunAt: startedAt }
+  });
+
+  try {
+    await syncShopCurrency(session);
+    const storeSettings = await loadStoreSettings(shop);
+    const defaultFromDay = format(subDays(startedAt, INITIAL_SYNC_DAYS), 'yyyy-MM-dd');
+    let syncedFromDay = state.syncedFrom ? dateToDay(state.syncedFrom) : defaultFromDay;
+
+    const query = { status: 'any', fields: ORDER_FIELDS };
+    if (fromDay) {
+      // Only fetch the gap between the requested day and what is already cached
+      query.created_at_min = `${fromDay}T00:00:00`;
+      if (state.syncedFrom) query.created_at_max = `${syncedFromDay}T00:00:00`;
+      syncedFromDay = fromDay < syncedFromDay ? fromDay : syncedFromDay;
+    } else if (state.lastSyncedAt && !full) {
+      // Incremental runs only pick up orders created or edited since the last successful sync
+      query.updated_at_min = state.lastSyncedAt.toISOString();
+    } else {
+      query.created_at_min = `${syncedFromDay}T00:00:00`;
+    }
+
+    const touchedDays = new Set();
+    let ordersSynced = 0;
+
+    await fetchOrderPages(session, query, async (orders) => {
+      await resolveFirstOrders(session, orders);
+      for (const order of orders) {
+        await saveOrderMetrics(shop, order, storeSettings);
+        touchedDays.add(toDay(order.created_at));
+        ordersSynced++;
+      }
+    });
+
+    await rebuildDailyMetrics(shop, [...touchedDays]);
+
+    const data = { status: 'idle', syncedFrom: dayToDate(syncedFromDay) };
+    if (!fromDay) data.lastSyncedAt = startedAt;
+    await prisma.syncState.update({ where: { shop }, data });
+
+    // Pages waiting on a queued sync refresh on this, even when it found nothing new
+    publish(shop, 'sync', { status: 'idle', ordersSynced });
+    return { ordersSynced, daysUpdated: touchedDays.size };
+  } catch (error) {
+    await prisma.syncState.update({
+      where: { shop },
+      data: { status: 'failed', lastError: error.message }
+    });
+    publish(shop, 'sync', { status: 'failed', lastError: error.message });
+    throw error;
+  }
+}
+
+function convertAmounts(amounts, fields, rate) {
+  const converted = { ...amounts };
+  fields.forEach(field => {
+    converted[field] = amounts[field] * rate;
+  });
+  return converted;
+}
+
+// Store one order's contribution, replacing whatever an earlier sync or webhook recorded for it.
+// Returns false when the stored copy is already newer, e.g. a webhook delivered out of order.
+// Amounts are worked out in the shop's currency and stored in the reporting currency, at the
+// rate for the day the order was placed; a missing rate fails the sync rather than mixing currencies.
+async function saveOrderMetrics(shop, order, storeSettings) {
+  const orderId = String(order.id);
+  const shopifyUpdatedAt = new Date(order.updated_at || order.created_at);
+  const day = toDay(order.created_at);
+
+  const existing = await prisma.orderMetrics.findUnique({
+    where: { shop_orderId: { shop, orderId } },
+    select: { shopifyUpdatedAt: true }
+  });
+  if (existing?.shopifyUpdatedAt > shopifyUpdatedAt) return false;
+
+  const rate = storeSettings?.converter
+    ? storeSettings.converter.getRate(order.currency || storeSettings.shopCurrency, day)
+    : 1;
+  const amounts = convertAmounts(calculateOrderMetrics(order, storeSettings), ORDER_AMOUNT_FIELDS, rate);
+  const data = {
+    date: dayToDate(day),
+    orderedAt: new Date(order.created_at),
+    shopifyUpdatedAt,
+    // Excluded orders stay stored so a later status change can bring them back in
+    excluded: isExcludedOrder(order, storeSettings),
+    ...amounts,
+    ...calculateOrderProfit(amounts),
+    customerKey: order.customer?.id ? String(order.customer.id) : order.email || null,
+    // For filtering the order drill-down; only the country of the addresses is kept
+    name: order.name || null,
+    discountCodes: (order.discount_codes || []).map(discount => discount.code),
+    sourceName: order.source_name || null,
+    countryCode: order.shipping_address?.country_code || order.billing_address?.country_code || null
+  };
+
+  // Line items are replaced wholesale; edits can add or remove lines
+  const lines = calculateLineItemMetrics(order, storeSettings).map(line => ({
+    shop,
+    orderId,
+    date: data.date,
+    excluded: data.excluded,
+    ...convertAmounts(line, LINE_AMOUNT_FIELDS, rate)
+  }));
+
+  await prisma.$transaction([
+    prisma.orderMetrics.upsert({
+      where: { shop_orderId: { shop, orderId } },
+      update: data,
+      create: { shop, orderId, ...data }
+    }),
+    prisma.orderLineMetrics.deleteMany({ where: { shop, orderId } }),
+    prisma.orderLineMetrics.createMany({ data: lines })
+  ]);
+  return true;
+}
+
+// Store a batch of REST-shaped orders from outside the regular sync (the historical backfill) and
+// re-aggregate the days they fall on. Resolves to those days.
+async function importOrders(session, orders, storeSettings) {
+  await resolveFirstOrders(session, orders);
+  const touchedDays = new Set();
+  for (const order of orders) {
+    await saveOrderMetrics(session.shop, order, storeSettings);
+    touchedDays.add(toDay(order.created_at));
+  }
+  await rebuildDailyMetrics(session.shop, [...touchedDays]);
+  return [...touchedDays];
+}
+
+// Apply a single order pushed by a webhook to the cached metrics for its day. Runs as an 'order'
+// job; updates that arrive out of order are ignored by saveOrderMetrics.
+async function applyOrder(shop, order) {
+  await resolveFirstOrders(await getOfflineSession(shop), [order]);
+  const storeSettings = await loadStoreSettings(shop);
+  const saved = await saveOrderMetrics(shop, order, storeSettings);
+  if (saved) await rebuildDailyMetrics(shop, [toDay(order.created_at)]);
+  return saved;
+}
+
+// Re-aggregate the stored orders for the given shop-local days into CachedMetrics
+async function rebuildDailyMetrics(shop, days) {
+  if (days.length === 0) return;
+
+  const orders = await prisma.orderMetrics.findMany({
+    where: { shop, excluded: false, date: { in: days.map(dayToDate) } }
+  });
+
+  // A Shopify customer is new on the day of their first order as Shopify knows it; guest checkouts
+  // on the day of their earliest order we have cached
+  const customerKeys = [...new Set(orders.map(o => o.customerKey).filter(Boolean))];
+  const customers = await prisma.customer.findMany({
+    where: { shop, customerKey: { in: customerKeys }, firstOrderId: { not: null } },
+    select: { customerKey: true, firstOrderId: true }
+  });
+  const firstOrderIds = new Map(customers.map(c => [c.customerKey, c.firstOrderId]));
+  const firstOrders = await prisma.orderMetrics.groupBy({
+    by: ['customerKey'],
+    where: { shop, excluded: false, customerKey: { in: customerKeys.filter(key => !firstOrderIds.has(key)) } },
+    _min: { orderedAt: true }
+  });
+  const firstOrderAt = new Map(firstOrders.map(f => [f.customerKey, f._min.orderedAt.getTime()]));
+  const isFirstOrder = (order) => (firstOrderIds.has(order.customerKey)
+    ? firstOrderIds.get(order.customerKey) === order.orderId
+    : firstOrderAt.get(order.customerKey) === order.orderedAt.getTime());
+
+  const totals = new Map(days.map(day => [day, {
+    ...Object.fromEntries(ORDER_AMOUNT_FIELDS.map(field => [field, 0])),
+    orders: 0,
+    newCustomers: 0,
+    newCustomerRevenue: 0,
+    returningCustomerRevenue: 0
+  }]));
+
+  orders.forEach(order => {
+    const day = totals.get(dateToDay(order.date));
+    ORDER_AMOUNT_FIELDS.forEach(field => {
+      day[field] += order[field];
+    });
+    day.orders++;
+
+    if (!order.customerKey) return;
+    if (isFirstOrder(order)) {
+      day.newCustomers++;
+      day.newCustomerRevenue += order.revenue;
+    } else {
+      day.returningCustomerRevenue += order.revenue;
+    }
+  });
+
+  for (const [day, data] of totals) {
+    await prisma.cachedMetrics.upsert({
+      where: { shop_date: { shop, date: dayToDate(day) } },
+      update: data,
+      create: { shop, date: dayToDate(day), ...data }
+    });
+  }
+
+  publish(shop, 'metrics', { days: [...totals.keys()] });
+}
+
+async function getDailyMetrics(shop, startDay, endDay) {
+  return prisma.cachedMetrics.findMany({
+    where: { shop, date: { gte: dayToDate(startDay), lte: dayToDate(endDay) } },
+    orderBy: { date: 'asc' }
+  });
+}
+
+// Queue whatever syncs the cache needs to cover the requested range and be fresh, and resolve to
+// the shop's sync state so callers can report how complete the cached numbers are. Web requests
+// read what is cached meanwhile; background work that needs the range covered passes
+// { wait: true } to sync inline instead.
+async function ensureFreshMetrics(session, startDay, { wait = false } = {}) {
+  const shop = session.shop;
+  let state = await prisma.syncState.findUnique({ where: { shop } });
+
+  if (!state?.lastSyncedAt && !wait) {
+    // Nothing cached yet; the first sync covers the default window, so wider ranges wait for it
+    await enqueueJob(shop, 'sync');
+    return state;
+  }
+  if (!state?.lastSyncedAt) {
+    await syncShopOrders(session);
+  } else if (Date.now() - state.lastSyncedAt.getTime() > STALE_AFTER_MS) {
+    await enqueueJob(shop, 'sync');
+  }
+
+  state = await prisma.syncState.findUnique({ where: { shop } });
+  if (startDay && state?.syncedFrom && dayToDate(startDay) < state.syncedFrom) {
+    if (wait) {
+      await syncShopOrders(session, { fromDay: startDay });
+      state = await prisma.syncState.findUnique({ where: { shop } });
+    } else {
+      await enqueueJob(shop, 'sync', { fromDay: startDay });
+    }
+  }
+
+  return state;
+}
+
+// Whether every order placed in the range has made it into the cache
+function describeCoverage(state, startDay) {
+  const covered = Boolean(state?.syncedFrom) && state.syncedFrom <= dayToDate(startDay);
+
+  return {
+    complete: covered && Boolean(state.lastSyncedAt) && state.status !== 'failed',
+    status: state?.status || 'never_synced',
+    syncedFrom: state?.syncedFrom ? dateToDay(state.syncedFrom) : null,
+    lastSyncedAt: state?.lastSyncedAt || null,
+    lastError: state?.lastError || null
+  };
+}
+
+async function syncAllShops() {
+  const shops = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+    distinct: ['shop']
+  });
+
+  for (const { shop } of shops) {
+    await enqueueJob(shop, 'sync');
+  }
+}
+
+// Order lines came after orders, and are only written when an order is saved again. Shops with
+// orders but no lines get one full resync so the product report covers their history; run by
+// scripts/upgrade.js, and once the resync has run there is nothing left to find.
+async function resyncShopsMissingLines() {
+  const shops = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+    distinct: ['shop']
+  });
+
+  for (const { shop } of shops) {
+    const order = await prisma.orderMetrics.findFirst({ where: { shop }, select: { id: true } });
+    const line = await prisma.orderLineMetrics.findFirst({ where: { shop }, select: { id: true } });
+    if (order && !line) await enqueueJob(shop, 'sync', { full: true });
+  }
+}
+
+// First orders are only resolved as orders are fetched, so shops whose orders were cached before
+// that have no Customer rows. They get one job that resolves the stored customers and recounts new
+// customers; run by scripts/upgrade.js, and once the job has run there is nothing left to find.
+async function resolveMissingFirstOrders() {
+  const shops = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+    distinct: ['shop']
+  });
+
+  for (const { shop } of shops) {
+    const order = await prisma.orderMetrics.findFirst({
+      where: { shop, customerKey: { not: null }, NOT: { customerKey: { contains: '@' } } },
+      select: { id: true }
+    });
+    const customer = await prisma.customer.findFirst({ where: { shop }, select: { id: true } });
+    if (order && !customer) await enqueueJob(shop, 'first_orders');
+  }
+}
+
+async function runFirstOrderResolve(session) {
+  const shop = session.shop;
+  const customerKeys = await resolveStoredCustomers(session);
+  if (customerKeys.length === 0) return { customersResolved: 0 };
+
+  // Every day can hold one of their orders, so the whole cache is recounted
+  const dates = await prisma.orderMetrics.findMany({
+    where: { shop },
+    select: { date: true },
+    distinct: ['date'],
+    orderBy: { date: 'asc' }
+  });
+  const days = dates.map(({ date }) => dateToDay(date));
+  for (let i = 0; i < days.length; i += REBUILD_BATCH_DAYS) {
+    await rebuildDailyMetrics(shop, days.slice(i, i + REBUILD_BATCH_DAYS));
+  }
+  return { customersResolved: customerKeys.length, daysUpdated: days.length };
+}
+
+defineJob('first_orders', { handler: runFirstOrderResolve });
+
+defineJob('sync', { handler: (session, options) => syncShopOrders(session, options) });
+
+defineJob('order', {
+  handler: async (session, { order }) => {
+    await applyOrder(session.shop, order);
+  }
+});
+
+function startSyncScheduler() {
+  setInterval(() => {
+    syncAllShops().catch(error => console.error('Daily sync error:', error));
+  }, SYNC_INTERVAL_MS);
+}
+
+module.exports = {
+  fetchOrderPages,
+  loadStoreSettings,
+  syncShopOrders,
+  importOrders,
+  applyOrder,
+  rebuildDailyMetrics,
+  getDailyMetrics,
+  ensureFreshMetrics,
+  describeCoverage,
+  resyncShopsMissingLines,
+  resolveMissingFirstOrders,
+  startSyncScheduler
+};
@@ -0,0 +1,110 @@
+const { format, parseISO, startOfWeek } = require('date-fns');
+const { addDaysToDay, dateToDay } = require('./dates');
+const { getDailyExpenses } = require('./costs');
+const { getDailyMetrics } = require('./sync');
+const { calculateDashboardMetrics } = require('./metrics');
+const { fetchMarketingSpend } = require('./ads');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Start day of the bucket a day falls in; weeks start on Monday
+function getBucketStart(day, granularity) {
+  if (granularity === 'week') {
+    return format(startOfWeek(parseISO(day), { weekStartsOn: 1 }), 'yyyy-MM-dd');
+  }
+  if (granularity === 'month') return `${day.slice(0, 7)}-01`;
+  return day;
+}
+
+function emptyPoint(startDay) {
+  return {
+    date: startDay,
+    startDate: startDay,
+    endDate: startDay,
+    revenue: 0,
+    cogs: 0,
+    adSpend: 0,
+    otherCosts: 0,
+    netProfit: 0,
+    orders: 0,
+    averageOrderValue: 0,
+    newCustomers: 0
+  };
+}
+
+// Merge cached order metrics, prorated expenses and marketing spend into one point per day, then
+// roll the days up into buckets. Days without data still get a zero point so charts don't skip them.
+function buildTimeseries({ startDay, endDay, granularity, dailyMetrics, dailyExpenses, dailyAdSpend }) {
+  const metricsByDay = new Map(dailyMetrics.map(day => [dateToDay(day.date), day]));
+  const expensesByDay = new Map(dailyExpenses.map(day => [day.day, day]));
+  const buckets = new Map();
+
+  for (let day = startDay; day <= endDay; day = addDaysToDay(day, 1)) {
+    const bucketStart = getBucketStart(day, granularity);
+    const point = buckets.get(bucketStart) || emptyPoint(day);
+    const metrics = metricsByDay.get(day);
+    const expenses = expensesByDay.get(day);
+
+    point.endDate = day;
+    point.adSpend += dailyAdSpend.get(day) || 0;
+    if (expenses) point.otherCosts += expenses.fixedCosts + expenses.customExpenses;
+    if (metrics) {
+      point.revenue += metrics.revenue;
+      point.cogs += metrics.cogs;
+      point.otherCosts += metrics.shippingCost + metrics.paymentFees;
+      point.orders += metrics.orders;
+      point.newCustomers += metrics.newCustomers;
+    }
+    buckets.set(bucketStart, point);
+  }
+
+  return [...buckets.values()].map(point => ({
+    ...point,
+    netProfit: point.revenue - point.cogs - point.otherCosts - point.adSpend,
+    averageOrderValue: point.orders > 0 ? point.revenue / point.orders : 0
+  }));
+}
+
+function sumDailyAdSpend(breakdown) {
+  const spend = new Map();
+  breakdown.forEach(account => {
+    account.daily.forEach(day => {
+      spend.set(day.date, (spend.get(day.date) || 0) + day.spend);
+    });
+  });
+  return spend;
+}
+
+// Dashboard totals for a range, read from the daily metrics cache (see ensureFreshMetrics)
+async function getRangeMetrics(shop, { startDay, endDay }) {
+  return calculateDashboardMetrics(
+    await getDailyMetrics(shop, startDay, endDay),
+    await getDailyExpenses(shop, startDay, endDay)
+  );
+}
+
+// Time series for one range. The metrics cache must already cover it (see ensureFreshMetrics).
+async function getTimeseries(shop, { startDay, endDay }, granularity) {
+  const [dailyMetrics, dailyExpenses, marketing] = await Promise.all([
+    getDailyMetrics(shop, startDay, endDay),
+    getDailyExpenses(shop, startDay, endDay),
+    fetchMarketingSpend(shop, startDay, endDay)
+  ]);
+
+  return {
+    startDate: startDay,
+    endDate: endDay,
+    series: buildTimeseries({
+      startDay,
+      endDay,
+      granularity,
+      dailyMetrics,
+      dailyExpenses,
+      dailyAdSpend: sumDailyAdSpend(marketing.breakdown)
+    }),
+    // Platforms whose spend couldn't be fetched are missing from adSpend and netProfit
+    adSpendErrors: marketing.errors
+  };
+}
+
+module.exports = { GRANULARITIES, getBucketStart, buildTimeseries, sumDailyAdSpend, getRangeMetrics, getTimeseries };
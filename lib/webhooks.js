@@ -0,0 +1,66 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+const { enqueueJob } = require('./jobs');
+const { applyProductUpdate, applyInventoryItemUpdate } = require('./productCosts');
+const { handlePrivacyRequest } = require('./privacy');
+
+// Shopify retries deliveries, so each webhook id is only ever applied once
+async function alreadyProcessed(webhookId) {
+  if (!webhookId) return false;
+  const processed = await prisma.processedWebhook.findUnique({ where: { webhookId } });
+  return Boolean(processed);
+}
+
+async function markProcessed(shop, topic, webhookId) {
+  if (!webhookId) return;
+  try {
+    await prisma.processedWebhook.create({ data: { shop, topic, webhookId } });
+  } catch (error) {
+    // A concurrent redelivery got there first
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002')) throw error;
+  }
+}
+
+async function processOnce(topic, shop, body, webhookId, apply) {
+  if (await alreadyProcessed(webhookId)) {
+    console.log(`Skipping duplicate ${topic} webhook ${webhookId}`);
+    return;
+  }
+
+  await apply(shop, JSON.parse(body));
+  await markProcessed(shop, topic, webhookId);
+}
+
+// ORDERS_CREATE / ORDERS_UPDATED: queue the order for an 'order' job to fold into the cached daily
+// metrics, so Shopify gets its answer well within the delivery timeout
+async function handleOrderWebhook(topic, shop, body, webhookId) {
+  await processOnce(topic, shop, body, webhookId, (shop, order) => enqueueJob(shop, 'order', { order }));
+}
+
+// PRODUCTS_UPDATE: refresh the Shopify costs of the product's variants
+async function handleProductWebhook(topic, shop, body, webhookId) {
+  await processOnce(topic, shop, body, webhookId, applyProductUpdate);
+}
+
+// INVENTORY_ITEMS_UPDATE: pick up a changed unit cost
+async function handleInventoryItemWebhook(topic, shop, body, webhookId) {
+  await processOnce(topic, shop, body, webhookId, applyInventoryItemUpdate);
+}
+
+// CUSTOMERS_DATA_REQUEST, CUSTOMERS_REDACT, SHOP_REDACT and APP_UNINSTALLED. These keep their own
+// audit record (see lib/privacy.js), which also catches redeliveries.
+function privacyWebhook(privacyTopic) {
+  return async (topic, shop, body, webhookId) => {
+    await handlePrivacyRequest(privacyTopic, shop, JSON.parse(body), webhookId);
+  };
+}
+
+module.exports = {
+  handleOrderWebhook,
+  handleProductWebhook,
+  handleInventoryItemWebhook,
+  handleCustomerDataRequest: privacyWebhook('customers/data_request'),
+  handleCustomerRedact: privacyWebhook('customers/redact'),
+  handleShopRedact: privacyWebhook('shop/redact'),
+  handleAppUninstalled: privacyWebhook('app/uninstalled')
+};
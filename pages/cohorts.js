@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Select,
+  Spinner,
+  Stack,
+  Banner,
+  Caption
+} from '@shopify/polaris';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const CURVE_COLORS = ['#008060', '#5c6ac4', '#de3618', '#eec200', '#47c1bf', '#9c6ade', '#f49342', '#50b83c'];
+
+export default function Cohorts() {
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState(null);
+  const [months, setMonths] = useState('12');
+  const [curveMetric, setCurveMetric] = useState('retention');
+
+  const monthOptions = [
+    { label: '6 months', value: '6' },
+    { label: '12 months', value: '12' },
+    { label: '24 months', value: '24' }
+  ];
+
+  const curveOptions = [
+    { label: 'Retention', value: 'retention' },
+    { label: 'LTV', value: 'ltv' },
+    { label: 'Profit LTV', value: 'profitLtv' }
+  ];
+
+  useEffect(() => {
+    fetchCohorts();
+  }, [months]);
+
+  const fetchCohorts = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/cohorts?months=${months}`);
+      setData(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch cohorts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    if (amount == null) return '—';
+    return new Intl.NumberFormat(data?.locale || undefined, {
+      style: 'currency',
+      currency: data?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatPercent = (value) => (value == null ? '—' : `${(value * 100).toFixed(0)}%`);
+  const formatRatio = (value) => (value == null ? '—' : `${value.toFixed(2)}x`);
+
+  // Darker cells for better retention, like the usual cohort heat map
+  const retentionCellStyle = (retention) => ({
+    padding: '6px 8px',
+    textAlign: 'right',
+    background: retention == null ? 'transparent' : `rgba(0, 128, 96, ${Math.min(retention * 2, 1) * 0.6 + 0.05})`,
+    color: retention > 0.35 ? '#fff' : 'inherit'
+  });
+
+  // Recent cohorts are the most relevant; the chart gets unreadable past eight lines
+  const charted = (data?.cohorts || []).filter(cohort => cohort.customers > 0).slice(-CURVE_COLORS.length);
+  const longest = Math.max(0, ...charted.map(cohort => cohort.periods.length));
+  const curveData = Array.from({ length: longest }, (_, index) => ({
+    monthIndex: `M${index}`,
+    ...Object.fromEntries(charted
+      .filter(cohort => cohort.periods[index])
+      .map(cohort => [cohort.month, cohort.periods[index][curveMetric]]))
+  }));
+  const formatCurveValue = curveMetric === 'retention' ? formatPercent : formatCurrency;
+
+  const maxPeriods = Math.max(0, ...(data?.cohorts || []).map(cohort => cohort.periods.length));
+  const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+  return (
+    <Page
+      title="Customer cohorts"
+      subtitle="Customers grouped by the month of their first order"
+      breadcrumbs={[{ content: 'Dashboard', onAction: () => { window.location.href = `/${window.location.search}`; } }]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Stack distribution="trailing">
+            <Select label="Cohorts" labelInline options={monthOptions} value={months} onChange={setMonths} />
+          </Stack>
+        </Layout.Section>
+
+        {data?.complete === false && (
+          <Layout.Section>
+            <Banner status="warning">
+              Older orders are still syncing, so early cohorts may be incomplete.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {data?.adSpendErrors?.length > 0 && (
+          <Layout.Section>
+            <Banner status="warning">
+              Ad spend from {data.adSpendErrors.map(error => error.platform).join(', ')} couldn't be loaded, so CAC
+              is understated.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {loading && !data ? (
+          <Layout.Section>
+            <div style={{ textAlign: 'center', padding: '60px' }}>
+              <Spinner size="large" />
+            </div>
+          </Layout.Section>
+        ) : data?.totals && (
+          <>
+            <Layout.Section>
+              <Stack distribution="fillEvenly">
+                {[
+                  { label: 'New customers', value: data.totals.customers },
+                  { label: 'Blended CAC', value: formatCurrency(data.totals.cac) },
+                  { label: 'LTV to date', value: formatCurrency(data.totals.ltv) },
+                  { label: 'Profit LTV to date', value: formatCurrency(data.totals.profitLtv) },
+                  { label: 'LTV:CAC', value: formatRatio(data.totals.ltvToCac) },
+                  { label: 'Profit LTV:CAC', value: formatRatio(data.totals.profitLtvToCac) }
+                ].map(card => (
+                  <Card key={card.label} sectioned>
+                    <Stack vertical spacing="tight">
+                      <Text variant="headingMd" as="h3">{card.label}</Text>
+                      <Text variant="headingXl" as="p">{card.value}</Text>
+                    </Stack>
+                  </Card>
+                ))}
+              </Stack>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card title="Cohort curves" sectioned>
+                <Stack vertical>
+                  <Select label="Show" labelInline options={curveOptions} value={curveMetric} onChange={setCurveMetric} />
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={curveData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="monthIndex" />
+                      <YAxis tickFormatter={formatCurveValue} />
+                      <Tooltip formatter={(value) => formatCurveValue(value)} />
+                      <Legend />
+                      {charted.map((cohort, index) => (
+                        <Line
+                          key={cohort.month}
+                          type="monotone"
+                          dataKey={cohort.month}
+                          stroke={CURVE_COLORS[index % CURVE_COLORS.length]}
+                          strokeWidth={2}
+                          dot={false}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <Caption>M0 is the month of the first order. LTV and profit LTV are cumulative per customer.</Caption>
+                </Stack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card title="Retention by cohort">
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                    <thead>
+                      <tr>
+                        <th style={{ ...cellStyle, textAlign: 'left' }}>Cohort</th>
+                        <th style={cellStyle}>Customers</th>
+                        <th style={cellStyle}>CAC</th>
+                        <th style={cellStyle}>LTV</th>
+                        <th style={cellStyle}>Profit LTV</th>
+                        <th style={cellStyle}>LTV:CAC</th>
+                        {Array.from({ length: maxPeriods }, (_, index) => (
+                          <th key={index} style={cellStyle}>M{index}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.cohorts.map(cohort => (
+                        <tr key={cohort.month}>
+                          <td style={{ ...cellStyle, textAlign: 'left' }}>{cohort.month}</td>
+                          <td style={cellStyle}>{cohort.customers}</td>
+                          <td style={cellStyle}>{formatCurrency(cohort.cac)}</td>
+                          <td style={cellStyle}>{formatCurrency(cohort.ltv)}</td>
+                          <td style={cellStyle}>{formatCurrency(cohort.profitLtv)}</td>
+                          <td style={cellStyle}>{formatRatio(cohort.ltvToCac)}</td>
+                          {Array.from({ length: maxPeriods }, (_, index) => (
+                            <td key={index} style={retentionCellStyle(cohort.periods[index]?.retention)}>
+                              {cohort.periods[index] ? formatPercent(cohort.periods[index].retention) : ''}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Select,
+  Spinner,
+  Stack,
+  TextField,
+  DataTable
+} from '@shopify/polaris';
+import { format } from 'date-fns';
+
+const REASON_LABELS = {
+  csv_upload: 'CSV upload',
+  settings: 'Settings',
+  shopify_sync: 'Shopify sync',
+  shopify_webhook: 'Shopify update'
+};
+
+const SOURCE_LABELS = {
+  custom: 'Uploaded (SKU)',
+  shopify: 'Shopify (variant)'
+};
+
+export default function Costs() {
+  const [loading, setLoading] = useState(true);
+  const [history, setHistory] = useState(null);
+  const [source, setSource] = useState('');
+  const [key, setKey] = useState('');
+
+  const sourceOptions = [
+    { label: 'All sources', value: '' },
+    { label: SOURCE_LABELS.custom, value: 'custom' },
+    { label: SOURCE_LABELS.shopify, value: 'shopify' }
+  ];
+
+  // Typing a SKU shouldn't fire a request per keystroke
+  useEffect(() => {
+    const pending = setTimeout(fetchHistory, 300);
+    return () => clearTimeout(pending);
+  }, [source, key]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ source, key: key.trim() });
+      const response = await fetch(`/api/costs/history?${params}`);
+      const data = await response.json();
+      setHistory(data);
+    } catch (error) {
+      console.error('Failed to fetch cost history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCost = (cost) => {
+    if (cost == null) return '—';
+    return new Intl.NumberFormat(history?.locale || undefined, {
+      style: 'currency',
+      currency: history?.currency || 'USD'
+    }).format(cost);
+  };
+
+  // Effective dates are shop-local days stored at UTC midnight
+  const formatDay = (date) => (date ? date.slice(0, 10) : 'Always');
+
+  const versionRows = (history?.versions || []).map(version => [
+    formatDay(version.effectiveFrom),
+    formatCost(version.cost),
+    format(new Date(version.createdAt), 'yyyy-MM-dd HH:mm')
+  ]);
+
+  const auditRows = (history?.auditLog || []).map(entry => [
+    format(new Date(entry.createdAt), 'yyyy-MM-dd HH:mm'),
+    entry.key,
+    SOURCE_LABELS[entry.source] || entry.source,
+    formatCost(entry.previousCost),
+    formatCost(entry.newCost),
+    formatDay(entry.effectiveFrom),
+    entry.changedBy || '—',
+    REASON_LABELS[entry.reason] || entry.reason
+  ]);
+
+  return (
+    <Page
+      title="Cost history"
+      subtitle="Every unit cost change. Orders are costed at the price in effect on the day they were placed."
+      breadcrumbs={[{ content: 'Dashboard', onAction: () => { window.location.href = `/${window.location.search}`; } }]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card sectioned>
+            <Stack alignment="trailing">
+              <Stack.Item fill>
+                <TextField
+                  label="SKU or variant ID"
+                  value={key}
+                  onChange={setKey}
+                  placeholder="Show every version of one SKU or variant"
+                  clearButton
+                  onClearButtonClick={() => setKey('')}
+                  autoComplete="off"
+                />
+              </Stack.Item>
+              <Select label="Source" options={sourceOptions} value={source} onChange={setSource} />
+            </Stack>
+          </Card>
+        </Layout.Section>
+
+        {key.trim() && versionRows.length > 0 && (
+          <Layout.Section>
+            <Card title={`Versions of ${key.trim()}`}>
+              <DataTable
+                columnContentTypes={['text', 'numeric', 'text']}
+                headings={['Effective from', 'Unit cost', 'Recorded']}
+                rows={versionRows}
+              />
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card title="Changes">
+            {loading && !history ? (
+              <div style={{ textAlign: 'center', padding: '60px' }}>
+                <Spinner size="large" />
+              </div>
+            ) : auditRows.length === 0 ? (
+              <Card.Section>
+                <Text variant="bodyMd" color="subdued">No cost changes recorded yet.</Text>
+              </Card.Section>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'numeric', 'text', 'text', 'text']}
+                headings={['Changed', 'SKU / variant', 'Source', 'Old cost', 'New cost', 'Effective from', 'Changed by', 'Via']}
+                rows={auditRows}
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Page,
   Layout,
@@ -15,38 +15,216 @@ import {
   FormLayout,
   TextField,
   DropZone,
-  Caption
+  Caption,
+  ChoiceList,
+  Checkbox,
+  Tooltip as PolarisTooltip
 } from '@shopify/polaris';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
-import { format, subDays, startOfDay, endOfDay } from 'date-fns';
+import { format, parseISO, subDays, startOfDay, endOfDay } from 'date-fns';
+import useStoreEvents from '../hooks/useStoreEvents';
+
+const PLATFORM_NAMES = {
+  meta: 'Meta',
+  google: 'Google',
+  tiktok: 'TikTok',
+  pinterest: 'Pinterest',
+  snapchat: 'Snapchat',
+  klaviyo: 'Klaviyo',
+  postscript: 'Postscript'
+};
+
+// Blended marketing ratios from /api/ad-spend `kpis`, with the formula each tooltip explains
+const MARKETING_KPIS = [
+  { key: 'blendedRoas', label: 'Blended ROAS', type: 'ratio', formula: 'Net sales ÷ total ad spend' },
+  { key: 'mer', label: 'MER', type: 'ratio', formula: 'Total sales (incl. shipping and taxes) ÷ total ad spend' },
+  {
+    key: 'newCustomerCac',
+    label: 'New customer CAC',
+    type: 'currency',
+    formula: 'Total ad spend ÷ new customers',
+    higherIsBetter: false
+  },
+  {
+    key: 'costPerOrder',
+    label: 'Cost per order',
+    type: 'currency',
+    formula: 'Total ad spend ÷ orders',
+    higherIsBetter: false
+  },
+  {
+    key: 'contributionMargin',
+    label: 'Contribution margin',
+    type: 'percent',
+    formula: '(Net sales − COGS − shipping costs − payment fees) ÷ net sales'
+  },
+  {
+    key: 'breakEvenRoas',
+    label: 'Break-even ROAS',
+    type: 'ratio',
+    formula: '1 ÷ contribution margin: the blended ROAS at which ad spend uses up all contribution',
+    higherIsBetter: false
+  }
+];
+
+const TREND_METRICS = [
+  { label: 'Net profit', value: 'netProfit', currency: true },
+  { label: 'Revenue', value: 'revenue', currency: true },
+  { label: 'COGS', value: 'cogs', currency: true },
+  { label: 'Ad spend', value: 'adSpend', currency: true },
+  { label: 'Orders', value: 'orders' },
+  { label: 'Average order value', value: 'averageOrderValue', currency: true },
+  { label: 'New customers', value: 'newCustomers' }
+];
 
 export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState(null);
   const [adSpendData, setAdSpendData] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [backfill, setBackfill] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+  const [timeseries, setTimeseries] = useState(null);
+  const [trendMetric, setTrendMetric] = useState('netProfit');
+  const [granularity, setGranularity] = useState('day');
   const [timeRange, setTimeRange] = useState('30');
+  const [customRange, setCustomRange] = useState({ startDate: '', endDate: '' });
+  const [compareMode, setCompareMode] = useState('previous');
+  const [customComparison, setCustomComparison] = useState({ startDate: '', endDate: '' });
   const [settingsModal, setSettingsModal] = useState(false);
   const [cogsModal, setCogsModal] = useState(false);
+  const [expensesModal, setExpensesModal] = useState(false);
+  const [expenses, setExpenses] = useState([]);
+  const [newExpense, setNewExpense] = useState({
+    name: '',
+    category: 'app',
+    amount: '',
+    recurrence: 'monthly',
+    startDate: format(new Date(), 'yyyy-MM-dd'),
+    endDate: ''
+  });
+  const [expenseError, setExpenseError] = useState(null);
   const [settings, setSettings] = useState({
-    defaultCOGSPercentage: 30
+    defaultCOGSPercentage: 30,
+    excludedOrderStatuses: ['cancelled', 'test', 'voided'],
+    shippingCostRule: { type: 'none' },
+    paymentFeeRules: [],
+    useShopifyCosts: false
   });
+  const [costSync, setCostSync] = useState(null);
   const [file, setFile] = useState(null);
+  const [cogsEffectiveFrom, setCogsEffectiveFrom] = useState('');
+  const [cogsImport, setCogsImport] = useState({
+    mode: 'merge',
+    keyType: '',
+    keyColumn: '',
+    costColumn: '',
+    decimalSeparator: 'auto'
+  });
+  const [cogsPreview, setCogsPreview] = useState(null);
+  const [cogsError, setCogsError] = useState(null);
+  const [cogsUploading, setCogsUploading] = useState(false);
+  const refreshDashboard = useRef(null);
+
+  const compareOptions = [
+    { label: 'Previous period', value: 'previous' },
+    { label: 'Same period last year', value: 'year' },
+    { label: 'Custom period', value: 'custom' },
+    { label: 'No comparison', value: 'none' }
+  ];
+
+  const granularityOptions = [
+    { label: 'Daily', value: 'day' },
+    { label: 'Weekly', value: 'week' },
+    { label: 'Monthly', value: 'month' }
+  ];
 
   const timeRangeOptions = [
     { label: '7 days', value: '7' },
     { label: '30 days', value: '30' },
-    { label: '90 days', value: '90' }
+    { label: '90 days', value: '90' },
+    { label: 'Custom range', value: 'custom' }
+  ];
+
+  const orderStatusOptions = [
+    { label: 'Cancelled', value: 'cancelled' },
+    { label: 'Test orders', value: 'test' },
+    { label: 'Voided', value: 'voided' },
+    { label: 'Pending payment', value: 'pending' },
+    { label: 'Authorized (not captured)', value: 'authorized' },
+    { label: 'Fully refunded', value: 'refunded' }
+  ];
+
+  const shippingRuleOptions = [
+    { label: 'Not tracked', value: 'none' },
+    { label: 'Flat amount per order', value: 'per_order' },
+    { label: 'By order weight', value: 'weight_tiers' },
+    { label: '% of net sales', value: 'percent' }
+  ];
+
+  const expenseCategoryOptions = [
+    { label: 'Apps', value: 'app' },
+    { label: 'Salaries', value: 'salary' },
+    { label: 'Rent', value: 'rent' },
+    { label: 'Software', value: 'software' },
+    { label: 'Other', value: 'other' }
+  ];
+
+  const expenseRecurrenceOptions = [
+    { label: 'One-off', value: 'one_time' },
+    { label: 'Daily', value: 'daily' },
+    { label: 'Weekly', value: 'weekly' },
+    { label: 'Monthly', value: 'monthly' },
+    { label: 'Yearly', value: 'yearly' }
   ];
 
   useEffect(() => {
+    fetchSettings();
+    fetchExpenses();
+    fetchAlerts();
+    fetchBackfill();
+  }, []);
+
+  const getDateRange = () => {
+    if (timeRange === 'custom') return customRange;
+    const endDate = new Date();
+    return {
+      startDate: format(subDays(endDate, parseInt(timeRange)), 'yyyy-MM-dd'),
+      endDate: format(endDate, 'yyyy-MM-dd')
+    };
+  };
+
+  const isValidRange = (range) => range.startDate && range.endDate && range.startDate <= range.endDate;
+
+  const isRangeReady = (timeRange !== 'custom' || isValidRange(customRange)) &&
+    (compareMode !== 'custom' || isValidRange(customComparison));
+
+  // Query string shared by every endpoint: the selected range plus the comparison period
+  const getRangeQuery = () => {
+    const { startDate, endDate } = getDateRange();
+    const params = new URLSearchParams({ startDate, endDate, compare: compareMode });
+    if (compareMode === 'custom') {
+      params.set('compareStartDate', customComparison.startDate);
+      params.set('compareEndDate', customComparison.endDate);
+    }
+    return params.toString();
+  };
+
+  useEffect(() => {
+    if (!isRangeReady) return;
     fetchDashboardData();
     fetchAdSpendData();
-  }, [timeRange]);
+  }, [timeRange, customRange, compareMode, customComparison]);
+
+  useEffect(() => {
+    if (!isRangeReady) return;
+    fetchTimeseries();
+  }, [timeRange, customRange, compareMode, customComparison, granularity]);
 
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/dashboard');
+      const response = await fetch(`/api/dashboard?${getRangeQuery()}`);
       const data = await response.json();
       setDashboardData(data);
     } catch (error) {
@@ -55,13 +233,29 @@ export default function Dashboard() {
       setLoading(false);
     }
   };
+  refreshDashboard.current = () => {
+    fetchDashboardData();
+    fetchTimeseries();
+  };
+
+  // Refetch when the server pushes new order data or ad spend, or a queued sync finishes; bursts of
+  // webhooks collapse into one refresh
+  const pendingRefresh = useRef(null);
+  const scheduleRefresh = () => {
+    clearTimeout(pendingRefresh.current);
+    pendingRefresh.current = setTimeout(() => refreshDashboard.current(), 2000);
+  };
+  useEffect(() => () => clearTimeout(pendingRefresh.current), []);
+  useStoreEvents({
+    metrics: scheduleRefresh,
+    sync: scheduleRefresh,
+    adSpend: scheduleRefresh,
+    backfill: setBackfill
+  });
 
   const fetchAdSpendData = async () => {
     try {
-      const endDate = new Date();
-      const startDate = subDays(endDate, parseInt(timeRange));
-      
-      const response = await fetch(`/api/ad-spend?startDate=${startDate.toISOString()}&endDate=${endDate.toISOString()}`);
+      const response = await fetch(`/api/ad-spend?${getRangeQuery()}`);
       const data = await response.json();
       setAdSpendData(data);
     } catch (error) {
@@ -69,6 +263,102 @@ export default function Dashboard() {
     }
   };
 
+  const fetchAlerts = async () => {
+    try {
+      const response = await fetch('/api/alerts');
+      const data = await response.json();
+      setAlerts(data.alerts || []);
+    } catch (error) {
+      console.error('Failed to fetch alerts:', error);
+    }
+  };
+
+  const fetchBackfill = async () => {
+    try {
+      const response = await fetch('/api/backfill');
+      setBackfill(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch order history import status:', error);
+    }
+  };
+
+  const retryBackfill = async () => {
+    try {
+      const response = await fetch('/api/backfill', { method: 'POST' });
+      setBackfill(await response.json());
+    } catch (error) {
+      console.error('Failed to start order history import:', error);
+    }
+  };
+
+  const dismissAlert = async (id) => {
+    setAlerts(alerts.filter(alert => alert.id !== id));
+    try {
+      await fetch(`/api/alerts/${id}/dismiss`, { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to dismiss alert:', error);
+    }
+  };
+
+  // Platform alerts repeat the live connection and spend banners when the problem is still there
+  const getAlertsToShow = () => {
+    const livePlatforms = new Set([
+      ...(adSpendData?.connectionIssues || []).map(issue => issue.platform),
+      ...(adSpendData?.errors || []).map(entry => entry.platformId)
+    ]);
+    return alerts.filter(alert => !livePlatforms.has(alert.ruleKey.replace(/^platform:/, '')));
+  };
+
+  const fetchTimeseries = async () => {
+    try {
+      const response = await fetch(`/api/metrics/timeseries?${getRangeQuery()}&granularity=${granularity}`);
+      const data = await response.json();
+      setTimeseries(data);
+    } catch (error) {
+      console.error('Failed to fetch metrics time series:', error);
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await fetch('/api/settings');
+      const data = await response.json();
+      setSettings({
+        defaultCOGSPercentage: data.defaultCOGSPercentage ?? 0,
+        customCOGS: data.customCOGS,
+        excludedOrderStatuses: data.excludedOrderStatuses,
+        shippingCostRule: data.shippingCostRule || { type: 'none' },
+        paymentFeeRules: data.paymentFeeRules || [],
+        useShopifyCosts: Boolean(data.useShopifyCosts)
+      });
+    } catch (error) {
+      console.error('Failed to fetch settings:', error);
+    }
+  };
+
+  const fetchCostSyncStatus = async () => {
+    try {
+      const response = await fetch('/api/costs/sync');
+      setCostSync(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch cost sync status:', error);
+    }
+  };
+
+  const startCostSync = async () => {
+    try {
+      await fetch('/api/costs/sync', { method: 'POST' });
+      fetchCostSyncStatus();
+    } catch (error) {
+      console.error('Failed to start cost sync:', error);
+    }
+  };
+
+  const openSettings = () => {
+    setSettingsModal(true);
+    fetchCostSyncStatus();
+  };
+
   const saveSettings = async () => {
     try {
       await fetch('/api/settings', {
@@ -83,48 +373,262 @@ export default function Dashboard() {
     }
   };
 
-  const uploadCogsFile = async () => {
+  const fetchExpenses = async () => {
+    try {
+      const response = await fetch('/api/expenses');
+      const data = await response.json();
+      setExpenses(data.expenses || []);
+    } catch (error) {
+      console.error('Failed to fetch expenses:', error);
+    }
+  };
+
+  const addExpense = async () => {
+    try {
+      setExpenseError(null);
+      const response = await fetch('/api/expenses', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...newExpense,
+          amount: parseFloat(newExpense.amount),
+          endDate: newExpense.endDate || null
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setExpenseError(data.error);
+        return;
+      }
+      setNewExpense({ ...newExpense, name: '', amount: '' });
+      fetchExpenses();
+      fetchDashboardData();
+    } catch (error) {
+      console.error('Failed to add expense:', error);
+    }
+  };
+
+  const deleteExpense = async (id) => {
+    try {
+      await fetch(`/api/expenses/${id}`, { method: 'DELETE' });
+      fetchExpenses();
+      fetchDashboardData();
+    } catch (error) {
+      console.error('Failed to delete expense:', error);
+    }
+  };
+
+  const updateShippingRule = (changes) => {
+    setSettings({ ...settings, shippingCostRule: { ...settings.shippingCostRule, ...changes } });
+  };
+
+  const updatePaymentFeeRule = (index, changes) => {
+    setSettings({
+      ...settings,
+      paymentFeeRules: settings.paymentFeeRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  // Send the file with the chosen import options; a dry run only previews what would change
+  const uploadCogsFile = async (dryRun) => {
     if (!file) return;
     
     try {
+      setCogsUploading(true);
+      setCogsError(null);
       const formData = new FormData();
       formData.append('cogsFile', file);
+      formData.append('dryRun', String(dryRun));
+      Object.entries(cogsImport).forEach(([option, value]) => {
+        if (value) formData.append(option, value);
+      });
+      if (cogsEffectiveFrom) formData.append('effectiveFrom', cogsEffectiveFrom);
       
-      await fetch('/api/upload-cogs', {
+      const response = await fetch('/api/upload-cogs', {
         method: 'POST',
         body: formData
       });
+      const data = await response.json();
+      if (!response.ok) {
+        setCogsError({ message: data.error || 'Failed to read COGS file', headers: data.headers });
+        setCogsPreview(null);
+        return;
+      }
       
-      setCogsModal(false);
-      setFile(null);
-      fetchDashboardData();
+      if (dryRun) {
+        setCogsPreview(data);
+      } else {
+        closeCogsModal();
+        fetchDashboardData();
+      }
     } catch (error) {
       console.error('Failed to upload COGS file:', error);
+      setCogsError({ message: 'Failed to upload COGS file' });
+    } finally {
+      setCogsUploading(false);
     }
   };
 
+  const updateCogsImport = (changes) => {
+    setCogsImport({ ...cogsImport, ...changes });
+    setCogsPreview(null);
+  };
+
+  const closeCogsModal = () => {
+    setCogsModal(false);
+    setFile(null);
+    setCogsEffectiveFrom('');
+    setCogsPreview(null);
+    setCogsError(null);
+  };
+
+  // Download through fetch so the request carries the embedded app's session
+  const downloadFile = async (path, filename) => {
+    try {
+      setDownloadError(null);
+      const response = await fetch(path);
+      if (!response.ok) throw new Error((await response.json()).error);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(`Failed to download ${filename}:`, error);
+      setDownloadError(error.message);
+    }
+  };
+
+  const exportCogsFile = () => downloadFile('/api/costs/export', 'cogs.csv');
+
+  // Statements and raw rows for the selected range, for reconciling against the books
+  const exportReport = (path, name, fileFormat, params = {}) => {
+    const { startDate, endDate } = getDateRange();
+    const query = new URLSearchParams({ startDate, endDate, format: fileFormat, ...params });
+    downloadFile(`${path}?${query}`, `${name}-${startDate}-to-${endDate}.${fileFormat}`);
+  };
+
+  // Keep the shop/host query params so the embedded app stays authenticated
+  const openAdAccountSettings = () => {
+    window.location.href = `/settings${window.location.search}`;
+  };
+
+  // Drill into the orders behind the Net Profit card, for the same range
+  const openOrderProfit = () => {
+    const params = new URLSearchParams(window.location.search);
+    const { startDate, endDate } = getDateRange();
+    params.set('startDate', startDate);
+    params.set('endDate', endDate);
+    window.location.href = `/orders?${params}`;
+  };
+
   const handleDropZoneDrop = (files) => {
     setFile(files[0]);
+    setCogsPreview(null);
+    setCogsError(null);
   };
 
+  // Amounts arrive in the shop's reporting currency, formatted for its locale (or the browser's)
   const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
+    return new Intl.NumberFormat(dashboardData?.locale || undefined, {
       style: 'currency',
-      currency: 'USD'
+      currency: dashboardData?.currency || 'USD'
     }).format(amount);
   };
 
   const calculateProfitMargin = () => {
     if (!dashboardData || dashboardData.totalRevenue === 0) return 0;
-    const totalAdSpend = adSpendData?.totalAdSpend || 0;
-    const netProfit = dashboardData.grossProfit - totalAdSpend;
+    const netProfit = getNetProfit();
     return ((netProfit / dashboardData.totalRevenue) * 100).toFixed(1);
   };
 
+  const getRangeLabel = () => {
+    if (timeRange !== 'custom') return `Last ${timeRange} days`;
+    return `${customRange.startDate} – ${customRange.endDate}`;
+  };
+
+  // One Cost Breakdown line per platform; Meta and Google always show so a missing connection is visible
+  const getMarketingSpendByPlatform = () => {
+    const lines = new Map([
+      ['Meta', { platform: 'Meta', total: 0, attributedRevenue: 0 }],
+      ['Google', { platform: 'Google', total: 0, attributedRevenue: 0 }]
+    ]);
+    (adSpendData?.breakdown || []).forEach(entry => {
+      const line = lines.get(entry.platform) || { platform: entry.platform, total: 0, attributedRevenue: 0 };
+      line.total += entry.total;
+      line.attributedRevenue += entry.attributedRevenue || 0;
+      lines.set(entry.platform, line);
+    });
+    return [...lines.values()];
+  };
+
+  // Platforms that failed for a reason other than expired credentials (those show as connection issues)
+  const getFailedPlatforms = () => {
+    const expired = new Set((adSpendData?.connectionIssues || []).map(issue => issue.platform));
+    const failed = new Map();
+    (adSpendData?.errors || []).forEach(entry => {
+      if (expired.has(entry.platformId)) return;
+      failed.set(entry.platformId, entry);
+    });
+    return [...failed.values()];
+  };
+
+  // Line the previous period up with the current one bucket by bucket, so both share the x-axis
+  const getTrendData = () => (timeseries?.series || []).map((point, index) => {
+    const previousPoint = timeseries.comparison?.series[index];
+    return {
+      date: point.date,
+      previousDate: previousPoint?.date,
+      current: point[trendMetric],
+      previous: previousPoint?.[trendMetric]
+    };
+  });
+
+  const formatTrendValue = (value) => {
+    const metric = TREND_METRICS.find(m => m.value === trendMetric);
+    return metric?.currency ? formatCurrency(value) : Math.round(value).toLocaleString();
+  };
+
   const getNetProfit = () => {
     if (!dashboardData) return 0;
     const totalAdSpend = adSpendData?.totalAdSpend || 0;
-    return dashboardData.grossProfit - totalAdSpend;
+    return dashboardData.grossProfit - (dashboardData.totalOperatingCosts || 0) - totalAdSpend;
+  };
+
+  const getComparisonNetProfit = () => {
+    const comparison = dashboardData?.comparison;
+    if (!comparison) return null;
+    return comparison.grossProfit - comparison.totalOperatingCosts - (adSpendData?.comparison?.totalAdSpend || 0);
+  };
+
+  const getComparisonLabel = () => {
+    if (compareMode === 'previous') return 'previous period';
+    if (compareMode === 'year') return 'same period last year';
+    return `${customComparison.startDate} – ${customComparison.endDate}`;
+  };
+
+  // Change against the comparison period. Whether a rise is good depends on the metric:
+  // more revenue is, more ad spend isn't.
+  const formatKpi = (value, type) => {
+    if (value == null) return '—';
+    if (type === 'currency') return formatCurrency(value);
+    if (type === 'percent') return `${(value * 100).toFixed(1)}%`;
+    return `${value.toFixed(2)}x`;
+  };
+
+  const renderDelta = (current, previous, { higherIsBetter = true, formatValue = formatCurrency } = {}) => {
+    if (previous == null || current == null) return null;
+    const change = current - previous;
+    const percent = previous !== 0 ? (change / Math.abs(previous)) * 100 : null;
+    const improved = higherIsBetter ? change > 0 : change < 0;
+
+    return (
+      <Text variant="bodySm" color={change === 0 ? 'subdued' : improved ? 'success' : 'critical'}>
+        {change >= 0 ? '▲' : '▼'} {formatValue(Math.abs(change))}
+        {percent !== null && ` (${Math.abs(percent).toFixed(1)}%)`} vs {getComparisonLabel()}
+      </Text>
+    );
   };
 
   if (loading && !dashboardData) {
@@ -148,6 +652,7 @@ export default function Dashboard() {
     { name: 'Revenue', value: dashboardData.totalRevenue },
     { name: 'COGS', value: dashboardData.totalCOGS },
     { name: 'Ad Spend', value: adSpendData?.totalAdSpend || 0 },
+    { name: 'Other Costs', value: dashboardData.totalOperatingCosts || 0 },
     { name: 'Net Profit', value: getNetProfit() }
   ] : [];
 
@@ -156,12 +661,63 @@ export default function Dashboard() {
       title="Doughboard"
       primaryAction={{
         content: 'Settings',
-        onAction: () => setSettingsModal(true)
+        onAction: openSettings
       }}
       secondaryActions={[
         {
-          content: 'Upload COGS',
+          content: 'Import COGS',
           onAction: () => setCogsModal(true)
+        },
+        {
+          content: 'Expenses',
+          onAction: () => setExpensesModal(true)
+        },
+        {
+          content: 'Products',
+          onAction: () => { window.location.href = `/products${window.location.search}`; }
+        },
+        {
+          content: 'Cohorts',
+          onAction: () => { window.location.href = `/cohorts${window.location.search}`; }
+        },
+        {
+          content: 'Cost history',
+          onAction: () => { window.location.href = `/costs${window.location.search}`; }
+        }
+      ]}
+      actionGroups={[
+        {
+          title: 'Export',
+          actions: [
+            {
+              content: 'Monthly P&L (XLSX)',
+              onAction: () => exportReport('/api/reports/pnl', 'profit-and-loss', 'xlsx', { granularity: 'month' })
+            },
+            {
+              content: 'Weekly P&L (XLSX)',
+              onAction: () => exportReport('/api/reports/pnl', 'profit-and-loss', 'xlsx', { granularity: 'week' })
+            },
+            {
+              content: 'Monthly P&L (CSV)',
+              onAction: () => exportReport('/api/reports/pnl', 'profit-and-loss', 'csv', { granularity: 'month' })
+            },
+            {
+              content: 'Order profit (CSV)',
+              onAction: () => exportReport('/api/exports/orders', 'order-profit', 'csv')
+            },
+            {
+              content: 'Order profit (XLSX)',
+              onAction: () => exportReport('/api/exports/orders', 'order-profit', 'xlsx')
+            },
+            {
+              content: 'Daily profit (CSV)',
+              onAction: () => exportReport('/api/exports/daily', 'daily-profit', 'csv')
+            },
+            {
+              content: 'Daily profit (XLSX)',
+              onAction: () => exportReport('/api/exports/daily', 'daily-profit', 'xlsx')
+            }
+          ]
         }
       ]}
     >
@@ -174,14 +730,139 @@ export default function Dashboard() {
               value={timeRange}
               onChange={setTimeRange}
             />
+            {timeRange === 'custom' && (
+              <TextField
+                label="Start date"
+                type="date"
+                value={customRange.startDate}
+                onChange={(value) => setCustomRange({ ...customRange, startDate: value })}
+              />
+            )}
+            {timeRange === 'custom' && (
+              <TextField
+                label="End date"
+                type="date"
+                value={customRange.endDate}
+                onChange={(value) => setCustomRange({ ...customRange, endDate: value })}
+                error={customRange.startDate && customRange.endDate && customRange.startDate > customRange.endDate
+                  ? 'End date must be on or after the start date'
+                  : undefined}
+              />
+            )}
+            <Select
+              label="Compare to"
+              options={compareOptions}
+              value={compareMode}
+              onChange={setCompareMode}
+            />
+            {compareMode === 'custom' && (
+              <TextField
+                label="Compare from"
+                type="date"
+                value={customComparison.startDate}
+                onChange={(value) => setCustomComparison({ ...customComparison, startDate: value })}
+              />
+            )}
+            {compareMode === 'custom' && (
+              <TextField
+                label="Compare to date"
+                type="date"
+                value={customComparison.endDate}
+                onChange={(value) => setCustomComparison({ ...customComparison, endDate: value })}
+                error={customComparison.startDate && customComparison.endDate &&
+                  customComparison.startDate > customComparison.endDate
+                  ? 'End date must be on or after the start date'
+                  : undefined}
+              />
+            )}
           </Stack>
         </Layout.Section>
 
-        {!adSpendData?.totalAdSpend && (
+        {['querying', 'importing'].includes(backfill?.status) && (
+          <Layout.Section>
+            <Banner status="info" title="Importing your order history">
+              <Stack vertical spacing="tight">
+                <p>
+                  {backfill.status === 'querying'
+                    ? `Shopify is gathering your past orders (${backfill.objectCount.toLocaleString()} records so far).`
+                    : `${backfill.ordersImported.toLocaleString()} orders imported${backfill.earliestDay ? `, back to ${backfill.earliestDay}` : ''}.`}
+                  {' '}The dashboard fills in as they arrive.
+                </p>
+                {backfill.progress != null && <ProgressBar progress={backfill.progress} size="small" />}
+              </Stack>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {downloadError && (
+          <Layout.Section>
+            <Banner status="warning" title="Download failed" onDismiss={() => setDownloadError(null)}>
+              {downloadError}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {backfill?.status === 'failed' && (
+          <Layout.Section>
+            <Banner
+              status="warning"
+              title="Your order history couldn't be imported"
+              action={{ content: 'Try again', onAction: retryBackfill }}
+            >
+              Orders older than the regular sync reaches may be missing from these numbers. Shopify said:
+              {' '}{backfill.lastError}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {dashboardData && dashboardData.complete === false && (
+          <Layout.Section>
+            <Banner status="warning">
+              {dashboardData.status === 'failed'
+                ? `The last order sync failed (${dashboardData.lastError}), so these totals may be missing orders.`
+                : `Orders for this range are still syncing${dashboardData.syncedFrom ? ` (cached from ${dashboardData.syncedFrom})` : ''}, so these totals may be incomplete.`}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {getAlertsToShow().map(alert => (
+          <Layout.Section key={alert.id}>
+            <Banner
+              status={alert.severity}
+              title={`${alert.title} · ${alert.day}`}
+              onDismiss={() => dismissAlert(alert.id)}
+            >
+              {alert.message}
+            </Banner>
+          </Layout.Section>
+        ))}
+
+        {adSpendData?.connectionIssues?.map(issue => (
+          <Layout.Section key={issue.platform}>
+            <Banner
+              status="critical"
+              title={`Your ${PLATFORM_NAMES[issue.platform] || issue.platform} connection needs attention`}
+              action={{ content: 'Reconnect', onAction: openAdAccountSettings }}
+            >
+              {issue.lastError || 'The connection has expired.'} Ad spend from this platform is missing from
+              these numbers until you reconnect.
+            </Banner>
+          </Layout.Section>
+        ))}
+
+        {getFailedPlatforms().map(entry => (
+          <Layout.Section key={entry.platformId}>
+            <Banner status="warning" title={`Couldn't load ${entry.platform} spend`}>
+              {entry.error}. Spend from this platform is missing from these numbers; try refreshing in a few minutes.
+            </Banner>
+          </Layout.Section>
+        ))}
+
+        {!adSpendData?.totalAdSpend && !adSpendData?.connectionIssues?.length && !adSpendData?.errors?.length && (
           <Layout.Section>
             <Banner status="info">
               Connect your ad accounts to see complete profit calculations. 
-              <Button plain>Connect Ad Accounts</Button>
+              <Button plain onClick={openAdAccountSettings}>Connect Ad Accounts</Button>
             </Banner>
           </Layout.Section>
         )}
@@ -196,29 +877,40 @@ export default function Dashboard() {
                     {formatCurrency(dashboardData?.totalRevenue || 0)}
                   </Text>
                   <Text variant="bodySm" color="subdued">
-                    {dashboardData?.orderCount || 0} orders
+                    Net sales · {dashboardData?.orderCount || 0} orders
                   </Text>
+                  {renderDelta(dashboardData?.totalRevenue || 0, dashboardData?.comparison?.totalRevenue)}
                 </Stack>
               </Card>
             </Layout.Section>
 
             <Layout.Section oneThird>
-              <Card>
-                <Stack vertical spacing="tight">
-                  <Text variant="headingMd">Net Profit</Text>
-                  <Text 
-                    variant="heading2xl" 
-                    color={getNetProfit() >= 0 ? "success" : "critical"}
-                  >
-                    {formatCurrency(getNetProfit())}
-                  </Text>
-                  <Stack>
-                    <Badge status={parseFloat(calculateProfitMargin()) >= 20 ? "success" : "attention"}>
-                      {calculateProfitMargin()}% margin
-                    </Badge>
+              <div
+                role="button"
+                tabIndex={0}
+                onClick={openOrderProfit}
+                onKeyDown={(event) => event.key === 'Enter' && openOrderProfit()}
+                style={{ cursor: 'pointer' }}
+              >
+                <Card>
+                  <Stack vertical spacing="tight">
+                    <Text variant="headingMd">Net Profit</Text>
+                    <Text 
+                      variant="heading2xl" 
+                      color={getNetProfit() >= 0 ? "success" : "critical"}
+                    >
+                      {formatCurrency(getNetProfit())}
+                    </Text>
+                    <Stack>
+                      <Badge status={parseFloat(calculateProfitMargin()) >= 20 ? "success" : "attention"}>
+                        {calculateProfitMargin()}% margin
+                      </Badge>
+                    </Stack>
+                    {renderDelta(getNetProfit(), getComparisonNetProfit())}
+                    <Text variant="bodySm" color="subdued">Click to see profit by order</Text>
                   </Stack>
-                </Stack>
-              </Card>
+                </Card>
+              </div>
             </Layout.Section>
 
             <Layout.Section oneThird>
@@ -229,14 +921,68 @@ export default function Dashboard() {
                     {formatCurrency(adSpendData?.totalAdSpend || 0)}
                   </Text>
                   <Text variant="bodySm" color="subdued">
-                    Last {timeRange} days
+                    {getRangeLabel()}
                   </Text>
+                  {renderDelta(adSpendData?.totalAdSpend || 0, adSpendData?.comparison?.totalAdSpend, { higherIsBetter: false })}
                 </Stack>
               </Card>
             </Layout.Section>
           </Layout>
         </Layout.Section>
 
+        <Layout.Section>
+          <Card title="Marketing Efficiency" sectioned>
+            <Stack distribution="fillEvenly">
+              {MARKETING_KPIS.map(kpi => (
+                <Stack key={kpi.key} vertical spacing="extraTight">
+                  <PolarisTooltip content={kpi.formula}>
+                    <Text variant="bodyMd" color="subdued">
+                      <span style={{ borderBottom: '1px dotted', cursor: 'help' }}>{kpi.label}</span>
+                    </Text>
+                  </PolarisTooltip>
+                  <Text variant="headingLg" as="p">
+                    {formatKpi(adSpendData?.kpis?.[kpi.key], kpi.type)}
+                  </Text>
+                  {renderDelta(adSpendData?.kpis?.[kpi.key], adSpendData?.comparison?.kpis?.[kpi.key], {
+                    higherIsBetter: kpi.higherIsBetter !== false,
+                    formatValue: value => formatKpi(value, kpi.type)
+                  })}
+                </Stack>
+              ))}
+            </Stack>
+            {adSpendData?.kpis?.blendedRoas != null && adSpendData.kpis.breakEvenRoas != null && (
+              <Caption>
+                {adSpendData.kpis.blendedRoas >= adSpendData.kpis.breakEvenRoas
+                  ? 'Ads are paying for themselves at your current margin.'
+                  : 'Blended ROAS is below break-even: ad spend is costing more than the contribution it brings in.'}
+              </Caption>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card title="Sales Breakdown" sectioned>
+            <Stack vertical spacing="tight">
+              {[
+                { label: 'Gross sales', value: dashboardData?.grossSales },
+                { label: 'Discounts', value: -(dashboardData?.discounts || 0) },
+                { label: 'Returns', value: -(dashboardData?.returns || 0) },
+                { label: 'Net sales', value: dashboardData?.netSales, strong: true },
+                { label: 'Shipping charged', value: dashboardData?.shipping },
+                { label: 'Taxes collected', value: dashboardData?.taxes },
+                { label: 'Total sales', value: dashboardData?.totalSales, strong: true }
+              ].map(line => (
+                <Stack key={line.label} distribution="equalSpacing">
+                  <Text variant="bodyMd" fontWeight={line.strong ? 'semibold' : undefined}>{line.label}</Text>
+                  <Text variant="bodyMd" fontWeight="semibold">
+                    {formatCurrency(line.value || 0)}
+                  </Text>
+                </Stack>
+              ))}
+            </Stack>
+          </Card>
+        </Layout.Section>
+
         <Layout.Section>
           <Layout>
             <Layout.Section oneHalf>
@@ -278,30 +1024,100 @@ export default function Dashboard() {
                       {formatCurrency(dashboardData?.totalCOGS || 0)}
                     </Text>
                   </Stack>
+
+                  {[
+                    { label: 'Shipping', value: dashboardData?.shippingCosts },
+                    { label: 'Payment fees', value: dashboardData?.paymentFees },
+                    { label: 'Fixed costs', value: dashboardData?.fixedCosts },
+                    { label: 'Custom expenses', value: dashboardData?.customExpenses }
+                  ].map(line => (
+                    <Stack key={line.label} distribution="equalSpacing">
+                      <Text variant="bodyMd">{line.label}</Text>
+                      <Text variant="bodyMd" fontWeight="semibold">
+                        {formatCurrency(line.value || 0)}
+                      </Text>
+                    </Stack>
+                  ))}
                   
-                  <Stack distribution="equalSpacing">
-                    <Text variant="bodyMd">Meta Ads</Text>
-                    <Text variant="bodyMd" fontWeight="semibold">
-                      {formatCurrency(
-                        adSpendData?.breakdown?.find(b => b.platform === 'Meta')?.total || 0
-                      )}
-                    </Text>
-                  </Stack>
-                  
-                  <Stack distribution="equalSpacing">
-                    <Text variant="bodyMd">Google Ads</Text>
-                    <Text variant="bodyMd" fontWeight="semibold">
-                      {formatCurrency(
-                        adSpendData?.breakdown?.find(b => b.platform === 'Google')?.total || 0
-                      )}
-                    </Text>
-                  </Stack>
+                  {getMarketingSpendByPlatform().map(line => (
+                    <Stack key={line.platform} distribution="equalSpacing">
+                      <Text variant="bodyMd">{line.platform}</Text>
+                      <Stack vertical spacing="extraTight" alignment="trailing">
+                        <Text variant="bodyMd" fontWeight="semibold">
+                          {formatCurrency(line.total)}
+                        </Text>
+                        {line.attributedRevenue > 0 && (
+                          <PolarisTooltip content="ROAS: conversion value the platform reports ÷ its ad spend">
+                            <Caption>
+                              {formatCurrency(line.attributedRevenue)} attributed revenue
+                              {line.total > 0 && ` · ${formatKpi(line.attributedRevenue / line.total, 'ratio')} ROAS`}
+                            </Caption>
+                          </PolarisTooltip>
+                        )}
+                      </Stack>
+                    </Stack>
+                  ))}
                 </Stack>
               </Card>
             </Layout.Section>
           </Layout>
         </Layout.Section>
 
+        <Layout.Section>
+          <Card title="Trends" sectioned>
+            <Stack vertical>
+              <Stack>
+                <Select
+                  label="Metric"
+                  labelInline
+                  options={TREND_METRICS.map(({ label, value }) => ({ label, value }))}
+                  value={trendMetric}
+                  onChange={setTrendMetric}
+                />
+                <Select
+                  label="Group by"
+                  labelInline
+                  options={granularityOptions}
+                  value={granularity}
+                  onChange={setGranularity}
+                />
+              </Stack>
+              <div style={{ height: '300px' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={getTrendData()}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tickFormatter={(date) => format(parseISO(date), 'MMM d')} />
+                    <YAxis tickFormatter={formatTrendValue} width={90} />
+                    <Tooltip
+                      formatter={(value, name, item) => [
+                        formatTrendValue(value),
+                        name === 'previous' && item.payload.previousDate
+                          ? `Previous period (${format(parseISO(item.payload.previousDate), 'MMM d')})`
+                          : 'This period'
+                      ]}
+                      labelFormatter={(date) => format(parseISO(date), 'MMM d, yyyy')}
+                    />
+                    <Line type="monotone" dataKey="current" name="current" stroke="#6366f1" strokeWidth={2} dot={false} />
+                    <Line
+                      type="monotone"
+                      dataKey="previous"
+                      name="previous"
+                      stroke="#9ca3af"
+                      strokeDasharray="5 5"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              {timeseries?.comparison && (
+                <Caption>
+                  Dashed line: {timeseries.comparison.startDate} – {timeseries.comparison.endDate}
+                </Caption>
+              )}
+            </Stack>
+          </Card>
+        </Layout.Section>
+
         <Layout.Section>
           <Card title="Profit Overview" sectioned>
             <div style={{ height: '300px' }}>
@@ -340,7 +1156,7 @@ export default function Dashboard() {
             <TextField
               label="Default COGS Percentage"
               type="number"
-              value={settings.defaultCOGSPercentage.toString()}
+              value={String(settings.defaultCOGSPercentage ?? '')}
               onChange={(value) => setSettings({
                 ...settings,
                 defaultCOGSPercentage: parseFloat(value) || 0
@@ -348,6 +1164,216 @@ export default function Dashboard() {
               suffix="%"
               helpText="Used when specific product COGS are not available"
             />
+            <Stack vertical spacing="tight">
+              <Checkbox
+                label="Use product costs from Shopify"
+                checked={settings.useShopifyCosts}
+                onChange={(value) => setSettings({ ...settings, useShopifyCosts: value })}
+                helpText="Costs are taken from your uploaded COGS file first, then the cost per item set on each
+                  variant in Shopify, then the default percentage above."
+              />
+              {settings.useShopifyCosts && costSync?.useShopifyCosts && (
+                <Stack alignment="center">
+                  <Caption>
+                    {costSync.running
+                      ? 'Syncing costs from Shopify…'
+                      : costSync.lastError
+                        ? `Last cost sync failed: ${costSync.lastError}`
+                        : costSync.costsSyncedAt
+                          ? `${costSync.variantsWithCost} of ${costSync.variants} variants have a cost · synced ${format(new Date(costSync.costsSyncedAt), 'MMM d, h:mm a')}`
+                          : 'Costs have not been synced yet'}
+                  </Caption>
+                  <Button plain disabled={costSync.running} onClick={startCostSync}>Sync now</Button>
+                </Stack>
+              )}
+            </Stack>
+            <ChoiceList
+              title="Exclude orders from profit"
+              allowMultiple
+              choices={orderStatusOptions}
+              selected={settings.excludedOrderStatuses || []}
+              onChange={(value) => setSettings({
+                ...settings,
+                excludedOrderStatuses: value
+              })}
+            />
+            <Select
+              label="Shipping cost"
+              options={shippingRuleOptions}
+              value={settings.shippingCostRule?.type || 'none'}
+              onChange={(value) => updateShippingRule({ type: value })}
+            />
+            {settings.shippingCostRule?.type === 'per_order' && (
+              <TextField
+                label="Cost per order"
+                type="number"
+                value={String(settings.shippingCostRule.amount ?? '')}
+                onChange={(value) => updateShippingRule({ amount: parseFloat(value) || 0 })}
+              />
+            )}
+            {settings.shippingCostRule?.type === 'percent' && (
+              <TextField
+                label="Shipping cost"
+                type="number"
+                suffix="% of net sales"
+                value={String(settings.shippingCostRule.percent ?? '')}
+                onChange={(value) => updateShippingRule({ percent: parseFloat(value) || 0 })}
+              />
+            )}
+            {settings.shippingCostRule?.type === 'weight_tiers' && (
+              <Stack vertical spacing="tight">
+                {(settings.shippingCostRule.tiers || []).map((tier, index) => (
+                  <FormLayout.Group key={index}>
+                    <TextField
+                      label="Up to (grams)"
+                      type="number"
+                      value={tier.upToGrams == null ? '' : String(tier.upToGrams)}
+                      placeholder="No limit"
+                      onChange={(value) => updateShippingRule({
+                        tiers: settings.shippingCostRule.tiers.map((t, i) =>
+                          (i === index ? { ...t, upToGrams: value === '' ? null : parseFloat(value) } : t))
+                      })}
+                    />
+                    <TextField
+                      label="Cost"
+                      type="number"
+                      value={String(tier.cost ?? '')}
+                      onChange={(value) => updateShippingRule({
+                        tiers: settings.shippingCostRule.tiers.map((t, i) =>
+                          (i === index ? { ...t, cost: parseFloat(value) || 0 } : t))
+                      })}
+                    />
+                  </FormLayout.Group>
+                ))}
+                <Button plain onClick={() => updateShippingRule({
+                  tiers: [...(settings.shippingCostRule.tiers || []), { upToGrams: null, cost: 0 }]
+                })}>
+                  Add weight tier
+                </Button>
+              </Stack>
+            )}
+            <Stack vertical spacing="tight">
+              <Text variant="headingSm">Payment processing fees</Text>
+              {settings.paymentFeeRules.map((rule, index) => (
+                <FormLayout.Group key={index}>
+                  <TextField
+                    label="Gateway"
+                    value={rule.gateway}
+                    onChange={(value) => updatePaymentFeeRule(index, { gateway: value })}
+                    helpText="e.g. shopify_payments, paypal, or * for any"
+                  />
+                  <TextField
+                    label="Percent"
+                    type="number"
+                    suffix="%"
+                    value={String(rule.percent ?? '')}
+                    onChange={(value) => updatePaymentFeeRule(index, { percent: parseFloat(value) || 0 })}
+                  />
+                  <TextField
+                    label="Fixed per order"
+                    type="number"
+                    value={String(rule.fixed ?? '')}
+                    onChange={(value) => updatePaymentFeeRule(index, { fixed: parseFloat(value) || 0 })}
+                  />
+                </FormLayout.Group>
+              ))}
+              <Button plain onClick={() => setSettings({
+                ...settings,
+                paymentFeeRules: [...settings.paymentFeeRules, { gateway: '*', percent: 2.9, fixed: 0.3 }]
+              })}>
+                Add payment gateway
+              </Button>
+            </Stack>
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+
+      {/* Expenses Modal */}
+      <Modal
+        open={expensesModal}
+        onClose={() => setExpensesModal(false)}
+        title="Fixed Costs & Expenses"
+        primaryAction={{
+          content: 'Add expense',
+          onAction: addExpense,
+          disabled: !newExpense.name || !newExpense.amount
+        }}
+        secondaryActions={[
+          {
+            content: 'Close',
+            onAction: () => setExpensesModal(false)
+          }
+        ]}
+      >
+        <Modal.Section>
+          <Stack vertical spacing="tight">
+            {expenses.length === 0 && (
+              <Text variant="bodyMd" color="subdued">No fixed costs or expenses yet.</Text>
+            )}
+            {expenses.map(expense => (
+              <Stack key={expense.id} distribution="equalSpacing" alignment="center">
+                <Stack vertical spacing="extraTight">
+                  <Text variant="bodyMd" fontWeight="semibold">{expense.name}</Text>
+                  <Caption>
+                    {expenseRecurrenceOptions.find(o => o.value === expense.recurrence)?.label} · from {expense.startDate.slice(0, 10)}
+                    {expense.endDate ? ` to ${expense.endDate.slice(0, 10)}` : ''}
+                  </Caption>
+                </Stack>
+                <Stack alignment="center">
+                  <Text variant="bodyMd">{formatCurrency(expense.amount)}</Text>
+                  <Button plain destructive onClick={() => deleteExpense(expense.id)}>Delete</Button>
+                </Stack>
+              </Stack>
+            ))}
+          </Stack>
+        </Modal.Section>
+        <Modal.Section>
+          <FormLayout>
+            {expenseError && <Banner status="critical">{expenseError}</Banner>}
+            <FormLayout.Group>
+              <TextField
+                label="Name"
+                value={newExpense.name}
+                onChange={(value) => setNewExpense({ ...newExpense, name: value })}
+              />
+              <Select
+                label="Category"
+                options={expenseCategoryOptions}
+                value={newExpense.category}
+                onChange={(value) => setNewExpense({ ...newExpense, category: value })}
+              />
+            </FormLayout.Group>
+            <FormLayout.Group>
+              <TextField
+                label="Amount"
+                type="number"
+                value={newExpense.amount}
+                onChange={(value) => setNewExpense({ ...newExpense, amount: value })}
+              />
+              <Select
+                label="Repeats"
+                options={expenseRecurrenceOptions}
+                value={newExpense.recurrence}
+                onChange={(value) => setNewExpense({ ...newExpense, recurrence: value })}
+              />
+            </FormLayout.Group>
+            <FormLayout.Group>
+              <TextField
+                label={newExpense.recurrence === 'one_time' ? 'Date' : 'Start date'}
+                type="date"
+                value={newExpense.startDate}
+                onChange={(value) => setNewExpense({ ...newExpense, startDate: value })}
+              />
+              {newExpense.recurrence !== 'one_time' && (
+                <TextField
+                  label="End date"
+                  type="date"
+                  value={newExpense.endDate}
+                  onChange={(value) => setNewExpense({ ...newExpense, endDate: value })}
+                  helpText="Leave empty if ongoing"
+                />
+              )}
+            </FormLayout.Group>
           </FormLayout>
         </Modal.Section>
       </Modal>
@@ -355,26 +1381,37 @@ export default function Dashboard() {
       {/* COGS Upload Modal */}
       <Modal
         open={cogsModal}
-        onClose={() => setCogsModal(false)}
-        title="Upload COGS Data"
-        primaryAction={{
-          content: 'Upload',
-          onAction: uploadCogsFile,
+        onClose={closeCogsModal}
+        title="Import COGS"
+        primaryAction={cogsPreview ? {
+          content: `Import ${cogsPreview.summary.added + cogsPreview.summary.changed + cogsPreview.summary.removed} changes`,
+          onAction: () => uploadCogsFile(false),
+          loading: cogsUploading,
+          disabled: cogsPreview.summary.added + cogsPreview.summary.changed + cogsPreview.summary.removed === 0
+        } : {
+          content: 'Preview',
+          onAction: () => uploadCogsFile(true),
+          loading: cogsUploading,
           disabled: !file
         }}
         secondaryActions={[
+          {
+            content: 'Export current costs',
+            onAction: exportCogsFile
+          },
           {
             content: 'Cancel',
-            onAction: () => setCogsModal(false)
+            onAction: closeCogsModal
           }
         ]}
       >
         <Modal.Section>
           <Stack vertical spacing="loose">
             <Text variant="bodyMd">
-              Upload a CSV file with columns: SKU, COGS
+              Upload a CSV with a SKU, variant ID or barcode column and a cost column. Shopify product exports
+              work as they are. Export your current costs to edit them and import the file back.
             </Text>
-            <DropZone onDrop={handleDropZoneDrop} accept=".csv">
+            <DropZone onDrop={handleDropZoneDrop} accept=".csv" allowMultiple={false}>
               {file ? (
                 <Stack vertical>
                   <Text variant="bodyMd" fontWeight="semibold">
@@ -386,8 +1423,116 @@ export default function Dashboard() {
                 <DropZone.FileUpload />
               )}
             </DropZone>
+            <FormLayout>
+              <ChoiceList
+                title="Import mode"
+                choices={[
+                  { label: 'Merge', value: 'merge', helpText: 'Add and update the SKUs in this file, keep all others' },
+                  { label: 'Replace', value: 'replace', helpText: 'Remove costs for SKUs that aren\'t in this file' }
+                ]}
+                selected={[cogsImport.mode]}
+                onChange={([mode]) => updateCogsImport({ mode })}
+              />
+              <FormLayout.Group>
+                <Select
+                  label="Match rows by"
+                  options={[
+                    { label: 'Detect from headers', value: '' },
+                    { label: 'SKU', value: 'sku' },
+                    { label: 'Variant ID', value: 'variant_id' },
+                    { label: 'Barcode', value: 'barcode' }
+                  ]}
+                  value={cogsImport.keyType}
+                  onChange={keyType => updateCogsImport({ keyType })}
+                />
+                <Select
+                  label="Decimal separator"
+                  options={[
+                    { label: 'Detect', value: 'auto' },
+                    { label: 'Dot (12.50)', value: '.' },
+                    { label: 'Comma (12,50)', value: ',' }
+                  ]}
+                  value={cogsImport.decimalSeparator}
+                  onChange={decimalSeparator => updateCogsImport({ decimalSeparator })}
+                />
+              </FormLayout.Group>
+              {(cogsPreview?.headers || cogsError?.headers) && (
+                <FormLayout.Group>
+                  <Select
+                    label="Key column"
+                    options={[
+                      { label: 'Detect', value: '' },
+                      ...(cogsPreview?.headers || cogsError.headers).map(header => ({ label: header, value: header }))
+                    ]}
+                    value={cogsImport.keyColumn || cogsPreview?.mapping.keyColumn || ''}
+                    onChange={keyColumn => updateCogsImport({ keyColumn })}
+                  />
+                  <Select
+                    label="Cost column"
+                    options={[
+                      { label: 'Detect', value: '' },
+                      ...(cogsPreview?.headers || cogsError.headers).map(header => ({ label: header, value: header }))
+                    ]}
+                    value={cogsImport.costColumn || cogsPreview?.mapping.costColumn || ''}
+                    onChange={costColumn => updateCogsImport({ costColumn })}
+                  />
+                </FormLayout.Group>
+              )}
+              <TextField
+                label="Costs take effect from"
+                type="date"
+                value={cogsEffectiveFrom}
+                onChange={setCogsEffectiveFrom}
+                helpText="Defaults to today. Orders placed before this date keep the costs they had."
+                autoComplete="off"
+              />
+            </FormLayout>
           </Stack>
         </Modal.Section>
+
+        {cogsError && (
+          <Modal.Section>
+            <Banner status="critical">{cogsError.message}</Banner>
+          </Modal.Section>
+        )}
+
+        {cogsPreview && (
+          <Modal.Section>
+            <Stack vertical spacing="tight">
+              <Text variant="headingSm" as="h3">Preview</Text>
+              <Text variant="bodyMd">
+                {cogsPreview.summary.added} added, {cogsPreview.summary.changed} changed
+                {cogsPreview.mode === 'replace' && `, ${cogsPreview.summary.removed} removed`},{' '}
+                {cogsPreview.summary.unchanged} unchanged
+                {cogsPreview.summary.blank > 0 && `, ${cogsPreview.summary.blank} rows without a cost skipped`}
+              </Text>
+              {cogsPreview.changed.slice(0, 10).map(({ sku, previousCost, cost }) => (
+                <Caption key={sku}>{sku}: {formatCurrency(previousCost)} → {formatCurrency(cost)}</Caption>
+              ))}
+              {cogsPreview.removed.length > 0 && (
+                <Banner status="warning" title={`${cogsPreview.removed.length} SKUs will lose their cost`}>
+                  {cogsPreview.removed.slice(0, 10).map(({ sku }) => sku).join(', ')}
+                  {cogsPreview.removed.length > 10 && ` and ${cogsPreview.removed.length - 10} more`}
+                </Banner>
+              )}
+              {cogsPreview.invalid.length > 0 && (
+                <Banner status="critical" title={`${cogsPreview.invalid.length} rows can't be imported`}>
+                  {cogsPreview.invalid.slice(0, 10).map(row => (
+                    <p key={row.line}>Line {row.line}: {row.reason}</p>
+                  ))}
+                  {cogsPreview.invalid.length > 10 && <p>and {cogsPreview.invalid.length - 10} more</p>}
+                </Banner>
+              )}
+              {cogsPreview.unknown.length > 0 && (
+                <Banner status="info" title={`${cogsPreview.unknown.length} SKUs aren't in your catalog`}>
+                  They'll be imported anyway, in case they're for products you sell elsewhere:{' '}
+                  {cogsPreview.unknown.slice(0, 10).map(({ sku }) => sku).join(', ')}
+                  {cogsPreview.unknown.length > 10 && ` and ${cogsPreview.unknown.length - 10} more`}
+                </Banner>
+              )}
+            </Stack>
+          </Modal.Section>
+        )}
       </Modal>
     </Page>
   );
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Select,
+  Spinner,
+  Badge,
+  Stack,
+  Banner,
+  TextField,
+  Checkbox,
+  DataTable,
+  Pagination,
+  Modal,
+  Button
+} from '@shopify/polaris';
+import { format, subDays } from 'date-fns';
+import useStoreEvents from '../hooks/useStoreEvents';
+
+// DataTable columns, in order, and the report field each sortable one sorts by
+const COLUMNS = [
+  { heading: 'Order', field: 'date', type: 'text', sortable: true },
+  { heading: 'Channel', type: 'text' },
+  { heading: 'Net sales', field: 'revenue', type: 'numeric', sortable: true },
+  { heading: 'Discounts', type: 'numeric' },
+  { heading: 'Refunds', type: 'numeric' },
+  { heading: 'COGS', field: 'cogs', type: 'numeric', sortable: true },
+  { heading: 'Shipping & fees', type: 'numeric' },
+  { heading: 'Net profit', field: 'profit', type: 'numeric', sortable: true },
+  { heading: 'Margin', field: 'margin', type: 'numeric', sortable: true }
+];
+
+// Shopify's own source_name values; apps report their app id
+const SOURCE_NAMES = {
+  web: 'Online Store',
+  pos: 'Point of Sale',
+  shopify_draft_order: 'Draft orders',
+  iphone: 'Shopify iPhone app',
+  android: 'Shopify Android app'
+};
+
+const COGS_SOURCE_BADGES = {
+  custom: { status: 'success', label: 'CSV' },
+  shopify: { status: 'info', label: 'Shopify cost' },
+  default: { status: 'warning', label: 'Default COGS %' },
+  none: { status: 'critical', label: 'No cost set' }
+};
+
+export default function Orders() {
+  const [loading, setLoading] = useState(true);
+  const [report, setReport] = useState(null);
+  const [range, setRange] = useState(null);
+  const [lossOnly, setLossOnly] = useState(false);
+  const [discountCode, setDiscountCode] = useState('');
+  const [sourceName, setSourceName] = useState('');
+  const [countryCode, setCountryCode] = useState('');
+  const [sort, setSort] = useState({ field: 'date', direction: 'desc' });
+  const [page, setPage] = useState(1);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [resyncing, setResyncing] = useState(false);
+
+  // The dashboard opens this page on its selected range; default to the last 30 days otherwise
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const endDate = new Date();
+    setRange({
+      startDate: params.get('startDate') || format(subDays(endDate, 30), 'yyyy-MM-dd'),
+      endDate: params.get('endDate') || format(endDate, 'yyyy-MM-dd')
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!range) return;
+    fetchReport();
+  }, [range, lossOnly, discountCode, sourceName, countryCode, sort, page]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        ...range,
+        loss: String(lossOnly),
+        sortBy: sort.field,
+        direction: sort.direction,
+        page: String(page)
+      });
+      if (discountCode) params.set('discountCode', discountCode);
+      if (sourceName) params.set('sourceName', sourceName);
+      if (countryCode) params.set('countryCode', countryCode);
+      const response = await fetch(`/api/orders/profit?${params}`);
+      const data = await response.json();
+      setReport(data);
+    } catch (error) {
+      console.error('Failed to fetch order profit:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Syncs run in the background; the server says when one has finished
+  useStoreEvents({
+    sync: () => {
+      setResyncing(false);
+      fetchReport();
+    }
+  });
+
+  const resyncOrders = async () => {
+    try {
+      setResyncing(true);
+      const response = await fetch('/api/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ full: true })
+      });
+      if (!response.ok) throw new Error((await response.json()).error);
+    } catch (error) {
+      console.error('Failed to resync orders:', error);
+      setResyncing(false);
+    }
+  };
+
+  // Any filter or sort change starts back on the first page
+  const onFilterChange = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handleSort = (columnIndex, direction) => {
+    onFilterChange(setSort)({ field: COLUMNS[columnIndex].field, direction: direction === 'ascending' ? 'asc' : 'desc' });
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat(report?.locale || undefined, {
+      style: 'currency',
+      currency: report?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatPercent = (value) => (value == null ? '—' : `${value.toFixed(1)}%`);
+
+  const formatSource = (source) => SOURCE_NAMES[source] || source || '—';
+
+  const formatCountry = (code) => {
+    try {
+      return new Intl.DisplayNames(undefined, { type: 'region' }).of(code);
+    } catch (error) {
+      return code;
+    }
+  };
+
+  const toOptions = (values, formatValue, allLabel) => [
+    { label: allLabel, value: '' },
+    ...values.map(value => ({ label: formatValue(value), value }))
+  ];
+
+  const renderProfit = (amount) => (
+    <Text variant="bodyMd" color={amount < 0 ? 'critical' : undefined}>{formatCurrency(amount)}</Text>
+  );
+
+  const renderOrder = (order) => (
+    <Stack vertical spacing="extraTight">
+      <Button plain onClick={() => setSelectedOrder(order)}>{order.name || order.orderId}</Button>
+      <Text variant="bodySm" color="subdued">
+        {order.date}
+        {order.countryCode ? ` · ${formatCountry(order.countryCode)}` : ''}
+        {order.discountCodes.length > 0 ? ` · ${order.discountCodes.join(', ')}` : ''}
+      </Text>
+      {order.missingCOGS && <Badge status="critical">No cost set</Badge>}
+      {!order.missingCOGS && order.usesDefaultCOGS && <Badge status="warning">Default COGS %</Badge>}
+    </Stack>
+  );
+
+  const rows = (report?.orders || []).map(order => [
+    renderOrder(order),
+    formatSource(order.sourceName),
+    formatCurrency(order.revenue),
+    formatCurrency(order.discounts),
+    formatCurrency(order.returns),
+    formatCurrency(order.cogs),
+    formatCurrency(order.shippingCost + order.paymentFees),
+    renderProfit(order.profit),
+    formatPercent(order.margin)
+  ]);
+
+  const lineRows = (selectedOrder?.lines || []).map(line => [
+    <Stack vertical spacing="extraTight" key={line.lineItemId}>
+      <Text variant="bodyMd">{line.title}</Text>
+      {(line.variantTitle || line.sku) && (
+        <Text variant="bodySm" color="subdued">{[line.variantTitle, line.sku].filter(Boolean).join(' · ')}</Text>
+      )}
+    </Stack>,
+    line.returnedQuantity > 0 ? `${line.quantity} (${line.returnedQuantity} returned)` : line.quantity,
+    formatCurrency(line.revenue),
+    formatCurrency(line.cogs),
+    <Badge key="source" status={COGS_SOURCE_BADGES[line.cogsSource]?.status}>
+      {COGS_SOURCE_BADGES[line.cogsSource]?.label || line.cogsSource}
+    </Badge>
+  ]);
+
+  return (
+    <Page
+      title="Order profit"
+      subtitle={range ? `${range.startDate} – ${range.endDate}` : undefined}
+      breadcrumbs={[{ content: 'Dashboard', onAction: () => { window.location.href = `/${window.location.search}`; } }]}
+    >
+      <Layout>
+        {report?.complete === false && (
+          <Layout.Section>
+            <Banner status="warning">
+              Orders for this range are still syncing, so these numbers may be incomplete.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {report?.ordersMissingDetails > 0 && (
+          <Layout.Section>
+            <Banner
+              status="info"
+              action={{ content: 'Resync orders', onAction: resyncOrders, loading: resyncing }}
+            >
+              {report.ordersMissingDetails} orders were synced before channel, country and discount codes were
+              recorded, so the filters below leave them out. Resync your orders to fill them in.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Stack vertical spacing="tight">
+              <Text variant="bodySm" color="subdued">
+                Net profit here is each order's net sales less COGS, shipping costs and payment fees. Ad spend
+                and expenses aren't split across orders, so the orders add up to more than the dashboard's
+                Net Profit.
+              </Text>
+              <Stack alignment="trailing">
+                {range && (
+                  <TextField
+                    label="Start date"
+                    type="date"
+                    value={range.startDate}
+                    onChange={(value) => value && onFilterChange(setRange)({ ...range, startDate: value })}
+                    autoComplete="off"
+                  />
+                )}
+                {range && (
+                  <TextField
+                    label="End date"
+                    type="date"
+                    value={range.endDate}
+                    onChange={(value) => value && onFilterChange(setRange)({ ...range, endDate: value })}
+                    autoComplete="off"
+                  />
+                )}
+                <Select
+                  label="Discount code"
+                  options={toOptions(report?.filterOptions?.discountCodes || [], code => code, 'Any')}
+                  value={discountCode}
+                  onChange={onFilterChange(setDiscountCode)}
+                />
+                <Select
+                  label="Channel"
+                  options={toOptions(report?.filterOptions?.sourceNames || [], formatSource, 'All channels')}
+                  value={sourceName}
+                  onChange={onFilterChange(setSourceName)}
+                />
+                <Select
+                  label="Country"
+                  options={toOptions(report?.filterOptions?.countryCodes || [], formatCountry, 'All countries')}
+                  value={countryCode}
+                  onChange={onFilterChange(setCountryCode)}
+                />
+              </Stack>
+              <Checkbox label="Only loss-making orders" checked={lossOnly} onChange={onFilterChange(setLossOnly)} />
+            </Stack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            {loading && !report ? (
+              <div style={{ textAlign: 'center', padding: '60px' }}>
+                <Spinner size="large" />
+              </div>
+            ) : (
+              <DataTable
+                columnContentTypes={COLUMNS.map(column => column.type)}
+                headings={COLUMNS.map(column => column.heading)}
+                rows={rows}
+                sortable={COLUMNS.map(column => Boolean(column.sortable))}
+                defaultSortDirection="descending"
+                initialSortColumnIndex={COLUMNS.findIndex(column => column.field === sort.field)}
+                onSort={handleSort}
+                totals={report?.totals ? [
+                  `${report.totals.orders} orders · ${report.totals.lossMakingOrders} at a loss`,
+                  '',
+                  formatCurrency(report.totals.revenue),
+                  formatCurrency(report.totals.discounts),
+                  formatCurrency(report.totals.returns),
+                  formatCurrency(report.totals.cogs),
+                  formatCurrency(report.totals.shippingCost + report.totals.paymentFees),
+                  formatCurrency(report.totals.profit),
+                  formatPercent(report.totals.margin)
+                ] : undefined}
+                showTotalsInFooter
+                footerContent={report && (
+                  <Stack distribution="center">
+                    <Pagination
+                      label={`Page ${report.page} of ${report.pageCount}`}
+                      hasPrevious={report.page > 1}
+                      onPrevious={() => setPage(page - 1)}
+                      hasNext={report.page < report.pageCount}
+                      onNext={() => setPage(page + 1)}
+                    />
+                  </Stack>
+                )}
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal
+        open={Boolean(selectedOrder)}
+        onClose={() => setSelectedOrder(null)}
+        title={`Order ${selectedOrder?.name || selectedOrder?.orderId || ''}`}
+        large
+      >
+        {selectedOrder && (
+          <>
+            <Modal.Section>
+              <Stack distribution="fillEvenly">
+                <Stack vertical spacing="extraTight">
+                  <Text variant="bodySm" color="subdued">Net sales</Text>
+                  <Text variant="headingMd">{formatCurrency(selectedOrder.revenue)}</Text>
+                </Stack>
+                <Stack vertical spacing="extraTight">
+                  <Text variant="bodySm" color="subdued">Shipping costs</Text>
+                  <Text variant="headingMd">{formatCurrency(selectedOrder.shippingCost)}</Text>
+                </Stack>
+                <Stack vertical spacing="extraTight">
+                  <Text variant="bodySm" color="subdued">Payment fees</Text>
+                  <Text variant="headingMd">{formatCurrency(selectedOrder.paymentFees)}</Text>
+                </Stack>
+                <Stack vertical spacing="extraTight">
+                  <Text variant="bodySm" color="subdued">Net profit</Text>
+                  <Text variant="headingMd" color={selectedOrder.profit < 0 ? 'critical' : 'success'}>
+                    {formatCurrency(selectedOrder.profit)} ({formatPercent(selectedOrder.margin)})
+                  </Text>
+                </Stack>
+              </Stack>
+            </Modal.Section>
+            <DataTable
+              columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'text']}
+              headings={['Item', 'Quantity', 'Net sales', 'COGS', 'Cost from']}
+              rows={lineRows}
+            />
+          </>
+        )}
+      </Modal>
+    </Page>
+  );
+}
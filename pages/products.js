@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Select,
+  Spinner,
+  Badge,
+  Stack,
+  Banner,
+  TextField,
+  Checkbox,
+  DataTable
+} from '@shopify/polaris';
+import { format, subDays } from 'date-fns';
+
+// DataTable columns, in order, and the report field each one sorts by
+const COLUMNS = [
+  { heading: 'Product', field: 'title', type: 'text' },
+  { heading: 'SKU', field: 'sku', type: 'text' },
+  { heading: 'Units sold', field: 'unitsSold', type: 'numeric' },
+  { heading: 'Revenue', field: 'revenue', type: 'numeric' },
+  { heading: 'COGS', field: 'cogs', type: 'numeric' },
+  { heading: 'Gross profit', field: 'grossProfit', type: 'numeric' },
+  { heading: 'Margin', field: 'grossMargin', type: 'numeric' },
+  { heading: 'Refunds', field: 'returns', type: 'numeric' },
+  { heading: 'Share of profit', field: 'profitShare', type: 'numeric' }
+];
+
+export default function Products() {
+  const [loading, setLoading] = useState(true);
+  const [report, setReport] = useState(null);
+  const [timeRange, setTimeRange] = useState('30');
+  const [groupBy, setGroupBy] = useState('variant');
+  const [search, setSearch] = useState('');
+  const [estimatedOnly, setEstimatedOnly] = useState(false);
+  const [sort, setSort] = useState({ field: 'grossProfit', direction: 'desc' });
+
+  const timeRangeOptions = [
+    { label: '7 days', value: '7' },
+    { label: '30 days', value: '30' },
+    { label: '90 days', value: '90' }
+  ];
+
+  const groupByOptions = [
+    { label: 'Variant', value: 'variant' },
+    { label: 'Product', value: 'product' },
+    { label: 'SKU', value: 'sku' }
+  ];
+
+  // Typing in the search box shouldn't fire a request per keystroke
+  useEffect(() => {
+    const pending = setTimeout(fetchReport, 300);
+    return () => clearTimeout(pending);
+  }, [timeRange, groupBy, search, estimatedOnly, sort]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      const endDate = new Date();
+      const params = new URLSearchParams({
+        startDate: format(subDays(endDate, parseInt(timeRange)), 'yyyy-MM-dd'),
+        endDate: format(endDate, 'yyyy-MM-dd'),
+        groupBy,
+        search,
+        cogsSource: estimatedOnly ? 'estimated' : 'all',
+        sortBy: sort.field,
+        direction: sort.direction
+      });
+      const response = await fetch(`/api/reports/products?${params}`);
+      const data = await response.json();
+      setReport(data);
+    } catch (error) {
+      console.error('Failed to fetch products report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSort = (columnIndex, direction) => {
+    setSort({ field: COLUMNS[columnIndex].field, direction: direction === 'ascending' ? 'asc' : 'desc' });
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat(report?.locale || undefined, {
+      style: 'currency',
+      currency: report?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatPercent = (value) => (value == null ? '—' : `${value.toFixed(1)}%`);
+
+  const renderProduct = (row) => (
+    <Stack vertical spacing="extraTight">
+      <Text variant="bodyMd" fontWeight="semibold">{row.title}</Text>
+      {row.variantTitle && <Text variant="bodySm" color="subdued">{row.variantTitle}</Text>}
+      {row.missingCOGS && <Badge status="critical">No cost set</Badge>}
+      {!row.missingCOGS && row.usesDefaultCOGS && <Badge status="warning">Default COGS %</Badge>}
+    </Stack>
+  );
+
+  const rows = (report?.rows || []).map(row => [
+    renderProduct(row),
+    row.sku || '—',
+    row.unitsSold,
+    formatCurrency(row.revenue),
+    formatCurrency(row.cogs),
+    <Text key="profit" variant="bodyMd" color={row.grossProfit < 0 ? 'critical' : undefined}>
+      {formatCurrency(row.grossProfit)}
+    </Text>,
+    formatPercent(row.grossMargin),
+    formatCurrency(row.returns),
+    formatPercent(row.profitShare)
+  ]);
+
+  return (
+    <Page
+      title="Product profitability"
+      breadcrumbs={[{ content: 'Dashboard', onAction: () => { window.location.href = `/${window.location.search}`; } }]}
+    >
+      <Layout>
+        {report?.complete === false && (
+          <Layout.Section>
+            <Banner status="warning">
+              Orders for this range are still syncing, so these numbers may be incomplete.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {report?.totals?.estimatedCOGSCount > 0 && (
+          <Layout.Section>
+            <Banner status="warning">
+              {report.totals.estimatedCOGSCount} items are costed with your default COGS percentage or have no cost
+              at all, so their margins are estimates. Upload per-SKU costs for accurate numbers.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Stack alignment="trailing">
+              <Stack.Item fill>
+                <TextField
+                  label="Search"
+                  value={search}
+                  onChange={setSearch}
+                  placeholder="Product, variant or SKU"
+                  clearButton
+                  onClearButtonClick={() => setSearch('')}
+                  autoComplete="off"
+                />
+              </Stack.Item>
+              <Select label="Group by" options={groupByOptions} value={groupBy} onChange={setGroupBy} />
+              <Select label="Time Range" options={timeRangeOptions} value={timeRange} onChange={setTimeRange} />
+            </Stack>
+            <Checkbox
+              label="Only show items using the default COGS %"
+              checked={estimatedOnly}
+              onChange={setEstimatedOnly}
+            />
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            {loading && !report ? (
+              <div style={{ textAlign: 'center', padding: '60px' }}>
+                <Spinner size="large" />
+              </div>
+            ) : (
+              <DataTable
+                columnContentTypes={COLUMNS.map(column => column.type)}
+                headings={COLUMNS.map(column => column.heading)}
+                rows={rows}
+                sortable={COLUMNS.map(() => true)}
+                defaultSortDirection="descending"
+                initialSortColumnIndex={COLUMNS.findIndex(column => column.field === sort.field)}
+                onSort={handleSort}
+                totals={report ? [
+                  '',
+                  '',
+                  report.totals.unitsSold,
+                  formatCurrency(report.totals.revenue),
+                  formatCurrency(report.totals.cogs),
+                  formatCurrency(report.totals.grossProfit),
+                  '',
+                  '',
+                  ''
+                ] : undefined}
+                showTotalsInFooter
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
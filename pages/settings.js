@@ -0,0 +1,1047 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  Spinner,
+  Badge,
+  Stack,
+  Banner,
+  Modal,
+  ChoiceList,
+  Checkbox,
+  Caption,
+  FormLayout,
+  TextField,
+  DataTable,
+  Select
+} from '@shopify/polaris';
+import { format } from 'date-fns';
+
+const EMPTY_API_KEY_FORM = { apiKey: '', monthlyFee: '', costPerSms: '' };
+const EMPTY_FX_RATE_FORM = { fromCurrency: '', toCurrency: '', rate: '', effectiveFrom: '' };
+const EMPTY_CONDITION = { metric: 'netMargin', platform: '', type: 'threshold', operator: 'below', value: '', baselineDays: '7' };
+const EMPTY_ALERT_RULE = { name: '', severity: 'warning', days: '1', conditions: [EMPTY_CONDITION] };
+const CONDITION_TYPE_LABELS = { threshold: 'is', change: 'changes vs average', anomaly: 'is unusual vs average' };
+const PRIVACY_TOPIC_LABELS = {
+  'customers/data_request': 'Data request',
+  'customers/redact': 'Erasure',
+  'shop/redact': 'Shop data deletion',
+  'app/uninstalled': 'App uninstalled'
+};
+const DIGEST_HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, '0')}:00`,
+  value: String(hour)
+}));
+
+export default function Settings() {
+  const [loading, setLoading] = useState(true);
+  // Available connectors come from the server. OAuth platforms connect through the provider's
+  // consent screen; the rest take a private API key.
+  const [platforms, setPlatforms] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [pickerPlatform, setPickerPlatform] = useState(null);
+  const [availableAccounts, setAvailableAccounts] = useState([]);
+  const [selectedAccounts, setSelectedAccounts] = useState([]);
+  const [pickerLoading, setPickerLoading] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [apiKeyForms, setApiKeyForms] = useState({});
+  const [pricingDrafts, setPricingDrafts] = useState({});
+  const [currencySettings, setCurrencySettings] = useState({ reportingCurrency: '', locale: '' });
+  const [fxRates, setFxRates] = useState({ rates: [], missing: [], shopCurrency: null, reportingCurrency: null });
+  const [fxRateForm, setFxRateForm] = useState(EMPTY_FX_RATE_FORM);
+  const [notifications, setNotifications] = useState({
+    emails: '',
+    webhookUrl: '',
+    digestFrequencies: [],
+    digestHour: '7',
+    emailAvailable: false,
+    deliveries: []
+  });
+  const [digestPreview, setDigestPreview] = useState(null);
+  const [alertRules, setAlertRules] = useState(null);
+  const [alertRuleForm, setAlertRuleForm] = useState(EMPTY_ALERT_RULE);
+  const [backfill, setBackfill] = useState(null);
+  const [privacyRequests, setPrivacyRequests] = useState([]);
+
+  useEffect(() => {
+    fetchCurrencySettings();
+    fetchNotifications();
+    fetchAlertRules();
+    fetchBackfill();
+    fetchPrivacyRequests();
+  }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('connected')) {
+      openAccountPicker(params.get('connected'));
+    }
+
+    fetchConnections().then(platformList => {
+      const platformName = (id) => platformList.find(p => p.id === id)?.name || id;
+      if (params.get('connected')) {
+        setNotice({ status: 'success', message: `${platformName(params.get('connected'))} connected. Choose which ad accounts to include.` });
+      } else if (params.get('connectError')) {
+        setNotice({ status: 'critical', message: `Connecting ${platformName(params.get('connectError'))} failed. Please try again.` });
+      }
+    });
+  }, []);
+
+  const fetchConnections = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/ad-accounts');
+      const data = await response.json();
+      setPlatforms(data.platforms || []);
+      setConnections(data.connections || []);
+      return data.platforms || [];
+    } catch (error) {
+      console.error('Failed to fetch ad accounts:', error);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBackfill = async () => {
+    try {
+      const response = await fetch('/api/backfill');
+      setBackfill(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch order history import status:', error);
+    }
+  };
+
+  const startBackfill = async () => {
+    try {
+      const response = await fetch('/api/backfill', { method: 'POST' });
+      setBackfill(await response.json());
+    } catch (error) {
+      console.error('Failed to start order history import:', error);
+    }
+  };
+
+  const fetchPrivacyRequests = async () => {
+    try {
+      const response = await fetch('/api/privacy/requests');
+      const data = await response.json();
+      setPrivacyRequests(data.requests || []);
+    } catch (error) {
+      console.error('Failed to fetch privacy requests:', error);
+    }
+  };
+
+  const downloadPrivacyExport = async (id) => {
+    try {
+      const response = await fetch(`/api/privacy/requests/${id}/export`);
+      if (!response.ok) throw new Error((await response.json()).error);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `customer-data-request-${id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download customer data:', error);
+      setNotice({ status: 'critical', message: `Couldn't download the customer's data: ${error.message}` });
+    }
+  };
+
+  const describeBackfill = () => {
+    switch (backfill?.status) {
+      case 'querying':
+        return 'Shopify is gathering your past orders.';
+      case 'importing':
+        return `Importing: ${backfill.ordersImported.toLocaleString()} orders so far (${backfill.progress}%).`;
+      case 'completed':
+        return backfill.earliestDay
+          ? `Imported ${backfill.ordersImported.toLocaleString()} orders back to ${backfill.earliestDay} on ${format(new Date(backfill.finishedAt), 'MMM d, yyyy')}.`
+          : `No orders older than the regular sync to import (checked ${format(new Date(backfill.finishedAt), 'MMM d, yyyy')}).`;
+      case 'failed':
+        return `The last import failed: ${backfill.lastError}`;
+      default:
+        return 'Your order history hasn\'t been imported yet.';
+    }
+  };
+
+  const fetchCurrencySettings = async () => {
+    try {
+      const [settingsResponse, ratesResponse] = await Promise.all([fetch('/api/settings'), fetch('/api/fx-rates')]);
+      const settings = await settingsResponse.json();
+      setCurrencySettings({ reportingCurrency: settings.reportingCurrency || '', locale: settings.locale || '' });
+      setFxRates(await ratesResponse.json());
+    } catch (error) {
+      console.error('Failed to fetch currency settings:', error);
+    }
+  };
+
+  const saveCurrencySettings = async () => {
+    try {
+      const response = await fetch('/api/settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          reportingCurrency: currencySettings.reportingCurrency.trim().toUpperCase(),
+          locale: currencySettings.locale.trim()
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+        return;
+      }
+      setNotice({ status: 'success', message: 'Currency saved. Reports are being recalculated.' });
+      fetchCurrencySettings();
+    } catch (error) {
+      console.error('Failed to save currency settings:', error);
+    }
+  };
+
+  const addFxRate = async () => {
+    try {
+      const response = await fetch('/api/fx-rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fromCurrency: fxRateForm.fromCurrency.trim().toUpperCase(),
+          toCurrency: fxRateForm.toCurrency.trim().toUpperCase(),
+          rate: parseFloat(fxRateForm.rate),
+          effectiveFrom: fxRateForm.effectiveFrom
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+        return;
+      }
+      setFxRateForm(EMPTY_FX_RATE_FORM);
+      fetchCurrencySettings();
+    } catch (error) {
+      console.error('Failed to add exchange rate:', error);
+    }
+  };
+
+  const deleteFxRate = async (id) => {
+    try {
+      await fetch(`/api/fx-rates/${id}`, { method: 'DELETE' });
+      fetchCurrencySettings();
+    } catch (error) {
+      console.error('Failed to delete exchange rate:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await fetch('/api/notifications');
+      const data = await response.json();
+      setNotifications({
+        emails: data.notificationEmails.join(', '),
+        webhookUrl: data.notificationWebhookUrl || '',
+        digestFrequencies: data.digestFrequencies,
+        digestHour: String(data.digestHour),
+        emailAvailable: data.emailAvailable,
+        deliveries: data.deliveries
+      });
+    } catch (error) {
+      console.error('Failed to fetch notification settings:', error);
+    }
+  };
+
+  const saveNotifications = async () => {
+    try {
+      const response = await fetch('/api/notifications', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          notificationEmails: notifications.emails.split(/[,\s]+/).filter(Boolean),
+          notificationWebhookUrl: notifications.webhookUrl.trim(),
+          digestFrequencies: notifications.digestFrequencies,
+          digestHour: parseInt(notifications.digestHour)
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+        return;
+      }
+      setNotice({ status: 'success', message: 'Notification settings saved.' });
+      fetchNotifications();
+    } catch (error) {
+      console.error('Failed to save notification settings:', error);
+    }
+  };
+
+  const previewDigest = async (frequency) => {
+    try {
+      const response = await fetch(`/api/digests/preview?frequency=${frequency}`);
+      setDigestPreview(await response.text());
+    } catch (error) {
+      console.error('Failed to preview digest:', error);
+    }
+  };
+
+  const sendTestDigest = async (frequency) => {
+    try {
+      const response = await fetch('/api/digests/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ frequency })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+      } else {
+        setNotice({ status: 'success', message: `Sending the ${frequency} digest now; it should arrive in a few minutes.` });
+      }
+    } catch (error) {
+      console.error('Failed to send digest:', error);
+    }
+  };
+
+  const fetchAlertRules = async () => {
+    try {
+      const response = await fetch('/api/alert-rules');
+      setAlertRules(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch alert rules:', error);
+    }
+  };
+
+  const setAnomalyDetection = async (enabled) => {
+    try {
+      await fetch('/api/alert-rules/anomaly-detection', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled })
+      });
+      fetchAlertRules();
+    } catch (error) {
+      console.error('Failed to update anomaly detection:', error);
+    }
+  };
+
+  const updateCondition = (index, changes) => {
+    setAlertRuleForm({
+      ...alertRuleForm,
+      conditions: alertRuleForm.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+        const updated = { ...condition, ...changes };
+        // Each condition type has its own operators
+        if (changes.type) updated.operator = alertRules.operators[changes.type][0];
+        if (changes.metric && changes.metric !== 'adSpend') updated.platform = '';
+        return updated;
+      })
+    });
+  };
+
+  const saveAlertRule = async () => {
+    try {
+      const response = await fetch('/api/alert-rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: alertRuleForm.name,
+          severity: alertRuleForm.severity,
+          days: parseInt(alertRuleForm.days) || 1,
+          conditions: alertRuleForm.conditions.map(condition => ({
+            metric: condition.metric,
+            platform: condition.platform || null,
+            type: condition.type,
+            operator: condition.operator,
+            value: parseFloat(condition.value),
+            baselineDays: condition.type === 'threshold' ? undefined : parseInt(condition.baselineDays)
+          }))
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+        return;
+      }
+      setAlertRuleForm(EMPTY_ALERT_RULE);
+      fetchAlertRules();
+    } catch (error) {
+      console.error('Failed to save alert rule:', error);
+    }
+  };
+
+  const toggleAlertRule = async (rule) => {
+    try {
+      await fetch(`/api/alert-rules/${rule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...rule, enabled: !rule.enabled })
+      });
+      fetchAlertRules();
+    } catch (error) {
+      console.error('Failed to update alert rule:', error);
+    }
+  };
+
+  const deleteAlertRule = async (id) => {
+    try {
+      await fetch(`/api/alert-rules/${id}`, { method: 'DELETE' });
+      fetchAlertRules();
+    } catch (error) {
+      console.error('Failed to delete alert rule:', error);
+    }
+  };
+
+  const checkAlertsNow = async () => {
+    try {
+      const response = await fetch('/api/alerts/check', { method: 'POST' });
+      const data = await response.json();
+      setNotice(response.ok
+        ? { status: 'info', message: 'Checking yesterday now. New alerts show up on the dashboard and go out on your notification channels.' }
+        : { status: 'critical', message: data.error });
+    } catch (error) {
+      console.error('Failed to check alerts:', error);
+    }
+  };
+
+  // "Meta ad spend is equal 0", "Ad spend changes vs average up 50% (7 days)"
+  const describeCondition = (condition) => {
+    const platform = alertRules.platforms.find(p => p.id === condition.platform);
+    const metric = `${platform ? `${platform.name} ` : ''}${alertRules.metrics[condition.metric].label}`;
+    const unit = condition.type === 'change' ? '%' : condition.type === 'anomaly' ? ' std devs' : '';
+    const baseline = condition.type === 'threshold' ? '' : ` (${condition.baselineDays} days)`;
+    return `${metric} ${CONDITION_TYPE_LABELS[condition.type]} ${condition.operator} ${condition.value}${unit}${baseline}`;
+  };
+
+  const connect = async (platform) => {
+    try {
+      const response = await fetch(`/api/ad-accounts/${platform}/connect`);
+      const data = await response.json();
+      // Ad platforms refuse to render their consent screens inside the Shopify admin iframe
+      window.open(data.url, '_top');
+    } catch (error) {
+      console.error('Failed to start ad account connection:', error);
+    }
+  };
+
+  const updateApiKeyForm = (platform, changes) => {
+    setApiKeyForms({
+      ...apiKeyForms,
+      [platform]: { ...EMPTY_API_KEY_FORM, ...apiKeyForms[platform], ...changes }
+    });
+  };
+
+  const connectWithApiKey = async (platform) => {
+    const form = { ...EMPTY_API_KEY_FORM, ...apiKeyForms[platform] };
+    try {
+      const response = await fetch(`/api/ad-accounts/${platform}/api-key`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          apiKey: form.apiKey,
+          settings: {
+            monthlyFee: parseFloat(form.monthlyFee) || 0,
+            costPerSms: parseFloat(form.costPerSms) || 0
+          }
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setNotice({ status: 'critical', message: data.error });
+        return;
+      }
+      updateApiKeyForm(platform, EMPTY_API_KEY_FORM);
+      fetchConnections();
+    } catch (error) {
+      console.error('Failed to connect with API key:', error);
+    }
+  };
+
+  const getPricingDraft = (account) => ({
+    monthlyFee: String(account.settings?.monthlyFee ?? ''),
+    costPerSms: String(account.settings?.costPerSms ?? ''),
+    ...pricingDrafts[account.id]
+  });
+
+  const updatePricingDraft = (account, changes) => {
+    setPricingDrafts({ ...pricingDrafts, [account.id]: { ...getPricingDraft(account), ...changes } });
+  };
+
+  const savePricing = async (account) => {
+    const draft = getPricingDraft(account);
+    try {
+      await fetch(`/api/ad-accounts/${account.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          settings: {
+            ...account.settings,
+            monthlyFee: parseFloat(draft.monthlyFee) || 0,
+            costPerSms: parseFloat(draft.costPerSms) || 0
+          }
+        })
+      });
+      setPricingDrafts({ ...pricingDrafts, [account.id]: undefined });
+      fetchConnections();
+    } catch (error) {
+      console.error('Failed to update account pricing:', error);
+    }
+  };
+
+  const disconnect = async (platform) => {
+    try {
+      await fetch(`/api/ad-accounts/${platform}`, { method: 'DELETE' });
+      fetchConnections();
+    } catch (error) {
+      console.error('Failed to disconnect ad platform:', error);
+    }
+  };
+
+  const openAccountPicker = async (platform) => {
+    setPickerPlatform(platform);
+    setPickerLoading(true);
+    try {
+      const response = await fetch(`/api/ad-accounts/${platform}/available`);
+      const data = await response.json();
+      setAvailableAccounts(data.accounts || []);
+      setSelectedAccounts([]);
+    } catch (error) {
+      console.error('Failed to list ad accounts:', error);
+    } finally {
+      setPickerLoading(false);
+    }
+  };
+
+  const saveAccountSelection = async () => {
+    try {
+      await fetch(`/api/ad-accounts/${pickerPlatform}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          accounts: availableAccounts.filter(a => selectedAccounts.includes(a.accountId))
+        })
+      });
+      setPickerPlatform(null);
+      fetchConnections();
+    } catch (error) {
+      console.error('Failed to save ad accounts:', error);
+    }
+  };
+
+  const toggleAccount = async (account) => {
+    try {
+      await fetch(`/api/ad-accounts/${account.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isActive: !account.isActive })
+      });
+      fetchConnections();
+    } catch (error) {
+      console.error('Failed to update ad account:', error);
+    }
+  };
+
+  const renderStatus = (connection) => {
+    if (!connection) return <Badge>Not connected</Badge>;
+    if (connection.status === 'active') return <Badge status="success">Connected</Badge>;
+    return <Badge status="critical">Needs reconnecting</Badge>;
+  };
+
+  if (loading && connections.length === 0) {
+    return (
+      <Page title="Settings">
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <div style={{ textAlign: 'center', padding: '60px' }}>
+                <Spinner size="large" />
+              </div>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title="Settings"
+      breadcrumbs={[{ content: 'Dashboard', onAction: () => { window.location.href = `/${window.location.search}`; } }]}
+    >
+      <Layout>
+        {notice && (
+          <Layout.Section>
+            <Banner status={notice.status} onDismiss={() => setNotice(null)}>
+              {notice.message}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.AnnotatedSection
+          title="Marketing channels"
+          description="Connect the ad, email and SMS platforms you spend on so their costs are included in net profit."
+        >
+          {platforms.map(platform => {
+            const connection = connections.find(c => c.platform === platform.id);
+            return (
+              <Card key={platform.id} sectioned>
+                <Stack vertical spacing="loose">
+                  <Stack distribution="equalSpacing" alignment="center">
+                    <Stack alignment="center">
+                      <Text variant="headingMd">{platform.name}</Text>
+                      {renderStatus(connection)}
+                    </Stack>
+                    <Stack>
+                      {connection && platform.auth === 'oauth' && (
+                        <Button onClick={() => openAccountPicker(platform.id)}>Choose accounts</Button>
+                      )}
+                      {connection && (
+                        <Button destructive plain onClick={() => disconnect(platform.id)}>Disconnect</Button>
+                      )}
+                      {platform.auth === 'oauth' && (
+                        <Button primary={!connection || connection.status !== 'active'} onClick={() => connect(platform.id)}>
+                          {connection ? 'Reconnect' : 'Connect'}
+                        </Button>
+                      )}
+                    </Stack>
+                  </Stack>
+
+                  {platform.auth === 'apiKey' && (!connection || connection.status !== 'active') && (
+                    <FormLayout>
+                      <TextField
+                        label="Private API key"
+                        type="password"
+                        value={apiKeyForms[platform.id]?.apiKey || ''}
+                        onChange={(value) => updateApiKeyForm(platform.id, { apiKey: value })}
+                        autoComplete="off"
+                      />
+                      <FormLayout.Group>
+                        <TextField
+                          label="Monthly plan fee"
+                          type="number"
+                          value={apiKeyForms[platform.id]?.monthlyFee || ''}
+                          onChange={(value) => updateApiKeyForm(platform.id, { monthlyFee: value })}
+                        />
+                        <TextField
+                          label="Cost per SMS"
+                          type="number"
+                          value={apiKeyForms[platform.id]?.costPerSms || ''}
+                          onChange={(value) => updateApiKeyForm(platform.id, { costPerSms: value })}
+                        />
+                      </FormLayout.Group>
+                      <Button primary onClick={() => connectWithApiKey(platform.id)}>
+                        {connection ? 'Update API key' : 'Connect'}
+                      </Button>
+                    </FormLayout>
+                  )}
+
+                  {connection && connection.status !== 'active' && (
+                    <Banner status="critical">
+                      {connection.lastError || 'The connection has expired.'} Spend from this platform is
+                      missing until you reconnect.
+                    </Banner>
+                  )}
+
+                  {connection?.tokenExpiresAt && (
+                    <Caption>
+                      Access expires {format(new Date(connection.tokenExpiresAt), 'MMM d, yyyy')}
+                      {connection.lastCheckedAt && ` · checked ${format(new Date(connection.lastCheckedAt), 'MMM d, h:mm a')}`}
+                    </Caption>
+                  )}
+
+                  {connection?.accounts.map(account => (
+                    <Stack key={account.id} vertical spacing="tight">
+                      <Checkbox
+                        label={account.accountName || account.accountId}
+                        helpText={[account.accountId, account.currency].filter(Boolean).join(' · ')}
+                        checked={account.isActive}
+                        onChange={() => toggleAccount(account)}
+                      />
+                      {platform.auth === 'apiKey' && (
+                        <FormLayout.Group>
+                          <TextField
+                            label="Monthly plan fee"
+                            type="number"
+                            value={getPricingDraft(account).monthlyFee}
+                            onChange={(value) => updatePricingDraft(account, { monthlyFee: value })}
+                          />
+                          <TextField
+                            label="Cost per SMS"
+                            type="number"
+                            value={getPricingDraft(account).costPerSms}
+                            onChange={(value) => updatePricingDraft(account, { costPerSms: value })}
+                            connectedRight={<Button onClick={() => savePricing(account)}>Save</Button>}
+                          />
+                        </FormLayout.Group>
+                      )}
+                    </Stack>
+                  ))}
+                </Stack>
+              </Card>
+            );
+          })}
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Currency"
+          description="Orders are converted from your shop's currency and ad spend from each ad account's, at the exchange rates below, into the currency reports are shown in."
+        >
+          <Card sectioned>
+            <FormLayout>
+              <FormLayout.Group>
+                <TextField
+                  label="Reporting currency"
+                  value={currencySettings.reportingCurrency}
+                  onChange={(value) => setCurrencySettings({ ...currencySettings, reportingCurrency: value })}
+                  placeholder={fxRates.shopCurrency || 'USD'}
+                  helpText={fxRates.shopCurrency ? `Your shop sells in ${fxRates.shopCurrency}. Leave blank to report in it.` : undefined}
+                  maxLength={3}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Number format"
+                  value={currencySettings.locale}
+                  onChange={(value) => setCurrencySettings({ ...currencySettings, locale: value })}
+                  placeholder="en-CA"
+                  helpText="A language tag such as en-CA or fr-FR. Leave blank to use your browser's."
+                  autoComplete="off"
+                />
+              </FormLayout.Group>
+              <Button primary onClick={saveCurrencySettings}>Save</Button>
+            </FormLayout>
+          </Card>
+
+          <Card title="Exchange rates" sectioned>
+            <Stack vertical>
+              {fxRates.missing.length > 0 && (
+                <Banner status="warning">
+                  Add a rate for {fxRates.missing.map(pair => `${pair.fromCurrency} to ${pair.toCurrency}`).join(', ')}.
+                  Amounts in {fxRates.missing.length === 1 ? 'that currency' : 'those currencies'} can't be reported until
+                  then.
+                </Banner>
+              )}
+              {fxRates.rates.length > 0 && (
+                <DataTable
+                  columnContentTypes={['text', 'numeric', 'text', 'text']}
+                  headings={['Pair', 'Rate', 'From', '']}
+                  rows={fxRates.rates.map(rate => [
+                    `${rate.fromCurrency} → ${rate.toCurrency}`,
+                    rate.rate,
+                    rate.effectiveFrom.slice(0, 10),
+                    <Button key={rate.id} destructive plain onClick={() => deleteFxRate(rate.id)}>Delete</Button>
+                  ])}
+                />
+              )}
+              <FormLayout>
+                <FormLayout.Group condensed>
+                  <TextField
+                    label="From"
+                    value={fxRateForm.fromCurrency}
+                    onChange={(value) => setFxRateForm({ ...fxRateForm, fromCurrency: value })}
+                    placeholder="USD"
+                    maxLength={3}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="To"
+                    value={fxRateForm.toCurrency}
+                    onChange={(value) => setFxRateForm({ ...fxRateForm, toCurrency: value })}
+                    placeholder={fxRates.reportingCurrency || 'CAD'}
+                    maxLength={3}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Rate"
+                    type="number"
+                    value={fxRateForm.rate}
+                    onChange={(value) => setFxRateForm({ ...fxRateForm, rate: value })}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Effective from"
+                    type="date"
+                    value={fxRateForm.effectiveFrom}
+                    onChange={(value) => setFxRateForm({ ...fxRateForm, effectiveFrom: value })}
+                  />
+                </FormLayout.Group>
+                <Button onClick={addFxRate}>Add rate</Button>
+              </FormLayout>
+              <Caption>
+                1 of the first currency buys the rate in the second, from the effective day until the pair's next rate.
+                A pair's earliest rate also applies to the days before it.
+              </Caption>
+            </Stack>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Order history"
+          description="Doughboard syncs your last 90 days of orders right away and imports everything older in the background."
+        >
+          <Card sectioned>
+            <Stack vertical spacing="tight">
+              <Text variant="bodyMd" color={backfill?.status === 'failed' ? 'critical' : undefined}>
+                {describeBackfill()}
+              </Text>
+              {['not_started', 'failed'].includes(backfill?.status) && (
+                <Stack>
+                  <Button onClick={startBackfill}>
+                    {backfill.status === 'failed' ? 'Try again' : 'Import order history'}
+                  </Button>
+                </Stack>
+              )}
+            </Stack>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Customer privacy"
+          description="Customer data requests and erasures from Shopify are handled automatically. Send each data request's export to the customer who asked for it."
+        >
+          <Card sectioned>
+            {privacyRequests.length === 0 ? (
+              <Text variant="bodyMd" color="subdued">No privacy requests yet.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text']}
+                headings={['Received', 'Request', 'Customer', '']}
+                rows={privacyRequests.map(request => [
+                  format(new Date(request.createdAt), 'MMM d, yyyy'),
+                  PRIVACY_TOPIC_LABELS[request.topic] || request.topic,
+                  request.customerId || '—',
+                  request.hasExport
+                    ? <Button key="download" plain onClick={() => downloadPrivacyExport(request.id)}>Download data</Button>
+                    : request.topic === 'customers/data_request' ? 'Data since erased' : ''
+                ])}
+              />
+            )}
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Notifications"
+          description="Send a profit digest every morning or week to your team's inbox, or to a webhook such as a Slack incoming webhook."
+        >
+          <Card sectioned>
+            <FormLayout>
+              <TextField
+                label="Email addresses"
+                value={notifications.emails}
+                onChange={(value) => setNotifications({ ...notifications, emails: value })}
+                placeholder="ops@example.com, founder@example.com"
+                helpText={notifications.emailAvailable ? 'Separate addresses with commas.' : 'Email isn\'t set up on this server yet; use a webhook for now.'}
+                autoComplete="off"
+              />
+              <TextField
+                label="Webhook URL"
+                value={notifications.webhookUrl}
+                onChange={(value) => setNotifications({ ...notifications, webhookUrl: value })}
+                placeholder="https://hooks.slack.com/services/..."
+                helpText="Receives each digest as JSON, with a plain-text version in the text field."
+                autoComplete="off"
+              />
+              <ChoiceList
+                title="Digests"
+                allowMultiple
+                choices={[
+                  { label: 'Daily, covering yesterday', value: 'daily' },
+                  { label: 'Weekly, covering last Monday to Sunday', value: 'weekly' }
+                ]}
+                selected={notifications.digestFrequencies}
+                onChange={(value) => setNotifications({ ...notifications, digestFrequencies: value })}
+              />
+              <Select
+                label="Send after"
+                options={DIGEST_HOUR_OPTIONS}
+                value={notifications.digestHour}
+                onChange={(value) => setNotifications({ ...notifications, digestHour: value })}
+                helpText="In your shop's timezone"
+              />
+              <Stack>
+                <Button primary onClick={saveNotifications}>Save</Button>
+                <Button onClick={() => previewDigest('daily')}>Preview daily digest</Button>
+                <Button onClick={() => sendTestDigest('daily')}>Send daily digest now</Button>
+              </Stack>
+            </FormLayout>
+          </Card>
+
+          {notifications.deliveries.length > 0 && (
+            <Card title="Recent digests" sectioned>
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text']}
+                headings={['Period', 'Digest', 'Status', 'Sent']}
+                rows={notifications.deliveries.map(delivery => [
+                  delivery.periodStart.slice(0, 10),
+                  delivery.frequency,
+                  delivery.status === 'sent'
+                    ? <Badge key="status" status="success">Sent by {delivery.channels.join(', ')}</Badge>
+                    : <Badge key="status" status="critical">{delivery.error || 'Failed'}</Badge>,
+                  delivery.sentAt ? format(new Date(delivery.sentAt), 'MMM d, h:mm a') : '—'
+                ])}
+              />
+            </Card>
+          )}
+        </Layout.AnnotatedSection>
+
+        {alertRules && (
+          <Layout.AnnotatedSection
+            title="Alerts"
+            description="Get warned on the dashboard and on your notification channels when yesterday's numbers break a rule or look unusual."
+          >
+            <Card sectioned>
+              <Stack vertical>
+                <Checkbox
+                  label="Flag unusual days"
+                  helpText={`${alertRules.defaultRules.map(rule => alertRules.metrics[rule.conditions[0].metric].label).join(', ')} more than 3 standard deviations from their 14-day average.`}
+                  checked={alertRules.anomalyDetection}
+                  onChange={setAnomalyDetection}
+                />
+                {alertRules.rules.map(rule => (
+                  <Stack key={rule.id} distribution="equalSpacing" alignment="center">
+                    <Checkbox
+                      label={rule.name}
+                      helpText={`${rule.conditions.map(describeCondition).join(' and ')}${rule.days > 1 ? ` for ${rule.days} days` : ''}`}
+                      checked={rule.enabled}
+                      onChange={() => toggleAlertRule(rule)}
+                    />
+                    <Button destructive plain onClick={() => deleteAlertRule(rule.id)}>Delete</Button>
+                  </Stack>
+                ))}
+                <Button onClick={checkAlertsNow}>Check yesterday now</Button>
+              </Stack>
+            </Card>
+
+            <Card title="New alert rule" sectioned>
+              <FormLayout>
+                <FormLayout.Group>
+                  <TextField
+                    label="Name"
+                    value={alertRuleForm.name}
+                    onChange={(value) => setAlertRuleForm({ ...alertRuleForm, name: value })}
+                    placeholder="Margin under 15%"
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Severity"
+                    options={['info', 'warning', 'critical'].map(value => ({ label: value, value }))}
+                    value={alertRuleForm.severity}
+                    onChange={(value) => setAlertRuleForm({ ...alertRuleForm, severity: value })}
+                  />
+                  <TextField
+                    label="For how many days"
+                    type="number"
+                    value={alertRuleForm.days}
+                    onChange={(value) => setAlertRuleForm({ ...alertRuleForm, days: value })}
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+                {alertRuleForm.conditions.map((condition, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <Select
+                      label={index === 0 ? 'When' : 'And'}
+                      options={Object.entries(alertRules.metrics).map(([value, metric]) => ({ label: metric.label, value }))}
+                      value={condition.metric}
+                      onChange={(value) => updateCondition(index, { metric: value })}
+                    />
+                    {condition.metric === 'adSpend' && (
+                      <Select
+                        label="Platform"
+                        options={[{ label: 'All platforms', value: '' }, ...alertRules.platforms.map(p => ({ label: p.name, value: p.id }))]}
+                        value={condition.platform}
+                        onChange={(value) => updateCondition(index, { platform: value })}
+                      />
+                    )}
+                    <Select
+                      label="Check"
+                      options={Object.entries(CONDITION_TYPE_LABELS).map(([value, label]) => ({ label, value }))}
+                      value={condition.type}
+                      onChange={(value) => updateCondition(index, { type: value })}
+                    />
+                    <Select
+                      label="Direction"
+                      options={alertRules.operators[condition.type].map(value => ({ label: value, value }))}
+                      value={condition.operator}
+                      onChange={(value) => updateCondition(index, { operator: value })}
+                    />
+                    <TextField
+                      label={condition.type === 'change' ? 'Percent' : condition.type === 'anomaly' ? 'Std devs' : 'Value'}
+                      type="number"
+                      value={condition.value}
+                      onChange={(value) => updateCondition(index, { value })}
+                      autoComplete="off"
+                    />
+                    {condition.type !== 'threshold' && (
+                      <TextField
+                        label="Average of days"
+                        type="number"
+                        value={condition.baselineDays}
+                        onChange={(value) => updateCondition(index, { baselineDays: value })}
+                        autoComplete="off"
+                      />
+                    )}
+                  </FormLayout.Group>
+                ))}
+                <Stack>
+                  <Button primary onClick={saveAlertRule}>Add rule</Button>
+                  <Button
+                    plain
+                    onClick={() => setAlertRuleForm({ ...alertRuleForm, conditions: [...alertRuleForm.conditions, EMPTY_CONDITION] })}
+                  >
+                    Add condition
+                  </Button>
+                </Stack>
+                <Caption>Net margin is a percentage. Spend of a platform whose data can't be loaded always raises an alert.</Caption>
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+        )}
+      </Layout>
+
+      <Modal
+        open={Boolean(digestPreview)}
+        onClose={() => setDigestPreview(null)}
+        title="Daily digest preview"
+        large
+      >
+        <Modal.Section>
+          <iframe title="Digest preview" srcDoc={digestPreview || ''} style={{ width: '100%', height: '500px', border: 0 }} />
+        </Modal.Section>
+      </Modal>
+
+      <Modal
+        open={Boolean(pickerPlatform)}
+        onClose={() => setPickerPlatform(null)}
+        title="Choose ad accounts"
+        primaryAction={{
+          content: 'Save',
+          onAction: saveAccountSelection,
+          disabled: selectedAccounts.length === 0
+        }}
+        secondaryActions={[
+          {
+            content: 'Cancel',
+            onAction: () => setPickerPlatform(null)
+          }
+        ]}
+      >
+        <Modal.Section>
+          {pickerLoading ? (
+            <Spinner size="small" />
+          ) : availableAccounts.length === 0 ? (
+            <Text variant="bodyMd">No ad accounts are available for this login.</Text>
+          ) : (
+            <ChoiceList
+              title="Accounts"
+              allowMultiple
+              choices={availableAccounts.map(account => ({
+                label: account.accountName,
+                value: account.accountId,
+                helpText: [account.accountId, account.currency].filter(Boolean).join(' · ')
+              }))}
+              selected={selectedAccounts}
+              onChange={setSelectedAccounts}
+            />
+          )}
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
@@ -0,0 +1,40 @@
+// Local stand-in for the Google Ads and Google OAuth endpoints, serving recorded responses.
+//
+//   node scripts/google-ads-mock.js
+//   GOOGLE_ADS_API_URL=http://localhost:4010/v15 \
+//   GOOGLE_OAUTH_TOKEN_URL=http://localhost:4010/token npm run dev
+const express = require('express');
+const path = require('path');
+
+const PORT = process.env.MOCK_PORT || 4010;
+const searchStreamResponse = require(path.join(__dirname, 'fixtures', 'google-ads-search-stream.json'));
+const customerClientsResponse = require(path.join(__dirname, 'fixtures', 'google-ads-customer-clients.json'));
+
+const app = express();
+
+app.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+  if (req.body.grant_type !== 'refresh_token' || !req.body.refresh_token) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  res.json({ access_token: `mock-access-${Date.now()}`, expires_in: 3599, token_type: 'Bearer' });
+});
+
+function requireBearer(req, res, next) {
+  if (!req.get('authorization')?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: { code: 401, status: 'UNAUTHENTICATED' } });
+  }
+  next();
+}
+
+app.get('/v15/customers\\:listAccessibleCustomers', requireBearer, (req, res) => {
+  res.json({ resourceNames: ['customers/9990001111'] });
+});
+
+app.post('/v15/customers/:customerId/googleAds\\:searchStream', requireBearer, express.json(), (req, res) => {
+  console.log(`searchStream for ${req.params.customerId}:`, req.body.query.replace(/\s+/g, ' ').trim());
+  res.json(req.body.query.includes('customer_client') ? customerClientsResponse : searchStreamResponse);
+});
+
+app.listen(PORT, () => {
+  console.log(`Google Ads mock listening on port ${PORT}`);
+});
@@ -0,0 +1,30 @@
+// One-off data upgrades for shops set up by earlier versions of the app. Run once after deploying
+// a version that adds a step; the app's job workers do the queued work. Each step finds nothing
+// left to do once its work has run, so running the script again is harmless.
+//
+//   npm run upgrade
+require('dotenv').config();
+const prisma = require('../lib/prisma');
+const { resyncShopsMissingLines, resolveMissingFirstOrders } = require('../lib/sync');
+const { fillOrderProfit } = require('../lib/orders');
+
+const STEPS = [
+  ['Queueing a full resync for shops whose orders have no stored lines', resyncShopsMissingLines],
+  ['Queueing first order lookups for shops without stored customers', resolveMissingFirstOrders],
+  ['Filling in the profit and margin of stored orders', fillOrderProfit]
+];
+
+async function upgrade() {
+  for (const [description, run] of STEPS) {
+    console.log(`${description}...`);
+    await run();
+  }
+  console.log('Done');
+}
+
+upgrade()
+  .catch(error => {
+    console.error('Upgrade failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,19 @@
+// Local stand-in for a team's notification webhook: prints each digest or alert it receives.
+//
+//   node scripts/webhook-receiver.js
+//   then set the webhook URL in Settings > Notifications to http://localhost:4020/hook
+const express = require('express');
+
+const PORT = process.env.MOCK_PORT || 4020;
+
+const app = express();
+
+app.post('*', express.json({ limit: '5mb' }), (req, res) => {
+  console.log(`\n${new Date().toISOString()} POST ${req.path}: ${req.body.subject}`);
+  console.log(req.body.text);
+  res.json({ ok: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`Webhook receiver listening on port ${PORT}`);
+});
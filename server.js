@@ -1,40 +1,95 @@
+require('dotenv').config();
 const express = require('express');
-const { shopifyApp } = require('@shopify/shopify-app-express');
-const { PrismaSessionStorage } = require('@shopify/shopify-app-session-storage-prisma');
-const { PrismaClient } = require('@prisma/client');
-const { ApiVersion } = require('@shopify/shopify-api');
 const next = require('next');
 const path = require('path');
-require('dotenv').config();
+const crypto = require('crypto');
+const { format, subMonths } = require('date-fns');
+const prisma = require('./lib/prisma');
+const { shopify, getRequestUser } = require('./lib/shopify');
+const { calculateMarketingKpis, DEFAULT_EXCLUDED_STATUSES } = require('./lib/metrics');
+const { toDay, dayToDate, parseDateRange, parseComparisonRange, getEarliestDay } = require('./lib/dates');
+const { validateCostSettings, validateExpense } = require('./lib/costs');
+const { getConnector, listConnectors, fetchMarketingSpend, startTokenRefreshScheduler } = require('./lib/ads');
+const { buildAuthorizeUrl, verifyState, saveConnectionTokens } = require('./lib/ads/connections');
+const { GRANULARITIES, getTimeseries, getRangeMetrics } = require('./lib/timeseries');
+const { MAX_COHORT_MONTHS, getCohorts } = require('./lib/cohorts');
+const { getProductReport, validateProductReportOptions } = require('./lib/products');
+const { getOrderProfit, validateOrderProfitOptions } = require('./lib/orders');
+const { startOrderBackfill, backfillOnInstall, getBackfillStatus, resumeOrderBackfills } = require('./lib/backfill');
+const { createStreamToken, verifyStreamToken, subscribe } = require('./lib/events');
+const { validateNotificationSettings, checkWebhookHost } = require('./lib/notifications');
+const {
+  ALERT_METRICS,
+  CONDITION_OPERATORS,
+  DEFAULT_RULES: DEFAULT_ALERT_RULES,
+  startAlertScheduler,
+  getOpenAlerts,
+  validateAlertRule,
+  normalizeAlertRule
+} = require('./lib/alerts');
+const {
+  DIGEST_FREQUENCIES,
+  previewDigest,
+  queueDigest,
+  startDigestScheduler,
+  validateDigestSettings
+} = require('./lib/digests');
+const {
+  getDisplayCurrency,
+  findMissingRates,
+  validateFxRate,
+  validateCurrencySettings
+} = require('./lib/currency');
+const {
+  PNL_GRANULARITIES,
+  EXPORT_FORMATS,
+  getProfitAndLoss,
+  buildProfitAndLossCsv,
+  writeProfitAndLossXlsx,
+  setExportHeaders,
+  createExportWriter,
+  writeOrderExport,
+  writeDailyExport
+} = require('./lib/exports');
+const {
+  handleOrderWebhook,
+  handleProductWebhook,
+  handleInventoryItemWebhook,
+  handleCustomerDataRequest,
+  handleCustomerRedact,
+  handleShopRedact,
+  handleAppUninstalled
+} = require('./lib/webhooks');
+const { listPrivacyRequests, getPrivacyExport } = require('./lib/privacy');
+const { queueProductCostSync, isCostSyncRunning } = require('./lib/productCosts');
+const { enqueueJob, startJobWorker, getJobStats, listJobs, retryJob, validateJobFilters } = require('./lib/jobs');
+const {
+  SOURCES: COST_SOURCES,
+  saveCustomCosts,
+  getCostVersions,
+  getCostAuditLog,
+  validateEffectiveFrom
+} = require('./lib/costHistory');
+const {
+  readCostsCsv,
+  loadVariantCatalog,
+  previewCostImport,
+  validateImportOptions,
+  buildCostsCsv
+} = require('./lib/cogsCsv');
+const {
+  ensureFreshMetrics,
+  describeCoverage,
+  startSyncScheduler
+} = require('./lib/sync');
 
 const PORT = process.env.PORT || 3000;
 const isDevelopment = process.env.NODE_ENV !== 'production';
 
-// Initialize Prisma client
-const prisma = new PrismaClient();
-
 // Initialize Next.js
 const nextApp = next({ dev: isDevelopment });
 const handle = nextApp.getRequestHandler();
 
-// Shopify app configuration
-const shopify = shopifyApp({
-  api: {
-    apiVersion: ApiVersion.October23,
-    restResources: require('@shopify/shopify-api/rest/admin/2023-10'),
-  },
-  auth: {
-    path: '/api/auth',
-    callbackPath: '/api/auth/callback',
-  },
-  webhooks: {
-    path: '/api/webhooks',
-  },
-  sessionStorage: new PrismaSessionStorage(prisma),
-  distribution: 'app_store',
-  isEmbeddedApp: true,
-});
-
 async function createServer() {
   await nextApp.prepare();
   
@@ -42,6 +97,139 @@ async function createServer() {
   
   // Apply Shopify middleware
   app.use(shopify.cspHeaders());
+
+  // Webhook handlers (registered ahead of the session check, Shopify authenticates them by HMAC)
+  app.use('/api/webhooks', shopify.processWebhooks({
+    webhookHandlers: {
+      ORDERS_CREATE: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/orders/create',
+        callback: handleOrderWebhook
+      },
+      ORDERS_UPDATED: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/orders/update',
+        callback: handleOrderWebhook
+      },
+      PRODUCTS_UPDATE: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/products/update',
+        callback: handleProductWebhook
+      },
+      INVENTORY_ITEMS_UPDATE: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/inventory_items/update',
+        callback: handleInventoryItemWebhook
+      },
+      APP_UNINSTALLED: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/app/uninstalled',
+        callback: handleAppUninstalled
+      },
+      // Mandatory privacy topics. Shopify doesn't register these through the API; their URLs are set
+      // on the app in the Partner Dashboard.
+      CUSTOMERS_DATA_REQUEST: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/customers/data_request',
+        callback: handleCustomerDataRequest
+      },
+      CUSTOMERS_REDACT: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/customers/redact',
+        callback: handleCustomerRedact
+      },
+      SHOP_REDACT: {
+        deliveryMethod: 'http',
+        callbackUrl: '/api/webhooks/shop/redact',
+        callback: handleShopRedact
+      }
+    }
+  }));
+
+  const INVALID_STATE_MESSAGE = 'Invalid or expired connection request. Please try connecting again.';
+
+  // Ad platform OAuth callback. Providers redirect the top-level window here, outside the
+  // embedded app, so the shop comes from the signed state instead of a session.
+  app.get('/api/ad-accounts/:platform/callback', async (req, res) => {
+    const { platform } = req.params;
+    let state;
+    try {
+      const connector = getConnector(platform);
+      state = connector?.auth === 'oauth' && verifyState(req.query.state, platform);
+      if (!state) {
+        return res.status(400).send(INVALID_STATE_MESSAGE);
+      }
+      
+      if (req.query.error) throw new Error(req.query.error_description || req.query.error);
+      // TikTok names the authorization code auth_code
+      const tokens = await connector.exchangeCode(req.query.code || req.query.auth_code);
+      await saveConnectionTokens(state.shop, platform, tokens);
+      
+      res.redirect(`https://${state.shop}/admin/apps/${process.env.SHOPIFY_API_KEY}/settings?connected=${platform}`);
+    } catch (error) {
+      console.error('Ad account OAuth error:', error.response?.data || error);
+      // Unreadable state; there's no shop to send the merchant back to
+      if (!state) return res.status(400).send(INVALID_STATE_MESSAGE);
+      res.redirect(`https://${state.shop}/admin/apps/${process.env.SHOPIFY_API_KEY}/settings?connectError=${platform}`);
+    }
+  });
+
+  // Job queue inspection for operators, outside the embedded app. Needs ADMIN_API_TOKEN as a bearer
+  // token and is switched off without one.
+  const requireAdminToken = (req, res, next) => {
+    const expected = Buffer.from(`Bearer ${process.env.ADMIN_API_TOKEN || ''}`);
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (!process.env.ADMIN_API_TOKEN || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+
+  // Job counts by type and status, and the latest jobs (dead ones carry their last error)
+  app.get('/api/admin/jobs', requireAdminToken, async (req, res) => {
+    try {
+      const { shop, type, status } = req.query;
+      const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+      const validationError = validateJobFilters({ status, limit });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      res.json({
+        ...await getJobStats(shop),
+        jobs: await listJobs({ shop, type, status, limit })
+      });
+    } catch (error) {
+      console.error('Admin jobs API error:', error);
+      res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  });
+
+  // Send a dead job back to the queue
+  app.post('/api/admin/jobs/:id/retry', requireAdminToken, async (req, res) => {
+    try {
+      const job = await retryJob(parseInt(req.params.id));
+      if (!job) {
+        return res.status(404).json({ error: 'No dead job with that id' });
+      }
+      
+      res.json(job);
+    } catch (error) {
+      console.error('Admin jobs API error:', error);
+      res.status(500).json({ error: 'Failed to retry job' });
+    }
+  });
+
+  // Stream live metric updates to the open dashboard. Outside the session check, since EventSource
+  // can't send the session token; the stream token from /api/events/token stands in for it.
+  app.get('/api/events', (req, res) => {
+    const shop = verifyStreamToken(req.query.token);
+    if (!shop) {
+      return res.status(401).json({ error: 'Invalid or expired stream token' });
+    }
+    subscribe(shop, req, res);
+  });
+
   app.use('/api/*', shopify.validateAuthenticatedSession());
 
   // API Routes
@@ -50,33 +238,134 @@ async function createServer() {
   app.get('/api/dashboard', async (req, res) => {
     try {
       const session = res.locals.shopify.session;
-      const client = new shopify.clients.Rest({ session });
       
-      // Get orders from last 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      let range;
+      let comparisonRange;
+      try {
+        range = parseDateRange(req.query);
+        comparisonRange = parseComparisonRange(req.query, range);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
       
-      const orders = await client.get({
-        path: 'orders',
-        query: {
-          status: 'any',
-          created_at_min: thirtyDaysAgo.toISOString(),
-          limit: 250
-        }
+      // Serve both ranges from the daily metrics cache, backfilling it first if needed
+      const coverageStartDay = getEarliestDay(range, comparisonRange);
+      const syncState = await ensureFreshMetrics(session, coverageStartDay);
+      
+      const dashboardData = await getRangeMetrics(session.shop, range);
+      const comparison = comparisonRange && {
+        ...await getRangeMetrics(session.shop, comparisonRange),
+        startDate: comparisonRange.startDay,
+        endDate: comparisonRange.endDay
+      };
+      
+      res.json({
+        ...dashboardData,
+        ...await getDisplayCurrency(session.shop),
+        startDate: range.startDay,
+        endDate: range.endDay,
+        comparison: comparison || null,
+        ...describeCoverage(syncState, coverageStartDay)
+      });
+    } catch (error) {
+      console.error('Dashboard API error:', error);
+      res.status(500).json({ error: 'Failed to fetch dashboard data' });
+    }
+  });
+
+  // Daily (or weekly/monthly) revenue, costs, profit and orders, plus a comparison period to overlay
+  app.get('/api/metrics/timeseries', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      let comparisonRange;
+      try {
+        range = parseDateRange(req.query);
+        comparisonRange = parseComparisonRange(req.query, range);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const granularity = req.query.granularity || 'day';
+      if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+      }
+      
+      const coverageStartDay = getEarliestDay(range, comparisonRange);
+      const syncState = await ensureFreshMetrics(session, coverageStartDay);
+      const [current, comparison] = await Promise.all([
+        getTimeseries(session.shop, range, granularity),
+        comparisonRange && getTimeseries(session.shop, comparisonRange, granularity)
+      ]);
+      
+      res.json({
+        granularity,
+        ...current,
+        comparison: comparison || null,
+        ...describeCoverage(syncState, coverageStartDay)
       });
+    } catch (error) {
+      console.error('Timeseries API error:', error);
+      res.status(500).json({ error: 'Failed to fetch metrics time series' });
+    }
+  });
 
-      // Get store settings for COGS
-      const storeSettings = await prisma.storeSettings.findUnique({
+  // Get order sync status
+  app.get('/api/sync', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const syncState = await prisma.syncState.findUnique({
         where: { shop: session.shop }
       });
+      
+      res.json(syncState || { status: 'never_synced' });
+    } catch (error) {
+      console.error('Sync status API error:', error);
+      res.status(500).json({ error: 'Failed to fetch sync status' });
+    }
+  });
 
-      // Calculate metrics
-      const dashboardData = calculateDashboardMetrics(orders.body.orders, storeSettings);
+  // Queue an order sync on demand; pages hear it finish as a 'sync' event
+  app.post('/api/sync', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const job = await enqueueJob(session.shop, 'sync', req.body?.full ? { full: true } : {});
       
-      res.json(dashboardData);
+      res.status(202).json({ queued: true, jobId: job.id });
     } catch (error) {
-      console.error('Dashboard API error:', error);
-      res.status(500).json({ error: 'Failed to fetch dashboard data' });
+      console.error('Sync API error:', error);
+      res.status(500).json({ error: 'Failed to sync orders' });
+    }
+  });
+
+  // A token for opening the event stream
+  app.get('/api/events/token', (req, res) => {
+    res.json({ token: createStreamToken(res.locals.shopify.session.shop) });
+  });
+
+  // Get store settings
+  app.get('/api/settings', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const settings = await prisma.storeSettings.findUnique({
+        where: { shop: session.shop }
+      });
+      
+      res.json(settings || {
+        shop: session.shop,
+        defaultCOGSPercentage: 30,
+        customCOGS: {},
+        excludedOrderStatuses: DEFAULT_EXCLUDED_STATUSES,
+        shippingCostRule: { type: 'none' },
+        paymentFeeRules: [],
+        useShopifyCosts: false,
+        shopCurrency: null,
+        reportingCurrency: null,
+        locale: null
+      });
+    } catch (error) {
+      console.error('Settings API error:', error);
+      res.status(500).json({ error: 'Failed to fetch settings' });
     }
   });
 
@@ -84,21 +373,102 @@ async function createServer() {
   app.post('/api/settings', express.json(), async (req, res) => {
     try {
       const session = res.locals.shopify.session;
-      const { defaultCOGSPercentage, customCOGS } = req.body;
+      const {
+        defaultCOGSPercentage,
+        customCOGS,
+        excludedOrderStatuses,
+        shippingCostRule,
+        paymentFeeRules,
+        useShopifyCosts,
+        effectiveFrom,
+        reportingCurrency,
+        locale
+      } = req.body;
       
-      const settings = await prisma.storeSettings.upsert({
+      if (excludedOrderStatuses !== undefined &&
+          (!Array.isArray(excludedOrderStatuses) || excludedOrderStatuses.some(s => typeof s !== 'string'))) {
+        return res.status(400).json({ error: 'excludedOrderStatuses must be an array of strings' });
+      }
+      const costSettingsError = validateCostSettings({ shippingCostRule, paymentFeeRules });
+      if (costSettingsError) {
+        return res.status(400).json({ error: costSettingsError });
+      }
+      if (useShopifyCosts !== undefined && typeof useShopifyCosts !== 'boolean') {
+        return res.status(400).json({ error: 'useShopifyCosts must be a boolean' });
+      }
+      if (customCOGS !== undefined && (typeof customCOGS !== 'object' || Array.isArray(customCOGS) ||
+          Object.values(customCOGS || {}).some(cost => typeof cost !== 'number' || cost < 0))) {
+        return res.status(400).json({ error: 'customCOGS must map SKUs to non-negative costs' });
+      }
+      const effectiveFromError = validateEffectiveFrom(effectiveFrom);
+      if (effectiveFromError) {
+        return res.status(400).json({ error: effectiveFromError });
+      }
+      const currencyError = validateCurrencySettings({ reportingCurrency, locale });
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+      
+      const previous = await prisma.storeSettings.findUnique({
+        where: { shop: session.shop },
+        select: { useShopifyCosts: true, customCOGS: true, shopCurrency: true, reportingCurrency: true }
+      });
+      // The resync converts every stored order, and fails on a currency without a rate
+      if (reportingCurrency !== undefined && (reportingCurrency || null) !== (previous?.reportingCurrency || null)) {
+        const missing = await findMissingRates(session.shop, {
+          shopCurrency: previous?.shopCurrency,
+          reportingCurrency: reportingCurrency || null
+        });
+        if (missing.length > 0) {
+          const pairs = missing.map(({ fromCurrency, toCurrency }) => `${fromCurrency} to ${toCurrency}`).join(', ');
+          return res.status(400).json({ error: `Add exchange rates for ${pairs} before changing the reporting currency` });
+        }
+      }
+      let settings = await prisma.storeSettings.upsert({
         where: { shop: session.shop },
         update: {
           defaultCOGSPercentage,
-          customCOGS: customCOGS || {}
+          excludedOrderStatuses,
+          shippingCostRule: shippingCostRule || undefined,
+          paymentFeeRules: paymentFeeRules || undefined,
+          useShopifyCosts,
+          // '' clears them back to the shop currency and the browser's locale
+          reportingCurrency: reportingCurrency === '' ? null : reportingCurrency,
+          locale: locale === '' ? null : locale
         },
         create: {
           shop: session.shop,
           defaultCOGSPercentage,
-          customCOGS: customCOGS || {}
+          excludedOrderStatuses,
+          shippingCostRule: shippingCostRule || undefined,
+          paymentFeeRules: paymentFeeRules || undefined,
+          useShopifyCosts,
+          reportingCurrency: reportingCurrency || null,
+          locale: locale || null
         }
       });
       
+      // Per-SKU costs are versioned rather than overwritten; SKUs left out of the map are removed
+      if (customCOGS !== undefined) {
+        const costs = new Map(Object.keys(previous?.customCOGS || {}).map(sku => [sku, null]));
+        Object.entries(customCOGS || {}).forEach(([sku, cost]) => costs.set(sku, cost));
+        const saved = await saveCustomCosts(session.shop, costs, {
+          effectiveFrom,
+          changedBy: await getRequestUser(req, res),
+          reason: 'settings'
+        });
+        settings = { ...settings, customCOGS: saved.customCOGS };
+      }
+      
+      // COGS, per-order costs, exclusions and the reporting currency feed into every cached day, so
+      // recompute the whole window.
+      // Turning on Shopify costs pulls them first; the cost sync runs the resync when it's done.
+      if (settings.useShopifyCosts && !previous?.useShopifyCosts) {
+        await queueProductCostSync(session.shop);
+      } else {
+        await enqueueJob(session.shop, 'sync', { full: true });
+      }
+      
       res.json(settings);
     } catch (error) {
       console.error('Settings API error:', error);
@@ -106,213 +476,1106 @@ async function createServer() {
     }
   });
 
-  // Get ad spend data
-  app.get('/api/ad-spend', async (req, res) => {
+  // Status of the Shopify product cost sync
+  app.get('/api/costs/sync', async (req, res) => {
     try {
       const session = res.locals.shopify.session;
-      const { startDate, endDate } = req.query;
+      const settings = await prisma.storeSettings.findUnique({
+        where: { shop: session.shop },
+        select: { useShopifyCosts: true, costsSyncedAt: true, costSyncError: true }
+      });
+      const variants = await prisma.productCost.count({ where: { shop: session.shop } });
+      const variantsWithCost = await prisma.productCost.count({
+        where: { shop: session.shop, cost: { not: null } }
+      });
       
-      // Get stored ad account credentials
-      const adAccounts = await prisma.adAccount.findMany({
-        where: { shop: session.shop }
+      res.json({
+        useShopifyCosts: Boolean(settings?.useShopifyCosts),
+        running: await isCostSyncRunning(session.shop),
+        costsSyncedAt: settings?.costsSyncedAt || null,
+        lastError: settings?.costSyncError || null,
+        variants,
+        variantsWithCost
       });
+    } catch (error) {
+      console.error('Cost sync status API error:', error);
+      res.status(500).json({ error: 'Failed to fetch cost sync status' });
+    }
+  });
+
+  // Pull every variant's cost from Shopify again; runs in the background
+  app.post('/api/costs/sync', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const settings = await prisma.storeSettings.findUnique({ where: { shop: session.shop } });
+      if (!settings?.useShopifyCosts) {
+        return res.status(400).json({ error: 'Turn on Shopify product costs in settings first' });
+      }
       
-      let totalAdSpend = 0;
-      const adSpendData = [];
+      await queueProductCostSync(session.shop);
       
-      // Fetch Meta Ads data
-      for (const account of adAccounts.filter(a => a.platform === 'meta')) {
-        const metaSpend = await fetchMetaAdSpend(account.accountId, account.accessToken, startDate, endDate);
-        totalAdSpend += metaSpend.total;
-        adSpendData.push({ platform: 'Meta', ...metaSpend });
-      }
+      res.status(202).json({ started: true });
+    } catch (error) {
+      console.error('Cost sync API error:', error);
+      res.status(500).json({ error: 'Failed to start cost sync' });
+    }
+  });
+
+  // Dated cost versions for one SKU or variant, and the audit log of cost changes
+  app.get('/api/costs/history', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { source, key } = req.query;
+      const limit = parseInt(req.query.limit) || 100;
       
-      // Fetch Google Ads data
-      for (const account of adAccounts.filter(a => a.platform === 'google')) {
-        const googleSpend = await fetchGoogleAdSpend(account.accountId, account.accessToken, startDate, endDate);
-        totalAdSpend += googleSpend.total;
-        adSpendData.push({ platform: 'Google', ...googleSpend });
+      if (source && !COST_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: ${COST_SOURCES.join(', ')}` });
       }
       
-      res.json({ totalAdSpend, breakdown: adSpendData });
+      const [versions, auditLog, settings] = await Promise.all([
+        key ? getCostVersions(session.shop, source || 'custom', key) : [],
+        getCostAuditLog(session.shop, { source, key, limit }),
+        prisma.storeSettings.findUnique({
+          where: { shop: session.shop },
+          select: { shopCurrency: true, locale: true }
+        })
+      ]);
+      
+      // Unit costs are in the shop's currency, not the reporting one
+      res.json({ versions, auditLog, currency: settings?.shopCurrency || null, locale: settings?.locale || null });
     } catch (error) {
-      console.error('Ad spend API error:', error);
-      res.status(500).json({ error: 'Failed to fetch ad spend data' });
+      console.error('Cost history API error:', error);
+      res.status(500).json({ error: 'Failed to fetch cost history' });
     }
   });
 
-  // Upload COGS CSV
-  const multer = require('multer');
-  const csv = require('csv-parse');
-  const upload = multer({ dest: 'uploads/' });
-  
-  app.post('/api/upload-cogs', upload.single('cogsFile'), async (req, res) => {
+  // List fixed costs and custom expenses
+  app.get('/api/expenses', async (req, res) => {
     try {
       const session = res.locals.shopify.session;
-      const fs = require('fs');
-      
-      // Parse CSV
-      const csvData = fs.readFileSync(req.file.path);
-      const records = await new Promise((resolve, reject) => {
-        csv.parse(csvData, { columns: true }, (err, output) => {
-          if (err) reject(err);
-          else resolve(output);
-        });
+      const expenses = await prisma.expense.findMany({
+        where: { shop: session.shop },
+        orderBy: { startDate: 'desc' }
       });
       
-      // Process COGS data
-      const customCOGS = {};
-      records.forEach(row => {
-        const sku = row.SKU || row.sku || row.Sku;
-        const cogs = parseFloat(row.COGS || row.cogs || row.Cogs);
-        if (sku && !isNaN(cogs)) {
-          customCOGS[sku] = cogs;
+      res.json({ expenses });
+    } catch (error) {
+      console.error('Expenses API error:', error);
+      res.status(500).json({ error: 'Failed to fetch expenses' });
+    }
+  });
+
+  // Create a fixed cost or custom expense
+  app.post('/api/expenses', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateExpense(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const { name, category, amount, recurrence, startDate, endDate } = req.body;
+      const expense = await prisma.expense.create({
+        data: {
+          shop: session.shop,
+          name,
+          category: category || 'other',
+          amount,
+          recurrence,
+          startDate: dayToDate(toDay(startDate)),
+          endDate: endDate ? dayToDate(toDay(endDate)) : null
         }
       });
       
-      // Save to database
-      await prisma.storeSettings.upsert({
-        where: { shop: session.shop },
-        update: { customCOGS },
-        create: { shop: session.shop, customCOGS }
-      });
+      res.json(expense);
+    } catch (error) {
+      console.error('Expenses API error:', error);
+      res.status(500).json({ error: 'Failed to create expense' });
+    }
+  });
+
+  // Update a fixed cost or custom expense
+  app.put('/api/expenses/:id', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateExpense(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
       
-      // Clean up file
-      fs.unlinkSync(req.file.path);
+      const { name, category, amount, recurrence, startDate, endDate } = req.body;
+      const { count } = await prisma.expense.updateMany({
+        where: { id: parseInt(req.params.id), shop: session.shop },
+        data: {
+          name,
+          category: category || 'other',
+          amount,
+          recurrence,
+          startDate: dayToDate(toDay(startDate)),
+          endDate: endDate ? dayToDate(toDay(endDate)) : null
+        }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Expense not found' });
+      }
       
-      res.json({ success: true, itemsProcessed: Object.keys(customCOGS).length });
+      res.json({ success: true });
     } catch (error) {
-      console.error('COGS upload error:', error);
-      res.status(500).json({ error: 'Failed to process COGS file' });
+      console.error('Expenses API error:', error);
+      res.status(500).json({ error: 'Failed to update expense' });
     }
   });
 
-  // Webhook handlers
-  app.use('/api/webhooks', shopify.processWebhooks({
-    ORDERS_CREATE: {
-      deliveryMethod: 'http',
-      callbackUrl: '/api/webhooks/orders/create',
-      callback: async (topic, shop, body, webhookId) => {
-        console.log('New order received:', body.id);
-        // Trigger real-time update if needed
-      }
-    },
-    ORDERS_UPDATED: {
-      deliveryMethod: 'http',
-      callbackUrl: '/api/webhooks/orders/update',
-      callback: async (topic, shop, body, webhookId) => {
-        console.log('Order updated:', body.id);
+  // Delete a fixed cost or custom expense
+  app.delete('/api/expenses/:id', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { count } = await prisma.expense.deleteMany({
+        where: { id: parseInt(req.params.id), shop: session.shop }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Expense not found' });
       }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Expenses API error:', error);
+      res.status(500).json({ error: 'Failed to delete expense' });
     }
-  }));
+  });
 
-  // Shopify auth routes
-  app.use('/api/auth', shopify.auth.begin());
-  app.use('/api/auth/callback', shopify.auth.callback(), shopify.redirectToShopifyOrAppRoot());
+  // List exchange rates, and the currency pairs reports still need one for
+  app.get('/api/fx-rates', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const [rates, settings] = await Promise.all([
+        prisma.fxRate.findMany({
+          where: { shop: session.shop },
+          orderBy: [{ fromCurrency: 'asc' }, { toCurrency: 'asc' }, { effectiveFrom: 'desc' }]
+        }),
+        prisma.storeSettings.findUnique({ where: { shop: session.shop } })
+      ]);
+      
+      res.json({
+        rates,
+        missing: await findMissingRates(session.shop, settings),
+        shopCurrency: settings?.shopCurrency || null,
+        reportingCurrency: settings?.reportingCurrency || settings?.shopCurrency || null
+      });
+    } catch (error) {
+      console.error('FX rates API error:', error);
+      res.status(500).json({ error: 'Failed to fetch exchange rates' });
+    }
+  });
 
-  // App installation
-  app.get('/api/auth/toplevel', shopify.auth.begin());
-  app.get('/api/auth/toplevel/callback', shopify.auth.callback(), (req, res) => {
-    res.redirect(`/?shop=${req.query.shop}&host=${req.query.host}`);
+  // Add an exchange rate from a day on, replacing one already set for that pair and day
+  app.post('/api/fx-rates', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateFxRate(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const { fromCurrency, toCurrency, rate } = req.body;
+      const effectiveFrom = dayToDate(toDay(req.body.effectiveFrom));
+      const fxRate = await prisma.fxRate.upsert({
+        where: {
+          shop_fromCurrency_toCurrency_effectiveFrom: { shop: session.shop, fromCurrency, toCurrency, effectiveFrom }
+        },
+        update: { rate },
+        create: { shop: session.shop, fromCurrency, toCurrency, rate, effectiveFrom }
+      });
+      
+      // Orders are stored converted, so every cached day may change
+      await enqueueJob(session.shop, 'sync', { full: true });
+      
+      res.json(fxRate);
+    } catch (error) {
+      console.error('FX rates API error:', error);
+      res.status(500).json({ error: 'Failed to save exchange rate' });
+    }
   });
 
-  // Serve Next.js pages
-  app.get('*', (req, res) => {
-    return handle(req, res);
+  // Delete an exchange rate
+  app.delete('/api/fx-rates/:id', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { count } = await prisma.fxRate.deleteMany({
+        where: { id: parseInt(req.params.id), shop: session.shop }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Exchange rate not found' });
+      }
+      
+      await enqueueJob(session.shop, 'sync', { full: true });
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('FX rates API error:', error);
+      res.status(500).json({ error: 'Failed to delete exchange rate' });
+    }
   });
 
-  app.listen(PORT, () => {
-    console.log(`Doughboard app listening on port ${PORT}`);
+  // Where digests and alerts go, which digests are on, and the latest scheduled digests
+  app.get('/api/notifications', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const [settings, deliveries] = await Promise.all([
+        prisma.storeSettings.findUnique({
+          where: { shop: session.shop },
+          select: { notificationEmails: true, notificationWebhookUrl: true, digestFrequencies: true, digestHour: true }
+        }),
+        prisma.digestDelivery.findMany({
+          where: { shop: session.shop },
+          orderBy: { periodStart: 'desc' },
+          take: 20
+        })
+      ]);
+      
+      res.json({
+        notificationEmails: settings?.notificationEmails || [],
+        notificationWebhookUrl: settings?.notificationWebhookUrl || null,
+        digestFrequencies: settings?.digestFrequencies || [],
+        digestHour: settings?.digestHour ?? 7,
+        emailAvailable: Boolean(process.env.SMTP_HOST),
+        deliveries
+      });
+    } catch (error) {
+      console.error('Notifications API error:', error);
+      res.status(500).json({ error: 'Failed to fetch notification settings' });
+    }
   });
-}
 
-// Helper functions
-function calculateDashboardMetrics(orders, storeSettings) {
-  let totalRevenue = 0;
-  let totalCOGS = 0;
-  let newCustomerRevenue = 0;
-  let returningCustomerRevenue = 0;
-  const customerEmails = new Set();
-  
-  orders.forEach(order => {
-    const revenue = parseFloat(order.total_price);
-    totalRevenue += revenue;
-    
-    // Calculate COGS
-    let orderCOGS = 0;
-    order.line_items.forEach(item => {
-      const sku = item.sku;
-      const quantity = item.quantity;
-      const price = parseFloat(item.price);
+  // Save notification channels and digest schedule
+  app.post('/api/notifications', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateNotificationSettings(req.body) || validateDigestSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
       
-      let unitCOGS = 0;
-      if (storeSettings?.customCOGS?.[sku]) {
-        unitCOGS = storeSettings.customCOGS[sku];
-      } else if (storeSettings?.defaultCOGSPercentage) {
-        unitCOGS = price * (storeSettings.defaultCOGSPercentage / 100);
+      const { notificationEmails, notificationWebhookUrl, digestFrequencies, digestHour } = req.body;
+      const hostError = notificationWebhookUrl && await checkWebhookHost(notificationWebhookUrl);
+      if (hostError) {
+        return res.status(400).json({ error: hostError });
       }
+      const data = {
+        notificationEmails,
+        // '' turns the webhook off
+        notificationWebhookUrl: notificationWebhookUrl === '' ? null : notificationWebhookUrl,
+        digestFrequencies,
+        digestHour
+      };
+      const settings = await prisma.storeSettings.upsert({
+        where: { shop: session.shop },
+        update: data,
+        create: { shop: session.shop, ...data }
+      });
       
-      orderCOGS += unitCOGS * quantity;
-    });
-    
-    totalCOGS += orderCOGS;
-    
-    // Track customer type
-    const email = order.email;
-    if (email) {
-      if (customerEmails.has(email)) {
-        returningCustomerRevenue += revenue;
-      } else {
-        newCustomerRevenue += revenue;
-        customerEmails.add(email);
+      res.json({
+        notificationEmails: settings.notificationEmails,
+        notificationWebhookUrl: settings.notificationWebhookUrl,
+        digestFrequencies: settings.digestFrequencies,
+        digestHour: settings.digestHour
+      });
+    } catch (error) {
+      console.error('Notifications API error:', error);
+      res.status(500).json({ error: 'Failed to save notification settings' });
+    }
+  });
+
+  // What a digest would say right now, as the HTML email (default), plain text or JSON
+  app.get('/api/digests/preview', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const frequency = req.query.frequency || 'daily';
+      if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
       }
+      
+      const message = await previewDigest(session, frequency);
+      if (req.query.format === 'json') return res.json(message);
+      if (req.query.format === 'text') return res.type('text/plain').send(message.text);
+      res.type('html').send(message.html);
+    } catch (error) {
+      console.error('Digest preview API error:', error);
+      res.status(500).json({ error: 'Failed to build digest' });
     }
   });
-  
-  return {
-    totalRevenue,
-    totalCOGS,
-    grossProfit: totalRevenue - totalCOGS,
-    newCustomerRevenue,
-    returningCustomerRevenue,
-    orderCount: orders.length,
-    averageOrderValue: orders.length > 0 ? totalRevenue / orders.length : 0
-  };
-}
 
-async function fetchMetaAdSpend(accountId, accessToken, startDate, endDate) {
-  // Implementation for Meta Ads API
-  try {
-    const axios = require('axios');
-    const response = await axios.get(`https://graph.facebook.com/v18.0/${accountId}/insights`, {
-      params: {
-        access_token: accessToken,
-        fields: 'spend',
-        time_range: JSON.stringify({
-          since: startDate,
-          until: endDate
-        })
+  // Queue a digest to go out now, e.g. to check the channels work
+  app.post('/api/digests/send', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const frequency = req.body?.frequency || 'daily';
+      if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
       }
-    });
-    
-    const total = response.data.data.reduce((sum, day) => sum + parseFloat(day.spend), 0);
-    return { total, daily: response.data.data };
-  } catch (error) {
-    console.error('Meta Ads API error:', error);
-    return { total: 0, daily: [] };
-  }
-}
+      
+      const job = await queueDigest(session, frequency);
+      res.status(202).json({ queued: true, jobId: job.id });
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Digest send API error:', error);
+      res.status(500).json({ error: 'Failed to send digest' });
+    }
+  });
+
+  // Open alerts from the last week, for the dashboard banners
+  app.get('/api/alerts', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const alerts = await getOpenAlerts(session.shop, format(new Date(), 'yyyy-MM-dd'));
+      
+      res.json({ alerts });
+    } catch (error) {
+      console.error('Alerts API error:', error);
+      res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+  });
+
+  // Queue a check of yesterday against the alert rules instead of waiting for the hourly run
+  app.post('/api/alerts/check', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const job = await enqueueJob(session.shop, 'alerts', { force: true });
+      
+      res.status(202).json({ queued: true, jobId: job.id });
+    } catch (error) {
+      console.error('Alerts API error:', error);
+      res.status(500).json({ error: 'Failed to check alerts' });
+    }
+  });
+
+  // Hide an alert from the dashboard
+  app.post('/api/alerts/:id/dismiss', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { count } = await prisma.alert.updateMany({
+        where: { id: parseInt(req.params.id), shop: session.shop },
+        data: { dismissedAt: new Date() }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Alerts API error:', error);
+      res.status(500).json({ error: 'Failed to dismiss alert' });
+    }
+  });
+
+  // List alert rules, with the built-in anomaly rules and what conditions can use
+  app.get('/api/alert-rules', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const [rules, settings] = await Promise.all([
+        prisma.alertRule.findMany({ where: { shop: session.shop }, orderBy: { createdAt: 'asc' } }),
+        prisma.storeSettings.findUnique({ where: { shop: session.shop }, select: { anomalyDetection: true } })
+      ]);
+      
+      res.json({
+        rules,
+        anomalyDetection: settings?.anomalyDetection ?? true,
+        defaultRules: DEFAULT_ALERT_RULES,
+        metrics: ALERT_METRICS,
+        operators: CONDITION_OPERATORS,
+        platforms: listConnectors()
+      });
+    } catch (error) {
+      console.error('Alert rules API error:', error);
+      res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+  });
+
+  // Turn the built-in anomaly rules on or off
+  app.post('/api/alert-rules/anomaly-detection', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { enabled } = req.body;
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be a boolean' });
+      }
+      
+      await prisma.storeSettings.upsert({
+        where: { shop: session.shop },
+        update: { anomalyDetection: enabled },
+        create: { shop: session.shop, anomalyDetection: enabled }
+      });
+      
+      res.json({ anomalyDetection: enabled });
+    } catch (error) {
+      console.error('Alert rules API error:', error);
+      res.status(500).json({ error: 'Failed to update anomaly detection' });
+    }
+  });
+
+  // Create an alert rule
+  app.post('/api/alert-rules', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateAlertRule(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const rule = await prisma.alertRule.create({
+        data: { shop: session.shop, ...normalizeAlertRule(req.body) }
+      });
+      
+      res.json(rule);
+    } catch (error) {
+      console.error('Alert rules API error:', error);
+      res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+  });
+
+  // Update an alert rule
+  app.put('/api/alert-rules/:id', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const validationError = validateAlertRule(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const { count } = await prisma.alertRule.updateMany({
+        where: { id: parseInt(req.params.id), shop: session.shop },
+        data: normalizeAlertRule(req.body)
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Alert rules API error:', error);
+      res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+  });
+
+  // Delete an alert rule
+  app.delete('/api/alert-rules/:id', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { count } = await prisma.alertRule.deleteMany({
+        where: { id: parseInt(req.params.id), shop: session.shop }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Alert rules API error:', error);
+      res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+  });
+
+  // List ad platform connections, their health and the accounts picked from each
+  app.get('/api/ad-accounts', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const connections = await prisma.adConnection.findMany({
+        where: { shop: session.shop },
+        select: { platform: true, status: true, lastError: true, tokenExpiresAt: true, lastCheckedAt: true }
+      });
+      const accounts = await prisma.adAccount.findMany({
+        where: { shop: session.shop },
+        select: {
+          id: true,
+          platform: true,
+          accountId: true,
+          accountName: true,
+          isActive: true,
+          managerAccountId: true,
+          currency: true,
+          settings: true
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+      
+      res.json({
+        platforms: listConnectors(),
+        connections: connections.map(connection => ({
+          ...connection,
+          accounts: accounts.filter(a => a.platform === connection.platform)
+        }))
+      });
+    } catch (error) {
+      console.error('Ad accounts API error:', error);
+      res.status(500).json({ error: 'Failed to fetch ad accounts' });
+    }
+  });
+
+  // Start an OAuth connection; the client navigates the top-level window to the returned URL
+  app.get('/api/ad-accounts/:platform/connect', (req, res) => {
+    const connector = getConnector(req.params.platform);
+    if (connector?.auth !== 'oauth') {
+      return res.status(404).json({ error: `Unknown ad platform: ${req.params.platform}` });
+    }
+    
+    res.json({ url: buildAuthorizeUrl(res.locals.shopify.session.shop, connector) });
+  });
+
+  // Ad accounts the connected user can access, for the merchant to pick from
+  app.get('/api/ad-accounts/:platform/available', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { platform } = req.params;
+      const connector = getConnector(platform);
+      const connection = connector?.auth === 'oauth' && await prisma.adConnection.findUnique({
+        where: { shop_platform: { shop: session.shop, platform } }
+      });
+      if (!connection) {
+        return res.status(404).json({ error: `${platform} is not connected` });
+      }
+      
+      const accounts = await connector.listAccounts(connection);
+      
+      res.json({ accounts });
+    } catch (error) {
+      console.error('Available ad accounts API error:', error.response?.data || error);
+      res.status(500).json({ error: 'Failed to list ad accounts' });
+    }
+  });
+
+  // Add the picked accounts under an existing connection
+  app.post('/api/ad-accounts/:platform', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { platform } = req.params;
+      const { accounts } = req.body;
+      if (!Array.isArray(accounts) || accounts.some(a => !a.accountId)) {
+        return res.status(400).json({ error: 'accounts must be an array of { accountId, accountName }' });
+      }
+      
+      const connection = getConnector(platform)?.auth === 'oauth' && await prisma.adConnection.findUnique({
+        where: { shop_platform: { shop: session.shop, platform } }
+      });
+      if (!connection) {
+        return res.status(404).json({ error: `${platform} is not connected` });
+      }
+      
+      for (const account of accounts) {
+        const data = {
+          accountName: account.accountName,
+          managerAccountId: account.managerAccountId || null,
+          currency: account.currency || null,
+          accessToken: connection.accessToken,
+          refreshToken: connection.refreshToken,
+          tokenExpiresAt: connection.tokenExpiresAt,
+          isActive: true
+        };
+        await prisma.adAccount.upsert({
+          where: { shop_platform_accountId: { shop: session.shop, platform, accountId: String(account.accountId) } },
+          update: data,
+          create: { shop: session.shop, platform, accountId: String(account.accountId), ...data }
+        });
+      }
+      
+      res.json({ success: true, accountsAdded: accounts.length });
+    } catch (error) {
+      console.error('Add ad accounts API error:', error);
+      res.status(500).json({ error: 'Failed to add ad accounts' });
+    }
+  });
+
+  // Connect an API-key platform (Klaviyo, Postscript); settings holds its pricing, e.g. { monthlyFee, costPerSms }
+  app.post('/api/ad-accounts/:platform/api-key', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { platform } = req.params;
+      const connector = getConnector(platform);
+      if (connector?.auth !== 'apiKey') {
+        return res.status(404).json({ error: `Unknown API key platform: ${platform}` });
+      }
+      
+      // Always the shop's own key; the account behind it is where its spend is read from
+      const { apiKey } = req.body;
+      if (!apiKey) {
+        return res.status(400).json({ error: 'apiKey is required' });
+      }
+      
+      let account;
+      try {
+        account = await connector.verifyApiKey(apiKey);
+      } catch (error) {
+        return res.status(400).json({ error: `${connector.name} did not accept that API key` });
+      }
+      
+      await saveConnectionTokens(session.shop, platform, { accessToken: apiKey, tokenExpiresAt: null });
+      const data = {
+        accountName: account.accountName,
+        currency: account.currency || null,
+        accessToken: apiKey,
+        settings: req.body.settings || {},
+        isActive: true,
+        // Priced with the settings, which may have changed
+        spendSyncedFrom: null,
+        spendSyncedAt: null
+      };
+      await prisma.adAccount.upsert({
+        where: { shop_platform_accountId: { shop: session.shop, platform, accountId: account.accountId } },
+        update: data,
+        create: { shop: session.shop, platform, accountId: account.accountId, ...data }
+      });
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Connect API key platform error:', error);
+      res.status(500).json({ error: 'Failed to connect account' });
+    }
+  });
+
+  // Include or exclude an ad account from spend, or update its pricing settings
+  app.patch('/api/ad-accounts/:id', express.json(), async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { isActive, settings } = req.body;
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be a boolean' });
+      }
+      if (settings !== undefined && (typeof settings !== 'object' || settings === null || Array.isArray(settings))) {
+        return res.status(400).json({ error: 'settings must be an object' });
+      }
+      
+      // Spend from cost-based channels is priced with their settings, so new pricing means syncing it again
+      const { count } = await prisma.adAccount.updateMany({
+        where: { id: parseInt(req.params.id), shop: session.shop },
+        data: { isActive, settings, ...(settings !== undefined && { spendSyncedFrom: null, spendSyncedAt: null }) }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Ad account not found' });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Update ad account API error:', error);
+      res.status(500).json({ error: 'Failed to update ad account' });
+    }
+  });
+
+  // Disconnect a platform and forget its accounts, tokens and stored spend
+  app.delete('/api/ad-accounts/:platform', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const { platform } = req.params;
+      
+      await prisma.adAccount.deleteMany({ where: { shop: session.shop, platform } });
+      await prisma.adSpend.deleteMany({ where: { shop: session.shop, platform } });
+      await prisma.adConnection.deleteMany({ where: { shop: session.shop, platform } });
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Disconnect ad platform API error:', error);
+      res.status(500).json({ error: 'Failed to disconnect ad platform' });
+    }
+  });
+
+  // Get ad spend data
+  app.get('/api/ad-spend', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      let comparisonRange;
+      try {
+        range = parseDateRange(req.query);
+        comparisonRange = parseComparisonRange(req.query, range);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const { startDay: startDate, endDay: endDate } = range;
+      
+      const [marketing, comparisonMarketing] = await Promise.all([
+        fetchMarketingSpend(session.shop, startDate, endDate),
+        comparisonRange && fetchMarketingSpend(session.shop, comparisonRange.startDay, comparisonRange.endDay),
+        ensureFreshMetrics(session, getEarliestDay(range, comparisonRange))
+      ]);
+      // ROAS, MER, CAC and friends need the store's sales alongside the spend
+      const kpis = calculateMarketingKpis(await getRangeMetrics(session.shop, range), marketing.totalAdSpend);
+      const comparison = comparisonMarketing && {
+        startDate: comparisonRange.startDay,
+        endDate: comparisonRange.endDay,
+        totalAdSpend: comparisonMarketing.totalAdSpend,
+        kpis: calculateMarketingKpis(
+          await getRangeMetrics(session.shop, comparisonRange),
+          comparisonMarketing.totalAdSpend
+        ),
+        errors: comparisonMarketing.errors
+      };
+      
+      // Broken connections are reported so the UI doesn't present their zero spend as real
+      const connectionIssues = await prisma.adConnection.findMany({
+        where: { shop: session.shop, status: { not: 'active' } },
+        select: { platform: true, status: true, lastError: true }
+      });
+      
+      res.json({
+        ...marketing,
+        ...await getDisplayCurrency(session.shop),
+        kpis,
+        comparison: comparison || null,
+        connectionIssues
+      });
+    } catch (error) {
+      console.error('Ad spend API error:', error);
+      res.status(500).json({ error: 'Failed to fetch ad spend data' });
+    }
+  });
+
+  // Profitability per variant, product or SKU; rows costed with the default COGS % are flagged
+  app.get('/api/reports/products', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const options = {
+        groupBy: req.query.groupBy,
+        sortBy: req.query.sortBy,
+        direction: req.query.direction,
+        search: req.query.search,
+        cogsSource: req.query.cogsSource
+      };
+      const validationError = validateProductReportOptions(options);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const syncState = await ensureFreshMetrics(session, range.startDay);
+      const report = await getProductReport(session.shop, range, options);
+      
+      res.json({
+        ...report,
+        ...await getDisplayCurrency(session.shop),
+        startDate: range.startDay,
+        endDate: range.endDay,
+        ...describeCoverage(syncState, range.startDay)
+      });
+    } catch (error) {
+      console.error('Products report API error:', error);
+      res.status(500).json({ error: 'Failed to fetch products report' });
+    }
+  });
+
+  // Paginated order-level profit, filterable down to the orders behind a drop in margin
+  app.get('/api/orders/profit', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const options = {
+        lossOnly: req.query.loss === 'true',
+        discountCode: req.query.discountCode || undefined,
+        sourceName: req.query.sourceName || undefined,
+        countryCode: req.query.countryCode || undefined,
+        sortBy: req.query.sortBy,
+        direction: req.query.direction,
+        page: req.query.page ? Number(req.query.page) : undefined,
+        pageSize: req.query.pageSize ? Number(req.query.pageSize) : undefined
+      };
+      const validationError = validateOrderProfitOptions(options);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      
+      const syncState = await ensureFreshMetrics(session, range.startDay);
+      const report = await getOrderProfit(session.shop, range, options);
+      
+      res.json({
+        ...report,
+        ...await getDisplayCurrency(session.shop),
+        startDate: range.startDay,
+        endDate: range.endDay,
+        ...describeCoverage(syncState, range.startDay)
+      });
+    } catch (error) {
+      console.error('Order profit API error:', error);
+      res.status(500).json({ error: 'Failed to fetch order profit' });
+    }
+  });
+
+  // Monthly acquisition cohorts with retention, LTV, profit LTV and LTV:CAC for the last `months` months
+  app.get('/api/cohorts', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const months = req.query.months ? parseInt(req.query.months) : 12;
+      
+      if (!Number.isInteger(months) || months < 1 || months > MAX_COHORT_MONTHS) {
+        return res.status(400).json({ error: `months must be between 1 and ${MAX_COHORT_MONTHS}` });
+      }
+      
+      const today = format(new Date(), 'yyyy-MM-dd');
+      const startMonth = format(subMonths(new Date(), months - 1), 'yyyy-MM');
+      const syncState = await ensureFreshMetrics(session, `${startMonth}-01`);
+      const cohorts = await getCohorts(session.shop, { startMonth, endMonth: today.slice(0, 7), today });
+      
+      res.json({
+        ...cohorts,
+        ...await getDisplayCurrency(session.shop),
+        ...describeCoverage(syncState, `${startMonth}-01`)
+      });
+    } catch (error) {
+      console.error('Cohorts API error:', error);
+      res.status(500).json({ error: 'Failed to fetch cohorts' });
+    }
+  });
+
+  // Import per-SKU costs from a CSV. dryRun=true only previews what would change; mode is merge
+  // (default) or replace, and keyType/keyColumn/costColumn map the file's columns when the headers
+  // aren't recognised.
+  const multer = require('multer');
+  const upload = multer({ dest: 'uploads/' });
+  
+  app.post('/api/upload-cogs', upload.single('cogsFile'), async (req, res) => {
+    const fs = require('fs');
+    let csvFile;
+    try {
+      const session = res.locals.shopify.session;
+      const { mode, keyType, keyColumn, costColumn, decimalSeparator, effectiveFrom } = req.body;
+      const dryRun = req.body.dryRun === 'true';
+      
+      if (!req.file) {
+        return res.status(400).json({ error: 'Attach a CSV file as cogsFile' });
+      }
+      const optionsError = validateImportOptions(req.body) || validateEffectiveFrom(effectiveFrom);
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+      
+      csvFile = readCostsCsv(await fs.promises.readFile(req.file.path));
+      const [settings, catalog] = await Promise.all([
+        prisma.storeSettings.findUnique({ where: { shop: session.shop }, select: { customCOGS: true } }),
+        loadVariantCatalog(session)
+      ]);
+      const { changes, ...preview } = previewCostImport(
+        csvFile,
+        new Map(Object.entries(settings?.customCOGS || {})),
+        catalog,
+        { mode, keyType, keyColumn, costColumn, decimalSeparator }
+      );
+      
+      if (dryRun) {
+        return res.json({ dryRun: true, ...preview });
+      }
+      
+      // Saved as new dated versions, so past orders keep their costs
+      const { changed } = await saveCustomCosts(session.shop, changes, {
+        effectiveFrom: effectiveFrom || undefined,
+        changedBy: await getRequestUser(req, res),
+        reason: 'csv_upload'
+      });
+      if (changed > 0) {
+        await enqueueJob(session.shop, 'sync', { full: true });
+      }
+      
+      res.json({ success: true, dryRun: false, ...preview, costsChanged: changed });
+    } catch (error) {
+      // Malformed CSV, or columns that couldn't be matched; the headers let the merchant map them
+      if (error instanceof RangeError || error.code?.startsWith('CSV_')) {
+        return res.status(400).json({ error: error.message, headers: csvFile?.headers });
+      }
+      console.error('COGS upload error:', error);
+      res.status(500).json({ error: 'Failed to process COGS file' });
+    } finally {
+      if (req.file) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
+    }
+  });
+
+  // Current per-SKU costs as a CSV that imports back as-is; catalog SKUs without a cost have a blank COGS
+  app.get('/api/costs/export', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const [settings, catalog] = await Promise.all([
+        prisma.storeSettings.findUnique({ where: { shop: session.shop }, select: { customCOGS: true } }),
+        loadVariantCatalog(session)
+      ]);
+      
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="cogs.csv"');
+      res.send(buildCostsCsv(new Map(Object.entries(settings?.customCOGS || {})), catalog));
+    } catch (error) {
+      console.error('COGS export error:', error);
+      res.status(500).json({ error: 'Failed to export costs' });
+    }
+  });
+
+  // Files go into the books, so they wait until every order in the range has synced
+  const INCOMPLETE_EXPORT_ERROR = 'Orders for this range are still syncing. Try the export again in a few minutes.';
+
+  // Profit and loss statement by month or week, as JSON for the app or a CSV/XLSX file for the books
+  app.get('/api/reports/pnl', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const granularity = req.query.granularity || 'month';
+      if (!PNL_GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({ error: `granularity must be one of: ${PNL_GRANULARITIES.join(', ')}` });
+      }
+      const fileFormat = req.query.format || 'json';
+      if (fileFormat !== 'json' && !EXPORT_FORMATS.includes(fileFormat)) {
+        return res.status(400).json({ error: `format must be one of: json, ${EXPORT_FORMATS.join(', ')}` });
+      }
+      
+      const syncState = await ensureFreshMetrics(session, range.startDay);
+      const coverage = describeCoverage(syncState, range.startDay);
+      if (fileFormat !== 'json' && !coverage.complete) {
+        return res.status(409).json({ error: INCOMPLETE_EXPORT_ERROR, ...coverage });
+      }
+      const statement = await getProfitAndLoss(session.shop, range, granularity);
+      
+      if (fileFormat === 'json') {
+        return res.json({ ...statement, ...coverage });
+      }
+      setExportHeaders(res, `profit-and-loss-${range.startDay}-to-${range.endDay}`, fileFormat);
+      if (fileFormat === 'csv') return res.send(buildProfitAndLossCsv(statement));
+      await writeProfitAndLossXlsx(statement, res);
+      res.end();
+    } catch (error) {
+      console.error('P&L report error:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ error: 'Failed to build P&L statement' });
+    }
+  });
+
+  // Raw profit rows, streamed as they're read: one per order, or one per day of the range
+  const exportRows = (kind, writeExport) => async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const fileFormat = req.query.format || 'csv';
+      if (!EXPORT_FORMATS.includes(fileFormat)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+      }
+      
+      const coverage = describeCoverage(await ensureFreshMetrics(session, range.startDay), range.startDay);
+      if (!coverage.complete) {
+        return res.status(409).json({ error: INCOMPLETE_EXPORT_ERROR, ...coverage });
+      }
+      setExportHeaders(res, `${kind}-profit-${range.startDay}-to-${range.endDay}`, fileFormat);
+      await writeExport(session.shop, range, createExportWriter(res, fileFormat, 'Profit'));
+    } catch (error) {
+      console.error(`Export error (${kind}):`, error);
+      // Part of the file may already be out; cut the download short rather than leave it looking complete
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ error: `Failed to export ${kind} profit` });
+    }
+  };
+  app.get('/api/exports/orders', exportRows('order', writeOrderExport));
+  app.get('/api/exports/daily', exportRows('daily', writeDailyExport));
+
+  // Privacy webhooks received for the shop, newest first
+  app.get('/api/privacy/requests', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      res.json({ requests: await listPrivacyRequests(session.shop) });
+    } catch (error) {
+      console.error('Privacy requests API error:', error);
+      res.status(500).json({ error: 'Failed to fetch privacy requests' });
+    }
+  });
+
+  // What a customer data request found, as a JSON file for the merchant to send the customer
+  app.get('/api/privacy/requests/:id/export', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      const request = await getPrivacyExport(session.shop, parseInt(req.params.id));
+      if (!request) {
+        return res.status(404).json({ error: 'No export for that request' });
+      }
+      
+      res.setHeader('Content-Disposition', `attachment; filename="customer-data-request-${request.id}.json"`);
+      res.json(request.export);
+    } catch (error) {
+      console.error('Privacy export API error:', error);
+      res.status(500).json({ error: 'Failed to export customer data' });
+    }
+  });
+
+  // Historical order import progress, and starting (or retrying) one on demand
+  app.get('/api/backfill', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      res.json(await getBackfillStatus(session.shop));
+    } catch (error) {
+      console.error('Backfill status API error:', error);
+      res.status(500).json({ error: 'Failed to fetch order history import status' });
+    }
+  });
+
+  app.post('/api/backfill', async (req, res) => {
+    try {
+      const session = res.locals.shopify.session;
+      res.json(await startOrderBackfill(session));
+    } catch (error) {
+      console.error('Backfill API error:', error);
+      res.status(500).json({ error: 'Failed to start order history import' });
+    }
+  });
+
+  // Kick off the historical order import for new installs; the redirect doesn't wait for it
+  const startInstallBackfill = (req, res, next) => {
+    backfillOnInstall(res.locals.shopify.session).catch(error => {
+      console.error('Install backfill error:', error);
+    });
+    next();
+  };
+
+  // Shopify auth routes
+  app.use('/api/auth', shopify.auth.begin());
+  app.use('/api/auth/callback', shopify.auth.callback(), startInstallBackfill, shopify.redirectToShopifyOrAppRoot());
+
+  // App installation
+  app.get('/api/auth/toplevel', shopify.auth.begin());
+  app.get('/api/auth/toplevel/callback', shopify.auth.callback(), startInstallBackfill, (req, res) => {
+    res.redirect(`/?shop=${req.query.shop}&host=${req.query.host}`);
+  });
+
+  // Serve Next.js pages
+  app.get('*', (req, res) => {
+    return handle(req, res);
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Doughboard app listening on port ${PORT}`);
+  });
 
-async function fetchGoogleAdSpend(accountId, accessToken, startDate, endDate) {
-  // Implementation for Google Ads API
-  try {
-    // Google Ads API implementation would go here
-    // This is a placeholder - actual implementation requires Google Ads API client
-    return { total: 0, daily: [] };
-  } catch (error) {
-    console.error('Google Ads API error:', error);
-    return { total: 0, daily: [] };
-  }
+  startSyncScheduler();
+  startTokenRefreshScheduler();
+  startDigestScheduler();
+  startAlertScheduler();
+  startJobWorker();
+  resumeOrderBackfills().catch(error => console.error('Backfill resume error:', error));
 }
 
 createServer().catch(console.error);